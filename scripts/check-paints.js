@@ -0,0 +1,54 @@
+// check-paints.js - Sanity checks for the paint database
+// Run with `npm run check:paints`. Exits non-zero when a check fails.
+//   - every paint, as a DEFAULT_THICKNESS film over white paper, renders its
+//     own swatch hex under D65
+//   - for each METAMER_TARGETS colour, two recipes that both match it in
+//     daylight part under tungsten (A) or tri-band fluorescent (F11) light
+
+import { differenceEuclidean } from 'culori';
+import {
+  PAINT_DATABASE,
+  simulateMix,
+  findMixingRecipe,
+  metamerismIndex,
+  METAMERISM_NOTICEABLE,
+} from '../src/utils/paintMixer.js';
+
+// OKLab ΔE a paint may drift from its swatch
+const SWATCH_TOLERANCE = 0.01;
+
+// Purples can be mixed from a red with ultramarine, cobalt or cerulean blue;
+// the blues part ways in the deep red, where A and F11 put their energy
+const METAMER_TARGETS = ['#8a5a9a', '#7a4a6a'];
+const METAMER_LIGHTS = ['A', 'F11'];
+// Recipes further than this from the target in daylight don't count as matches
+const MATCH_TOLERANCE = 0.02;
+
+const deltaE = differenceEuclidean('oklab');
+const failures = [];
+
+PAINT_DATABASE.forEach(paint => {
+  const { hex } = simulateMix([{ paintId: paint.id, concentration: 100 }]);
+  const drift = deltaE(hex, paint.hex);
+  if (drift > SWATCH_TOLERANCE) {
+    failures.push(`${paint.id} renders ${hex}, ${drift.toFixed(3)} ΔE from its swatch ${paint.hex}`);
+  }
+});
+
+METAMER_TARGETS.forEach(target => {
+  const recipes = findMixingRecipe(target, { maxPaints: 4, topResults: 6 })
+    .filter(recipe => recipe.deltaE < MATCH_TOLERANCE);
+  let widest = 0;
+  recipes.forEach((a, i) => recipes.slice(i + 1).forEach(b => METAMER_LIGHTS.forEach(light => {
+    widest = Math.max(widest, metamerismIndex(a.reflectance, b.reflectance, light));
+  })));
+  if (widest < METAMERISM_NOTICEABLE) {
+    failures.push(`${recipes.length} daylight matches for ${target} part by at most ${widest.toFixed(3)} under ${METAMER_LIGHTS.join(' / ')}`);
+  }
+});
+
+if (failures.length) {
+  failures.forEach(failure => console.error(failure));
+  process.exit(1);
+}
+console.log(`${PAINT_DATABASE.length} paints render their swatches; metameric recipes split for ${METAMER_TARGETS.join(', ')}`);
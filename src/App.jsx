@@ -2,7 +2,7 @@ import { useState, useCallback, useEffect } from 'react';
 import {
   Palette, Sparkles, Layers, Grid3X3, Image,
   Blend, BookOpen, Eye, Star, TrendingUp, FlaskConical, Waves,
-  Download, Sun, Save, Check, Heart
+  Download, Sun, Save, Check, Heart, Terminal, BarChart3
 } from 'lucide-react';
 import { parse } from 'culori';
 
@@ -22,6 +22,11 @@ import GradientGenerator from './components/GradientGenerator';
 import ColorSearch from './components/ColorSearch';
 import PaletteHistory, { usePaletteHistory } from './components/PaletteHistory';
 import UIPreviewPanel from './components/UIPreviewPanel';
+import ChartPreviewPanel from './components/ChartPreviewPanel';
+import EditorThemePanel from './components/EditorThemePanel';
+import TerminalPanel from './components/TerminalPanel';
+import DataVizPanel from './components/DataVizPanel';
+import MaterialSchemePanel from './components/MaterialSchemePanel';
 import CuratedPalettes from './components/CuratedPalettes';
 import HarmonyMixer from './components/HarmonyMixer';
 import VibeHarmony from './components/VibeHarmony';
@@ -41,12 +46,22 @@ import {
   getTetradic,
   getAnalogous,
   getMonochromatic,
+  GAMUTS,
 } from './utils/colorUtils';
-import { generateSmartHarmony } from './utils/smartHarmony';
+import { generateSmartTheme, themeToPalette } from './utils/smartHarmony';
 import { analyzePalette } from './utils/paletteAnalyzer';
 import { generateColorName } from './utils/colorNames';
 
 const DEFAULT_COLOR = { mode: 'oklch', l: 0.65, c: 0.18, h: 280 };
+const GAMUT_STORAGE_KEY = 'hexandhue_target_gamut';
+
+// A role describes a colour's place in a theme, so a picked colour drops it
+function withoutRole(color) {
+  if (!color?.role) return color;
+  const copy = { ...color };
+  delete copy.role;
+  return copy;
+}
 
 export default function App() {
   const [selectedColor, setSelectedColor] = useState(DEFAULT_COLOR);
@@ -55,11 +70,35 @@ export default function App() {
   const [activeTab, setActiveTab] = useState('harmonies');
   const [selectedHarmony, setSelectedHarmony] = useState('triadic');
   const [harmonyColors, setHarmonyColors] = useState([]);
+  // Role-keyed result of the last smart generation; null once the harmony comes from elsewhere
+  const [smartTheme, setSmartTheme] = useState(null);
   const [selectedMood, setSelectedMood] = useState(null);
   const [moodPalette, setMoodPalette] = useState([]);
   const [lockedIndices, setLockedIndices] = useState([]);
   const [designContext, setDesignContext] = useState('ui');
+  const [materialVariant, setMaterialVariant] = useState('tonalSpot');
   const [savedFeedback, setSavedFeedback] = useState(false);
+  const [paletteSource, setPaletteSource] = useState('triadic harmony');
+  const [contrastModel, setContrastModel] = useState('wcag');
+  // Vision simulations shared by the accessibility checker and UI preview
+  const [vision, setVision] = useState({ type: 'normal', severity: 1 });
+  const [lowVision, setLowVision] = useState({ type: 'none', severity: 0.5 });
+  const [targetGamut, setTargetGamut] = useState(() => {
+    try {
+      const stored = localStorage.getItem(GAMUT_STORAGE_KEY);
+      return GAMUTS[stored] ? stored : 'srgb';
+    } catch {
+      return 'srgb';
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(GAMUT_STORAGE_KEY, targetGamut);
+    } catch (err) {
+      console.error('Failed to save target gamut:', err);
+    }
+  }, [targetGamut]);
 
   const {
     history, favorites, addToHistory, removeFromHistory,
@@ -82,8 +121,11 @@ export default function App() {
 
     // If using smart context, generate context-aware palette
     if (harmonyType === 'smart') {
-      colors = generateSmartHarmony(selectedColor, designContext);
+      const theme = generateSmartTheme(selectedColor, designContext, { variant: materialVariant });
+      setSmartTheme(theme);
+      colors = themeToPalette(theme);
     } else {
+      setSmartTheme(null);
       // Original geometric harmonies
       switch (harmonyType) {
         case 'complementary': colors = getComplementary(selectedColor); break;
@@ -98,7 +140,8 @@ export default function App() {
 
     setHarmonyColors(colors);
     setSelectedHarmony(harmonyType);
-  }, [selectedColor, designContext]);
+    setPaletteSource(harmonyType === 'smart' ? `${designContext} smart palette` : `${harmonyType} harmony`);
+  }, [selectedColor, designContext, materialVariant]);
 
   useEffect(() => {
     if (selectedColor) updateHarmony(selectedHarmony);
@@ -112,11 +155,13 @@ export default function App() {
     if (moodPalette.length > 0) setActivePalette(moodPalette);
   }, [moodPalette]);
 
-  const handleColorSelect = useCallback((color) => setSelectedColor(color), []);
+  const handleColorSelect = useCallback((color) => setSelectedColor(withoutRole(color)), []);
 
   const handleHarmonySelect = useCallback((harmonyId, colors) => {
     setSelectedHarmony(harmonyId);
     setHarmonyColors(colors);
+    setSmartTheme(null);
+    setPaletteSource(`${harmonyId} harmony`);
     addToHistory(colors, `${harmonyId} harmony`);
   }, [addToHistory]);
 
@@ -124,6 +169,8 @@ export default function App() {
     setActivePalette(fixedColors);
     setMoodPalette(fixedColors);
     setHarmonyColors(fixedColors);
+    setSmartTheme(null);
+    setPaletteSource('auto-fixed palette');
     addToHistory(fixedColors, 'auto-fixed palette');
   }, [addToHistory]);
 
@@ -132,6 +179,7 @@ export default function App() {
     const palette = generateMoodPalette(mood, selectedColor);
     setMoodPalette(palette);
     setLockedIndices([]);
+    setPaletteSource(`${mood} mood`);
     addToHistory(palette, `${mood} mood`);
   }, [selectedColor, addToHistory]);
 
@@ -159,6 +207,7 @@ export default function App() {
     setMoodPalette(random);
     setActivePalette(random);
     setSelectedMood(null);
+    setPaletteSource('random harmony');
     addToHistory(random, 'random harmony');
   }, [addToHistory]);
 
@@ -175,27 +224,41 @@ export default function App() {
   const handlePaletteFromHistory = useCallback((colors) => {
     setActivePalette(colors);
     setMoodPalette(colors);
-    if (colors[0]) setSelectedColor(colors[0]);
+    setPaletteSource('palette history');
+    if (colors[0]) setSelectedColor(withoutRole(colors[0]));
   }, []);
 
   const handleExtractedColors = useCallback((colors) => {
     setActivePalette(colors);
     setMoodPalette(colors);
+    setPaletteSource('extracted from image');
     addToHistory(colors, 'extracted from image');
-    if (colors[0]) setSelectedColor(colors[0]);
+    if (colors[0]) setSelectedColor(withoutRole(colors[0]));
   }, [addToHistory]);
 
   const handleMixedPalette = useCallback((colors) => {
     setActivePalette(colors);
     setMoodPalette(colors);
+    setPaletteSource('harmony mix');
     addToHistory(colors, 'harmony mix');
   }, [addToHistory]);
 
   const handleCuratedPalette = useCallback((colors) => {
     setActivePalette(colors);
     setMoodPalette(colors);
+    setPaletteSource('curated palette');
     addToHistory(colors, 'curated palette');
-    if (colors[0]) setSelectedColor(colors[0]);
+    if (colors[0]) setSelectedColor(withoutRole(colors[0]));
+  }, [addToHistory]);
+
+  // Unlike curated palettes, imports (and chart palettes, which are generated
+  // from selectedColor) leave selectedColor alone: changing it regenerates the
+  // harmony, which would replace the imported colours.
+  const handleImportedPalette = useCallback((colors, label = 'imported palette') => {
+    setActivePalette(colors);
+    setMoodPalette(colors);
+    setPaletteSource(label);
+    addToHistory(colors, label);
   }, [addToHistory]);
 
   const colorName = generateColorName(selectedColor);
@@ -210,6 +273,8 @@ export default function App() {
     { id: 'mixer', label: 'Mixer', icon: Layers },
     { id: 'inspire', label: 'Inspire', icon: BookOpen },
     { id: 'preview', label: 'Preview', icon: Eye },
+    { id: 'terminal', label: 'Terminal', icon: Terminal },
+    { id: 'dataviz', label: 'Charts', icon: BarChart3 },
     { id: 'shadow', label: 'Shadow', icon: Sun },
     { id: 'doctor', label: 'Doctor', icon: TrendingUp },
     { id: 'access', label: 'WCAG', icon: Eye },
@@ -237,6 +302,18 @@ export default function App() {
           </div>
           
           <div className="flex items-center gap-3">
+            <div className="hidden md:flex items-center gap-1 bg-[#12121a] rounded-lg p-1" title="Target gamut for wheels, swatches and exports">
+              {Object.values(GAMUTS).map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => setTargetGamut(id)}
+                  className={`px-2.5 py-1 rounded-md text-[10px] tracking-wider font-medium transition-colors ${targetGamut === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             <div className="hidden sm:flex items-center gap-1 bg-[#12121a] rounded-lg p-1">
               {['hex', 'rgb', 'hsl', 'oklch'].map((format) => (
                 <button
@@ -266,7 +343,7 @@ export default function App() {
           <div className="lg:col-span-4 xl:col-span-3 space-y-5">
             <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24]">
               <div className="flex items-center justify-center mb-4">
-                <ColorWheel selectedColor={selectedColor} onColorSelect={handleColorSelect} size={240} />
+                <ColorWheel selectedColor={selectedColor} onColorSelect={handleColorSelect} size={240} gamut={targetGamut} />
               </div>
               
               <div className="flex items-center gap-3 mb-4">
@@ -282,7 +359,7 @@ export default function App() {
                 </div>
               </div>
               
-              <ColorSliders color={selectedColor} onChange={handleColorSelect} />
+              <ColorSliders color={selectedColor} onChange={handleColorSelect} gamut={targetGamut} />
             </div>
 
             <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24]">
@@ -290,7 +367,7 @@ export default function App() {
             </div>
 
             <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24] hidden lg:block">
-              <ColorInfoPanel color={selectedColor} />
+              <ColorInfoPanel color={selectedColor} gamut={targetGamut} />
             </div>
           </div>
 
@@ -317,7 +394,7 @@ export default function App() {
                       <HarmonyVisualizer colors={harmonyColors} harmonyType={selectedHarmony} size={160} />
                     </div>
                   </div>
-                  <PaletteDisplay colors={harmonyColors} title={`${selectedHarmony.replace('-', ' ')} Harmony`} format={colorFormat} onColorClick={handleColorSelect} />
+                  <PaletteDisplay colors={harmonyColors} title={`${selectedHarmony.replace('-', ' ')} Harmony`} format={colorFormat} gamut={targetGamut} onColorClick={handleColorSelect} />
                   <TintsShadePanel baseColor={selectedColor} onColorSelect={handleColorSelect} />
                 </div>
               )}
@@ -340,27 +417,37 @@ export default function App() {
                     <span className="text-sm font-medium">Generate Smart Palette</span>
                   </button>
 
-                  {harmonyColors.length > 0 && (
+                  {smartTheme && (
                     <>
                       <PaletteDisplay 
                         colors={harmonyColors} 
-                        title={`${designContext} palette`} 
+                        title={`${smartTheme.context} palette`} 
                         format={colorFormat} 
+                        gamut={targetGamut}
                         onColorClick={handleColorSelect} 
                       />
                       
                       <div className="h-28 rounded-2xl overflow-hidden flex shadow-xl">
-                        {harmonyColors.map((color, i) => (
+                        {Object.entries(smartTheme.roles).map(([role, color]) => (
                           <div 
-                            key={i} 
+                            key={role} 
                             className="flex-1 relative group cursor-pointer transition-all hover:flex-[1.5]" 
                             style={{ backgroundColor: oklchToHex(color) }} 
+                            title={role}
                             onClick={() => handleColorSelect(color)} 
                           />
                         ))}
                       </div>
                     </>
                   )}
+
+                  {designContext === 'material' && (
+                    <MaterialSchemePanel
+                      baseColor={selectedColor}
+                      variant={materialVariant}
+                      onVariantChange={setMaterialVariant}
+                    />
+                  )}
                 </div>
               )}
 
@@ -368,6 +455,7 @@ export default function App() {
                 <PaletteDoctor 
                   colors={activePalette.length > 0 ? activePalette : harmonyColors} 
                   onApplyFix={handleApplyFix}
+                  contrastModel={contrastModel}
                 />
               )}
 
@@ -389,7 +477,10 @@ export default function App() {
               {activeTab === 'export' && (
                 <ExportPanel
                   colors={activePalette.length > 0 ? activePalette : harmonyColors}
-                  paletteLabel={selectedHarmony || 'Palette'}
+                  paletteLabel={paletteSource}
+                  onImport={handleImportedPalette}
+                  gamut={targetGamut}
+                  contrastModel={contrastModel}
                 />
               )}
 
@@ -397,6 +488,15 @@ export default function App() {
                 <AccessibilityChecker
                   colors={activePalette.length > 0 ? activePalette : harmonyColors}
                   baseColor={selectedColor}
+                  contrastModel={contrastModel}
+                  onContrastModelChange={setContrastModel}
+                  onApplyFix={handleApplyFix}
+                  vision={vision}
+                  onVisionChange={setVision}
+                  lockedIndices={lockedIndices}
+                  onLockToggle={handleLockToggle}
+                  lowVision={lowVision}
+                  onLowVisionChange={setLowVision}
                 />
               )}
 
@@ -418,7 +518,7 @@ export default function App() {
                   </div>
                   {moodPalette.length > 0 && (
                     <>
-                      <PaletteDisplay colors={moodPalette} title={selectedMood ? `${selectedMood} palette` : 'Generated Palette'} format={colorFormat} onRegenerate={handleRegenerateMood} onColorClick={handleColorSelect} lockedIndices={lockedIndices} onLockToggle={handleLockToggle} />
+                      <PaletteDisplay colors={moodPalette} title={selectedMood ? `${selectedMood} palette` : 'Generated Palette'} format={colorFormat} gamut={targetGamut} onRegenerate={handleRegenerateMood} onColorClick={handleColorSelect} lockedIndices={lockedIndices} onLockToggle={handleLockToggle} />
                       <div className="h-28 rounded-2xl overflow-hidden flex shadow-xl">
                         {moodPalette.map((color, i) => (
                           <div key={i} className="flex-1 relative group cursor-pointer transition-all hover:flex-[1.5]" style={{ backgroundColor: oklchToHex(color) }} onClick={() => handleColorSelect(color)} />
@@ -447,6 +547,7 @@ export default function App() {
                   baseColor={selectedColor}
                   initialColors={activePalette.length >= 2 ? activePalette.slice(0, 5) : [selectedColor, { ...selectedColor, h: ((selectedColor.h || 0) + 60) % 360 }]}
                   onColorSelect={handleColorSelect}
+                  gamut={targetGamut}
                 />
               )}
 
@@ -462,7 +563,39 @@ export default function App() {
               )}
 
               {activeTab === 'preview' && (
-                <UIPreviewPanel colors={activePalette.length >= 3 ? activePalette : harmonyColors} />
+                <div className="space-y-8">
+                  <UIPreviewPanel
+                    colors={activePalette.length >= 3 ? activePalette : harmonyColors}
+                    vision={vision}
+                    onVisionChange={setVision}
+                    lowVision={lowVision}
+                    onLowVisionChange={setLowVision}
+                    contrastModel={contrastModel}
+                  />
+                  <EditorThemePanel
+                    colors={activePalette.length > 0 ? activePalette : harmonyColors}
+                    paletteLabel={paletteSource}
+                  />
+                  <ChartPreviewPanel
+                    colors={activePalette.length >= 2 ? activePalette : harmonyColors}
+                    vision={vision}
+                    onVisionChange={setVision}
+                  />
+                </div>
+              )}
+
+              {activeTab === 'terminal' && (
+                <TerminalPanel
+                  colors={activePalette.length > 0 ? activePalette : harmonyColors}
+                  paletteLabel={paletteSource}
+                />
+              )}
+
+              {activeTab === 'dataviz' && (
+                <DataVizPanel
+                  baseColor={selectedColor}
+                  onUsePalette={handleImportedPalette}
+                />
               )}
             </div>
           </div>
@@ -1,14 +1,22 @@
 /**
  * AccessibilityChecker.jsx
  * 
- * WCAG contrast ratio checker + colour blindness simulation.
- * Uses the relative luminance formula from WCAG 2.x specification.
- * Colour-blindness simulation uses the Brettel/Viénot/Mollon matrix method.
+ * WCAG 2 contrast ratio + APCA (WCAG 3 draft) checker, and colour blindness
+ * simulation. WCAG 2 uses the relative luminance formula from the 2.x spec;
+ * APCA values and the font-size lookup come from utils/apca.
+ * Colour-blindness simulation (utils/cvdSimulation) uses the Machado 2009
+ * severity model, so anomalous trichromacy is covered as well as dichromacy.
  */
 
 import { useState, useMemo } from 'react';
-import { Eye, CheckCircle, XCircle, AlertCircle, ChevronDown, ChevronUp } from 'lucide-react';
+import { Eye, CheckCircle, XCircle, AlertCircle, ChevronDown, ChevronUp, Wand2, ArrowRight, Glasses } from 'lucide-react';
 import { oklchToHex } from '../utils/colorUtils';
+import { apcaContrast, apcaLevel, apcaFontSizes, APCA_PASS } from '../utils/apca';
+import { CONTRAST_TARGETS, meetsTarget, suggestContrastFixes, defaultContrastTarget } from '../utils/contrastSolver';
+import { CVD_TYPES, cvdLabel, createCVDSimulator } from '../utils/cvdSimulation';
+import { LOW_VISION_CONDITIONS, createLowVisionSimulator, lowVisionTextReport } from '../utils/lowVision';
+import CVDOptimizer from './CVDOptimizer';
+import SeveritySlider from './SeveritySlider';
 
 // ─── WCAG helpers ─────────────────────────────────────────────────────────────
 
@@ -35,6 +43,18 @@ const WCAG = {
   AAA_large:  4.5,
 };
 
+const CONTRAST_MODELS = [
+  { id: 'wcag', label: 'WCAG 2' },
+  { id: 'apca', label: 'APCA' },
+];
+
+// Whether a pair is usable for body text under the chosen model
+function passesModel(fg, bg, model) {
+  return model === 'apca'
+    ? Math.abs(apcaContrast(fg, bg)) >= APCA_PASS
+    : contrastRatio(fg, bg) >= WCAG.AA_normal;
+}
+
 function getWcagResult(ratio) {
   return {
     AA_normal:  ratio >= WCAG.AA_normal,
@@ -44,93 +64,113 @@ function getWcagResult(ratio) {
   };
 }
 
-// ─── Colour Blindness Simulation ─────────────────────────────────────────────
-// Uses the Brettel (1997) + Viénot (1999) linear-in-LMS simulation.
-// sRGB → LMS (D65) → simulate → LMS → sRGB
-
-// sRGB linearise
-const linearize = v => v <= 0.04045 ? v/12.92 : Math.pow((v+0.055)/1.055, 2.4);
-const delinearize = v => v <= 0.0031308 ? 12.92*v : 1.055*Math.pow(v, 1/2.4)-0.055;
-const clamp = v => Math.max(0, Math.min(1, v));
-
-// Hunt-Pointer-Estévez sRGB→LMS (D65)
-function srgbToLms(r, g, b) {
-  const rl=linearize(r), gl=linearize(g), bl=linearize(b);
-  return [
-     0.4002*rl + 0.7076*gl - 0.0808*bl,
-    -0.2263*rl + 1.1653*gl + 0.0457*bl,
-     0.0000*rl + 0.0000*gl + 0.9182*bl,
-  ];
-}
+// ─── sub-components ───────────────────────────────────────────────────────────
 
-function lmsToSrgb(L, M, S) {
-  const rl =  1.8599364*L - 1.1293816*M + 0.2198974*S;
-  const gl =  0.3611914*L + 0.6388125*M - 0.0000064*S;
-  const bl =  0.0000000*L + 0.0000000*M + 1.0890636*S;
-  return [
-    clamp(delinearize(rl)),
-    clamp(delinearize(gl)),
-    clamp(delinearize(bl)),
-  ];
+function ContrastBadge({ pass }) {
+  return pass
+    ? <span className="flex items-center gap-1 text-green-400 text-[10px]"><CheckCircle size={11}/> Pass</span>
+    : <span className="flex items-center gap-1 text-red-400 text-[10px]"><XCircle size={11}/> Fail</span>;
 }
 
-// Simulation matrices (Viénot 1999 + Brettel 1997)
-const CVD_MATRIX = {
-  protanopia: (L, M, S) => {
-    // L channel zeroed, estimated from M and S
-    const Lsim = 2.02344*M - 2.52581*S;
-    return lmsToSrgb(Lsim, M, S);
-  },
-  deuteranopia: (L, M, S) => {
-    const Msim = 0.494207*L + 0.505793*S;
-    return lmsToSrgb(L, Msim, S);
-  },
-  tritanopia: (L, M, S) => {
-    const Ssim = -0.395913*L + 0.801109*M;
-    return lmsToSrgb(L, M, Ssim);
-  },
-  achromatopsia: (L, M, S) => {
-    const Y = 0.212656*L + 0.715158*M + 0.072186*S;
-    return lmsToSrgb(Y, Y, Y);
-  },
-};
-
-function simulateCVD(hex, type) {
-  const r = parseInt(hex.slice(1,3),16)/255;
-  const g = parseInt(hex.slice(3,5),16)/255;
-  const b = parseInt(hex.slice(5,7),16)/255;
-  const [L,M,S] = srgbToLms(r, g, b);
-  const [rs, gs, bs] = CVD_MATRIX[type](L,M,S);
-  const to255 = v => Math.round(v*255).toString(16).padStart(2,'0');
-  return `#${to255(rs)}${to255(gs)}${to255(bs)}`;
+function FontSizeTable({ lc }) {
+  const sizes = apcaFontSizes(lc);
+  return (
+    <div className="grid grid-cols-9 gap-px bg-[#1a1a24] rounded-lg overflow-hidden text-center">
+      {sizes.map(({ weight }) => (
+        <div key={weight} className="bg-[#0a0a0f] py-1 text-[9px] text-[#55556a]">{weight}</div>
+      ))}
+      {sizes.map(({ weight, size, nonText }) => (
+        <div
+          key={weight}
+          className={`bg-[#12121a] py-1 text-[10px] font-mono ${size ? 'text-[#f0f0f5]' : 'text-[#3a3a4a]'}`}
+          title={size ? `${weight} weight: ${size}px or larger` : nonText ? 'Non-text elements only' : 'Not usable'}
+        >
+          {size ?? (nonText ? '◇' : '—')}
+        </div>
+      ))}
+    </div>
+  );
 }
 
-const CVD_TYPES = [
-  { id: 'normal',       label: 'Normal',        description: 'Trichromatic vision' },
-  { id: 'protanopia',   label: 'Protanopia',    description: 'Red-blind (~1% men)' },
-  { id: 'deuteranopia', label: 'Deuteranopia',  description: 'Green-blind (~1% men)' },
-  { id: 'tritanopia',   label: 'Tritanopia',    description: 'Blue-blind (~0.01%)' },
-  { id: 'achromatopsia',label: 'Achromatopsia', description: 'No colour vision (~0.003%)' },
-];
+function FixOption({ title, from, fix, canApply, onApply }) {
+  if (!fix) {
+    return (
+      <div className="flex items-center justify-between text-[10px] text-[#55556a]">
+        <span>{title}</span>
+        <span>No colour of this hue reaches the target</span>
+      </div>
+    );
+  }
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-20 text-[10px] text-[#8888a0]">{title}</span>
+      <div className="w-4 h-4 rounded" style={{ backgroundColor: from }} />
+      <ArrowRight size={10} className="text-[#55556a]" />
+      <div className="w-4 h-4 rounded" style={{ backgroundColor: fix.hex }} />
+      <span className="text-[10px] font-mono text-[#f0f0f5]">{fix.hex}</span>
+      <span className="text-[10px] text-[#55556a]">ΔE {(fix.deltaE * 100).toFixed(1)}</span>
+      <button
+        onClick={onApply}
+        disabled={!canApply}
+        title={canApply ? 'Replace this colour in the palette' : 'Not a palette colour'}
+        className="ml-auto px-2 py-0.5 rounded-md text-[10px] font-medium bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30 hover:bg-[#ff6b4a]/25 disabled:opacity-30 disabled:pointer-events-none"
+      >
+        Apply
+      </button>
+    </div>
+  );
+}
 
-// ─── sub-components ───────────────────────────────────────────────────────────
+function ContrastFixer({ fg, bg, fgColor, bgColor, fgIndex, bgIndex, target, onFix }) {
+  // Only solved once the pair is opened; each side is a short bisection search
+  const fixes = useMemo(
+    () => suggestContrastFixes(fgColor ?? fg, bgColor ?? bg, target),
+    [fg, bg, fgColor, bgColor, target]
+  );
 
-function ContrastBadge({ pass }) {
-  return pass
-    ? <span className="flex items-center gap-1 text-green-400 text-[10px]"><CheckCircle size={11}/> Pass</span>
-    : <span className="flex items-center gap-1 text-red-400 text-[10px]"><XCircle size={11}/> Fail</span>;
+  return (
+    <div className="mt-3 pt-3 border-t border-[#1a1a24] space-y-2">
+      <p className="flex items-center gap-1.5 text-[10px] text-[#8888a0] uppercase tracking-wider">
+        <Wand2 size={10} /> Nearest fix for {target.label}
+      </p>
+      <FixOption
+        title="Adjust text"
+        from={fg}
+        fix={fixes.fg}
+        canApply={fgIndex != null && !!onFix}
+        onApply={() => onFix(fgIndex, fixes.fg.color)}
+      />
+      <FixOption
+        title="Adjust background"
+        from={bg}
+        fix={fixes.bg}
+        canApply={bgIndex != null && !!onFix}
+        onApply={() => onFix(bgIndex, fixes.bg.color)}
+      />
+      <p className="text-[10px] text-[#55556a]">
+        Hue is kept; lightness moves first and chroma only drops when that lands closer to the original.
+      </p>
+    </div>
+  );
 }
 
-function ContrastPair({ fg, bg, label }) {
+function ContrastPair({ fg, bg, label, model, target, onFix, ...sides }) {
   const ratio = contrastRatio(fg, bg);
   const wcag = getWcagResult(ratio);
+  const lc = apcaContrast(fg, bg);
+  const apca = apcaLevel(lc);
   const [expanded, setExpanded] = useState(false);
 
-  const overallLevel = wcag.AAA_normal ? 'AAA'
+  const overallLevel = model === 'apca'
+    ? (apca ? apca.label : 'Fail')
+    : wcag.AAA_normal ? 'AAA'
     : wcag.AA_normal ? 'AA'
     : wcag.AA_large ? 'AA Large'
     : 'Fail';
-  const levelColor = wcag.AAA_normal ? '#4ade80' : wcag.AA_normal ? '#86efac' : wcag.AA_large ? '#fbbf24' : '#f87171';
+  const absLc = Math.abs(lc);
+  const levelColor = model === 'apca'
+    ? (absLc >= 90 ? '#4ade80' : absLc >= APCA_PASS ? '#86efac' : absLc >= 45 ? '#fbbf24' : '#f87171')
+    : wcag.AAA_normal ? '#4ade80' : wcag.AA_normal ? '#86efac' : wcag.AA_large ? '#fbbf24' : '#f87171';
 
   return (
     <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] overflow-hidden">
@@ -154,7 +194,8 @@ function ContrastPair({ fg, bg, label }) {
             <div className="w-4 h-4 rounded" style={{ backgroundColor: bg }} />
           </div>
           <span className="text-xs text-[#8888a0]">{label}</span>
-          <span className="text-xs font-mono text-[#f0f0f5]">{ratio.toFixed(2)}:1</span>
+          <span className={`text-xs font-mono ${model === 'wcag' ? 'text-[#f0f0f5]' : 'text-[#55556a]'}`}>{ratio.toFixed(2)}:1</span>
+          <span className={`text-xs font-mono ${model === 'apca' ? 'text-[#f0f0f5]' : 'text-[#55556a]'}`}>Lc {lc.toFixed(1)}</span>
         </div>
         <div className="flex items-center gap-2">
           <span className="text-xs font-medium" style={{ color: levelColor }}>{overallLevel}</span>
@@ -186,6 +227,23 @@ function ContrastPair({ fg, bg, label }) {
           <p className="mt-2 text-[10px] text-[#55556a]">
             Large text = 18pt normal or 14pt bold (≥24px or ≥18.67px bold)
           </p>
+
+          <div className="mt-3 space-y-1.5">
+            <div className="flex justify-between text-xs">
+              <span className="text-[#55556a]">APCA</span>
+              <span className="text-[#8888a0]">
+                Lc {absLc.toFixed(1)}{apca ? ` · ${apca.description}` : ' · Not usable'}
+              </span>
+            </div>
+            <FontSizeTable lc={lc} />
+            <p className="text-[10px] text-[#55556a]">
+              Minimum font size (px) per weight. ◇ = non-text only. APCA is polarity-aware: swapping text and background changes Lc.
+            </p>
+          </div>
+
+          {!meetsTarget(fg, bg, target) && (
+            <ContrastFixer fg={fg} bg={bg} target={target} onFix={onFix} {...sides} />
+          )}
         </div>
       )}
     </div>
@@ -194,9 +252,35 @@ function ContrastPair({ fg, bg, label }) {
 
 // ─── main component ───────────────────────────────────────────────────────────
 
-export default function AccessibilityChecker({ colors = [], baseColor }) {
+export default function AccessibilityChecker({
+  colors = [],
+  baseColor,
+  contrastModel = 'wcag',
+  onContrastModelChange,
+  onApplyFix,
+  vision = { type: 'normal', severity: 1 },
+  onVisionChange,
+  lockedIndices = [],
+  onLockToggle,
+  lowVision = { type: 'none', severity: 0.5 },
+  onLowVisionChange,
+}) {
   const [activeTab, setActiveTab] = useState('contrast');
-  const [cvdType, setCvdType] = useState('normal');
+  const cvdType = vision.type;
+  const simulate = useMemo(
+    () => createCVDSimulator(vision.type, vision.severity),
+    [vision.type, vision.severity]
+  );
+  const [fixTargetId, setFixTargetId] = useState(null);
+
+  // Until the user picks one, the fix target follows the grading model
+  const fixTarget = CONTRAST_TARGETS.find(t => t.id === fixTargetId)
+    ?? defaultContrastTarget(contrastModel);
+
+  const handleFix = (index, color) => {
+    // The fixed colour keeps the role of the one it replaces
+    onApplyFix?.(colors.map((c, i) => (i === index ? (c.role ? { ...color, role: c.role } : color) : c)));
+  };
 
   const hexColors = useMemo(() => colors.map(c => oklchToHex(c)), [colors]);
   const baseHex = baseColor ? oklchToHex(baseColor) : '#7d7df9';
@@ -205,32 +289,41 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
   const contrastPairs = useMemo(() => {
     if (hexColors.length < 2) return [];
     const pairs = [];
+    // Palette sides carry their index and OKLCH colour so fixes can be applied back
+    const side = (key, i) => (i == null ? {} : { [`${key}Index`]: i, [`${key}Color`]: colors[i] });
+    const pair = (fgI, bgI, label, fgHex, bgHex) => ({
+      fg: fgHex ?? hexColors[fgI],
+      bg: bgHex ?? hexColors[bgI],
+      label,
+      ...side('fg', fgI),
+      ...side('bg', bgI),
+    });
     // Darkest vs lightest (most likely real combination)
-    const sorted = [...hexColors].sort((a,b) => relativeLuminance(a) - relativeLuminance(b));
+    const sorted = hexColors.map((_, i) => i)
+      .sort((a,b) => relativeLuminance(hexColors[a]) - relativeLuminance(hexColors[b]));
     const darkest = sorted[0];
     const lightest = sorted[sorted.length-1];
-    pairs.push({ fg: darkest, bg: lightest, label: `Darkest on Lightest` });
-    pairs.push({ fg: lightest, bg: darkest, label: `Lightest on Darkest` });
+    pairs.push(pair(darkest, lightest, `Darkest on Lightest`));
+    pairs.push(pair(lightest, darkest, `Lightest on Darkest`));
     // Each colour on white and black
     hexColors.forEach((hex,i) => {
-      pairs.push({ fg: hex,   bg: '#ffffff', label: `Color ${i+1} on White` });
-      pairs.push({ fg: hex,   bg: '#0a0a0f', label: `Color ${i+1} on Dark` });
+      pairs.push(pair(i, null, `Color ${i+1} on White`, hex, '#ffffff'));
+      pairs.push(pair(i, null, `Color ${i+1} on Dark`, hex, '#0a0a0f'));
     });
     // Adjacent pairs
     for (let i = 0; i < hexColors.length - 1; i++) {
-      pairs.push({ fg: hexColors[i], bg: hexColors[i+1], label: `Color ${i+1} on ${i+2}` });
+      pairs.push(pair(i, i+1, `Color ${i+1} on ${i+2}`));
     }
     return pairs;
-  }, [hexColors]);
+  }, [colors, hexColors]);
 
-  const passPairs = contrastPairs.filter(p => contrastRatio(p.fg, p.bg) >= WCAG.AA_normal);
-  const failPairs = contrastPairs.filter(p => contrastRatio(p.fg, p.bg) < WCAG.AA_normal);
+  const passPairs = contrastPairs.filter(p => passesModel(p.fg, p.bg, contrastModel));
+  const failPairs = contrastPairs.filter(p => !passesModel(p.fg, p.bg, contrastModel));
 
   // Simulated palette
   const simulatedPalette = useMemo(() => {
-    if (cvdType === 'normal') return hexColors;
-    return hexColors.map(hex => simulateCVD(hex, cvdType));
-  }, [hexColors, cvdType]);
+    return hexColors.map(simulate);
+  }, [hexColors, simulate]);
 
   const allColorsForSimulation = useMemo(() => {
     const all = [...hexColors];
@@ -239,9 +332,17 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
   }, [hexColors, baseHex]);
 
   const simulatedAll = useMemo(() => {
-    if (cvdType === 'normal') return allColorsForSimulation;
-    return allColorsForSimulation.map(hex => simulateCVD(hex, cvdType));
-  }, [allColorsForSimulation, cvdType]);
+    return allColorsForSimulation.map(simulate);
+  }, [allColorsForSimulation, simulate]);
+
+  const lowVisionSim = useMemo(
+    () => createLowVisionSimulator(lowVision.type, lowVision.severity),
+    [lowVision.type, lowVision.severity]
+  );
+  const lowVisionReport = useMemo(
+    () => lowVisionTextReport(contrastPairs, lowVision.severity),
+    [contrastPairs, lowVision.severity]
+  );
 
   if (!colors.length) {
     return (
@@ -259,7 +360,7 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
       <div className="grid grid-cols-3 gap-2">
         {[
           { label: 'Total pairs', value: contrastPairs.length, color: '#8888a0' },
-          { label: 'AA pass', value: passPairs.length, color: '#4ade80' },
+          { label: contrastModel === 'apca' ? `Lc ${APCA_PASS}+` : 'AA pass', value: passPairs.length, color: '#4ade80' },
           { label: 'Needs work', value: failPairs.length, color: failPairs.length > 0 ? '#f87171' : '#4ade80' },
         ].map(({ label, value, color }) => (
           <div key={label} className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-3 text-center">
@@ -274,6 +375,7 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
         {[
           { id: 'contrast',  label: 'Contrast',       icon: AlertCircle },
           { id: 'blindness', label: 'Colour Vision',   icon: Eye },
+          { id: 'lowvision', label: 'Low Vision',      icon: Glasses },
         ].map(({ id, label, icon: Icon }) => (
           <button
             key={id}
@@ -292,8 +394,40 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
       {/* ── CONTRAST TAB ──────────────────────────────────────────────── */}
       {activeTab === 'contrast' && (
         <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Grade by</p>
+            <div className="flex gap-1 bg-[#0a0a0f] p-1 rounded-lg">
+              {CONTRAST_MODELS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => onContrastModelChange?.(id)}
+                  className={`px-2.5 py-1 rounded-md text-[10px] font-medium transition-colors ${
+                    contrastModel === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Fix to</p>
+            <div className="flex gap-1 bg-[#0a0a0f] p-1 rounded-lg">
+              {CONTRAST_TARGETS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => setFixTargetId(id)}
+                  className={`px-2 py-1 rounded-md text-[10px] font-medium transition-colors ${
+                    fixTarget.id === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
           {contrastPairs.slice(0, 10).map((pair, i) => (
-            <ContrastPair key={i} {...pair} />
+            <ContrastPair key={i} {...pair} model={contrastModel} target={fixTarget} onFix={onApplyFix ? handleFix : null} />
           ))}
           {contrastPairs.length === 0 && (
             <p className="text-xs text-center text-[#55556a] py-4">
@@ -305,6 +439,10 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
               <strong className="text-[#8888a0]">WCAG 2.1 AA</strong> requires 4.5:1 for normal text (≥3:1 for large text).
               <strong className="text-[#8888a0]"> AAA</strong> requires 7:1 (4.5:1 large). Most apps target AA as a minimum.
             </p>
+            <p className="text-[10px] text-[#55556a] leading-relaxed mt-1.5">
+              <strong className="text-[#8888a0]">APCA</strong> (WCAG 3 draft) grades by lightness contrast Lc: 75 for body text, 90 preferred,
+              60 for larger content text and 45 for headlines. The lookup table gives the smallest usable size per weight.
+            </p>
           </div>
         </div>
       )}
@@ -316,23 +454,25 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
           <div className="space-y-2">
             <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Simulation Type</p>
             <div className="space-y-1.5">
-              {CVD_TYPES.map(({ id, label, description }) => (
+              {CVD_TYPES.map(({ id, label, anomaly, description }) => (
                 <button
                   key={id}
-                  onClick={() => setCvdType(id)}
+                  onClick={() => onVisionChange?.({ ...vision, type: id })}
                   className={`w-full flex items-center justify-between px-3 py-2.5 rounded-xl border text-left transition-colors ${
                     cvdType === id
                       ? 'bg-[#ff6b4a]/10 border-[#ff6b4a]/30 text-[#ff6b4a]'
                       : 'bg-[#12121a] border-[#1a1a24] text-[#8888a0] hover:border-[#252530]'
                   }`}
                 >
-                  <span className="text-xs font-medium">{label}</span>
+                  <span className="text-xs font-medium">{anomaly ? `${anomaly} / ${label}` : label}</span>
                   <span className="text-[10px] text-[#55556a]">{description}</span>
                 </button>
               ))}
             </div>
           </div>
 
+          <SeveritySlider state={vision} onChange={v => onVisionChange?.(v)} />
+
           {/* Before/after palette strip */}
           <div className="space-y-2">
             <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">
@@ -373,15 +513,118 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
               </div>
               <div className="flex gap-3 text-[10px] text-[#55556a]">
                 <span>↑ Original</span>
-                <span>↓ {CVD_TYPES.find(t=>t.id===cvdType)?.label}</span>
+                <span>↓ {cvdLabel(cvdType, vision.severity)}</span>
               </div>
             </div>
           )}
 
+          <CVDOptimizer
+            colors={colors}
+            lockedIndices={lockedIndices}
+            onLockToggle={onLockToggle}
+            onApplyFix={onApplyFix}
+          />
+
+          <div className="bg-[#12121a] rounded-lg p-3 border border-[#1a1a24]">
+            <p className="text-[10px] text-[#55556a] leading-relaxed">
+              Simulation uses the <strong className="text-[#8888a0]">Machado, Oliveira &amp; Fernandes (2009)</strong> model; below 100%
+              severity it shows the anomalous form (protanomaly, deuteranomaly, tritanomaly). Red-green deficiencies affect ~8% of men
+              and ~0.5% of women of Northern European descent, most of them anomalous rather than dichromatic.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* ── LOW VISION TAB ────────────────────────────────────────────── */}
+      {activeTab === 'lowvision' && (
+        <div className="space-y-4">
+          <div className="space-y-1.5">
+            {[{ id: 'none', label: 'None', description: 'Typical acuity and contrast' }, ...LOW_VISION_CONDITIONS].map(({ id, label, description }) => (
+              <button
+                key={id}
+                onClick={() => onLowVisionChange?.({ ...lowVision, type: id })}
+                className={`w-full flex items-center justify-between px-3 py-2.5 rounded-xl border text-left transition-colors ${
+                  lowVision.type === id
+                    ? 'bg-[#ff6b4a]/10 border-[#ff6b4a]/30 text-[#ff6b4a]'
+                    : 'bg-[#12121a] border-[#1a1a24] text-[#8888a0] hover:border-[#252530]'
+                }`}
+              >
+                <span className="text-xs font-medium">{label}</span>
+                <span className="text-[10px] text-[#55556a]">{description}</span>
+              </button>
+            ))}
+          </div>
+
+          <SeveritySlider
+            state={lowVision}
+            off="none"
+            labels={['Mild', 'Severe']}
+            onChange={v => onLowVisionChange?.(v)}
+          />
+
+          {/* Palette and text samples through the condition */}
+          <div className="space-y-2" style={{ filter: lowVisionSim.filter || undefined }}>
+            <div className="h-12 rounded-xl overflow-hidden flex">
+              {allColorsForSimulation.map((hex, i) => (
+                <div key={i} className="flex-1" style={{ backgroundColor: lowVisionSim.color(hex) }} />
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {contrastPairs.slice(0, 4).map((pair, i) => (
+                <div
+                  key={i}
+                  className="rounded-lg px-3 py-2 text-xs"
+                  style={{ backgroundColor: lowVisionSim.color(pair.bg), color: lowVisionSim.color(pair.fg) }}
+                >
+                  {pair.label}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Which AA pairs each condition breaks */}
+          <div className="space-y-2">
+            <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">
+              AA text pairs lost at {Math.round(lowVision.severity * 100)}% severity
+            </p>
+            {lowVisionReport.map(({ condition, failing }) => (
+              <div
+                key={condition.id}
+                className={`bg-[#12121a] rounded-xl border p-3 ${
+                  condition.id === lowVision.type ? 'border-[#ff6b4a]/30' : 'border-[#1a1a24]'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-[#8888a0]">{condition.label}</span>
+                  {failing.length === 0
+                    ? <ContrastBadge pass />
+                    : <span className="text-[10px] text-red-400">{failing.length} pair{failing.length === 1 ? '' : 's'} below AA</span>}
+                </div>
+                {failing.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {failing.map(({ pair, before, after }) => (
+                      <li key={pair.label} className="flex items-center gap-2 text-[10px]">
+                        <div className="flex gap-0.5">
+                          <div className="w-3 h-3 rounded-sm" style={{ backgroundColor: pair.fg }} />
+                          <div className="w-3 h-3 rounded-sm" style={{ backgroundColor: pair.bg }} />
+                        </div>
+                        <span className="text-[#8888a0]">{pair.label}</span>
+                        <span className="ml-auto font-mono text-[#55556a]">
+                          {before.toFixed(2)} → <span className="text-red-400">{after.toFixed(2)}</span>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+
           <div className="bg-[#12121a] rounded-lg p-3 border border-[#1a1a24]">
             <p className="text-[10px] text-[#55556a] leading-relaxed">
-              Simulation uses the <strong className="text-[#8888a0]">Brettel/Viénot/Mollon (1997/1999)</strong> linear LMS model.
-              Combined, protanopia + deuteranopia affect ~8% of men and ~0.5% of women of Northern European descent.
+              These are first-order approximations: contrast loss squeezes colours towards mid grey, blur mixes thin text
+              strokes into the background, cataract filters out blue and adds haze, and glare adds reflected light to every
+              colour. Pairs that only just pass AA are the first to go.
             </p>
           </div>
         </div>
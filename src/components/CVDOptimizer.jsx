@@ -0,0 +1,166 @@
+/**
+ * CVDOptimizer.jsx
+ * Finds small OKLCH adjustments that keep every palette pair distinguishable
+ * under protan, deutan and tritan vision, with before/after confusion
+ * matrices. Locked colours are left alone.
+ */
+
+import { useState, useMemo } from 'react';
+import { Lock, Unlock, Sparkles, Check } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import { cvdConfusionMatrix, optimizeForCVD, DEFAULT_CVD_THRESHOLD } from '../utils/cvdOptimizer';
+
+const TYPE_SHORT = { protan: 'P', deutan: 'D', tritan: 'T' };
+
+function ConfusionMatrix({ title, hexes, matrix, threshold }) {
+  const n = hexes.length;
+  return (
+    <div className="space-y-1.5">
+      <p className="text-[10px] text-[#55556a] uppercase tracking-wider">{title}</p>
+      <div className="grid gap-0.5" style={{ gridTemplateColumns: `repeat(${n + 1}, minmax(0, 1fr))` }}>
+        <div />
+        {hexes.map((hex, i) => (
+          <div key={i} className="h-3 rounded-sm" style={{ backgroundColor: hex }} />
+        ))}
+        {hexes.map((rowHex, i) => [
+          <div key={`h${i}`} className="rounded-sm" style={{ backgroundColor: rowHex }} />,
+          ...hexes.map((_, j) => {
+            const cell = matrix[i][j];
+            if (!cell) return <div key={j} className="aspect-square rounded-sm bg-[#0a0a0f]" />;
+            const fails = cell.deltaE < threshold;
+            return (
+              <div
+                key={j}
+                className={`aspect-square rounded-sm flex items-center justify-center text-[8px] font-mono ${
+                  fails ? 'bg-red-500/25 text-red-300' : 'bg-green-500/10 text-green-300/70'
+                }`}
+                title={`ΔE2000 ${cell.deltaE.toFixed(1)} (worst: ${cell.type})`}
+              >
+                {fails ? `${Math.round(cell.deltaE)}${TYPE_SHORT[cell.type]}` : Math.round(cell.deltaE)}
+              </div>
+            );
+          }),
+        ])}
+      </div>
+    </div>
+  );
+}
+
+export default function CVDOptimizer({ colors = [], lockedIndices = [], onLockToggle, onApplyFix }) {
+  const [threshold, setThreshold] = useState(DEFAULT_CVD_THRESHOLD);
+  // A result belongs to the palette and threshold it was computed for
+  const [run, setRun] = useState(null);
+  const result = run && run.colors === colors && run.threshold === threshold ? run.result : null;
+
+  const hexes = useMemo(() => colors.map(oklchToHex), [colors]);
+  const current = useMemo(() => cvdConfusionMatrix(colors, threshold), [colors, threshold]);
+
+  const optimize = () => {
+    setRun({ colors, threshold, result: optimizeForCVD(colors, { threshold, locked: lockedIndices }) });
+  };
+
+  if (colors.length < 2) return null;
+
+  return (
+    <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">CVD-safe optimizer</p>
+        <span className={`text-[10px] ${current.conflicts.length ? 'text-red-400' : 'text-green-400'}`}>
+          {current.conflicts.length
+            ? `${current.conflicts.length} confusable pair${current.conflicts.length === 1 ? '' : 's'}`
+            : 'All pairs distinguishable'}
+        </span>
+      </div>
+
+      {/* Lockable palette */}
+      <div className="flex gap-1.5">
+        {hexes.map((hex, i) => {
+          const locked = lockedIndices.includes(i);
+          return (
+            <button
+              key={i}
+              onClick={() => onLockToggle?.(i)}
+              disabled={!onLockToggle}
+              className="flex-1 h-9 rounded-lg flex items-end justify-end p-1"
+              style={{ backgroundColor: hex }}
+              title={locked ? 'Locked — the optimizer keeps this colour' : 'Click to lock'}
+            >
+              {locked
+                ? <Lock size={10} className="text-white drop-shadow" />
+                : <Unlock size={10} className="text-white/40 drop-shadow" />}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="space-y-1">
+        <div className="flex justify-between text-[10px]">
+          <span className="text-[#55556a] uppercase tracking-wider">Min. difference (ΔE2000)</span>
+          <span className="text-[#8888a0] font-mono">{threshold}</span>
+        </div>
+        <input
+          type="range"
+          min={3}
+          max={30}
+          step={1}
+          value={threshold}
+          onChange={e => setThreshold(Number(e.target.value))}
+          className="w-full accent-[#ff6b4a]"
+        />
+      </div>
+
+      <button
+        onClick={optimize}
+        disabled={current.conflicts.length === 0}
+        className="w-full flex items-center justify-center gap-1.5 py-2 rounded-lg text-xs font-medium bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30 hover:bg-[#ff6b4a]/25 disabled:opacity-30 disabled:pointer-events-none"
+      >
+        <Sparkles size={12} /> Optimize for protan, deutan & tritan
+      </button>
+
+      <div className={`grid gap-4 ${result ? 'grid-cols-2' : 'grid-cols-1'}`}>
+        <ConfusionMatrix title="Before" hexes={hexes} matrix={current.matrix} threshold={threshold} />
+        {result && (
+          <ConfusionMatrix
+            title="After"
+            hexes={result.colors.map(oklchToHex)}
+            matrix={result.after.matrix}
+            threshold={threshold}
+          />
+        )}
+      </div>
+
+      {result && (
+        <div className="space-y-2">
+          <div className="h-8 rounded-lg overflow-hidden flex">
+            {result.colors.map((c, i) => (
+              <div
+                key={i}
+                className={`flex-1 ${result.changed.includes(i) ? 'ring-2 ring-inset ring-white/60' : ''}`}
+                style={{ backgroundColor: oklchToHex(c) }}
+              />
+            ))}
+          </div>
+          <p className="text-[10px] text-[#55556a]">
+            {result.changed.length === 0
+              ? 'No unlocked colour could be moved to help — try unlocking some or lowering the threshold.'
+              : `${result.changed.length} colour${result.changed.length === 1 ? '' : 's'} adjusted (outlined). `}
+            {result.changed.length > 0 && !result.resolved &&
+              `${result.after.conflicts.length} pair${result.after.conflicts.length === 1 ? '' : 's'} still below the threshold.`}
+          </p>
+          <button
+            onClick={() => onApplyFix?.(result.colors)}
+            disabled={result.changed.length === 0 || !onApplyFix}
+            className="w-full flex items-center justify-center gap-1.5 py-2 rounded-lg text-xs font-medium bg-[#1a1a24] text-[#f0f0f5] hover:bg-[#252530] disabled:opacity-30 disabled:pointer-events-none"
+          >
+            <Check size={12} /> Apply to palette
+          </button>
+        </div>
+      )}
+
+      <p className="text-[10px] text-[#55556a] leading-relaxed">
+        Cells show the smallest CIEDE2000 difference across simulated protanopia (P), deuteranopia (D) and
+        tritanopia (T). Red cells fall below the threshold.
+      </p>
+    </div>
+  );
+}
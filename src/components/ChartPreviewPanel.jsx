@@ -0,0 +1,359 @@
+/**
+ * ChartPreviewPanel.jsx
+ * The active palette applied to common chart types (bar, stacked area, line,
+ * pie, scatter, heatmap, choropleth grid) as lightweight SVG, viewed through
+ * the shared colour-vision simulation. Series that collapse into each other
+ * under the current simulation are flagged.
+ */
+
+import { useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { interpolate } from 'culori';
+import { oklchToHex, toOklch, wcagContrast } from '../utils/colorUtils';
+import { CVD_TYPES, cvdLabel, createCVDSimulator } from '../utils/cvdSimulation';
+import { confusablePairs, DEFAULT_CVD_THRESHOLD } from '../utils/cvdOptimizer';
+import SeveritySlider from './SeveritySlider';
+
+const W = 200;
+const H = 120;
+const PAD = { l: 18, r: 6, t: 8, b: 16 };
+const AXIS = '#2a2a36';
+const LABEL = '#55556a';
+// Slice labels take whichever of these reads better on the slice
+const LABEL_DARK = '#0a0a0f';
+const LABEL_LIGHT = '#f0f0f5';
+
+const SERIES_NAMES = 'ABCDEFGHIJKL'.split('').map(ch => `Series ${ch}`);
+const CATEGORIES = ['Q1', 'Q2', 'Q3', 'Q4'];
+const POINTS = 8;
+
+const SHORT_LABELS = {
+  normal: 'Normal',
+  protan: 'Protan',
+  deutan: 'Deutan',
+  tritan: 'Tritan',
+  achromatopsia: 'Achroma',
+  blueCone: 'BCM',
+};
+
+// Deterministic sample data so charts don't jump around between renders
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function buildData(seriesCount) {
+  const rand = mulberry32(42);
+  const series = Array.from({ length: seriesCount }, (_, s) => s);
+  return {
+    bars: series.map(() => CATEGORIES.map(() => 20 + rand() * 70)),
+    areas: series.map(() => Array.from({ length: POINTS }, () => 4 + rand() * 10)),
+    lines: series.map(() => {
+      let v = 30 + rand() * 40;
+      return Array.from({ length: POINTS }, () => (v = Math.max(5, Math.min(95, v + (rand() - 0.5) * 25))));
+    }),
+    pie: series.map(() => 1 + rand() * 3),
+    scatter: series.map(s => {
+      const cx = 15 + ((s * 37) % 70);
+      const cy = 20 + ((s * 53) % 60);
+      return Array.from({ length: 10 }, () => [cx + (rand() - 0.5) * 28, cy + (rand() - 0.5) * 28]);
+    }),
+    heat: Array.from({ length: 6 }, (_, r) =>
+      Array.from({ length: 12 }, (_, c) => 0.5 + 0.5 * Math.sin(c / 2.2 + r / 1.7) * Math.cos(r / 2.5 - c / 5))
+    ),
+    regions: Array.from({ length: 7 }, (_, r) =>
+      Array.from({ length: 12 }, (_, c) => {
+        // Rough blob so the grid reads as a map rather than a table
+        const inside = ((c - 5.5) / 6) ** 2 + ((r - 3) / 3.6) ** 2 < 1 - rand() * 0.15;
+        return inside ? rand() : null;
+      })
+    ),
+  };
+}
+
+// ─── chart primitives ─────────────────────────────────────────────────────────
+
+function Frame({ title, children, legend }) {
+  return (
+    <div className="bg-[#0a0a0f] rounded-xl border border-[#1a1a24] p-2">
+      <p className="text-[10px] text-[#8888a0] mb-1">{title}</p>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" aria-label={title}>
+        {children}
+      </svg>
+      {legend}
+    </div>
+  );
+}
+
+function Axes({ yTicks = [0, 50, 100], xLabels = [] }) {
+  const plotH = H - PAD.t - PAD.b;
+  const plotW = W - PAD.l - PAD.r;
+  return (
+    <g fontSize="6" fill={LABEL}>
+      {yTicks.map(t => {
+        const y = PAD.t + plotH * (1 - t / 100);
+        return (
+          <g key={t}>
+            <line x1={PAD.l} x2={W - PAD.r} y1={y} y2={y} stroke={AXIS} strokeWidth="0.5" />
+            <text x={PAD.l - 3} y={y + 2} textAnchor="end">{t}</text>
+          </g>
+        );
+      })}
+      {xLabels.map((label, i) => (
+        <text
+          key={label}
+          x={PAD.l + plotW * ((i + 0.5) / xLabels.length)}
+          y={H - 5}
+          textAnchor="middle"
+        >
+          {label}
+        </text>
+      ))}
+    </g>
+  );
+}
+
+function SeriesLegend({ colors, flagged }) {
+  return (
+    <div className="flex flex-wrap gap-x-2 gap-y-0.5 mt-1">
+      {colors.map((hex, i) => (
+        <span key={i} className="flex items-center gap-1 text-[9px] text-[#8888a0]">
+          <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: hex }} />
+          {SERIES_NAMES[i]}
+          {flagged.has(i) && <AlertTriangle size={8} className="text-amber-400" />}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function RampLegend({ ramp, low = 'Low', high = 'High' }) {
+  return (
+    <div className="flex items-center gap-1.5 mt-1 text-[9px] text-[#55556a]">
+      <span>{low}</span>
+      <div className="flex-1 h-1.5 rounded-full overflow-hidden flex">
+        {ramp.map((hex, i) => <div key={i} className="flex-1" style={{ backgroundColor: hex }} />)}
+      </div>
+      <span>{high}</span>
+    </div>
+  );
+}
+
+// ─── main component ───────────────────────────────────────────────────────────
+
+export default function ChartPreviewPanel({ colors = [], vision = { type: 'normal', severity: 1 }, onVisionChange }) {
+  const simulate = useMemo(
+    () => createCVDSimulator(vision.type, vision.severity),
+    [vision.type, vision.severity]
+  );
+
+  const series = useMemo(() => colors.slice(0, SERIES_NAMES.length).map(oklchToHex), [colors]);
+  const shown = useMemo(() => series.map(simulate), [series, simulate]);
+  const data = useMemo(() => buildData(series.length), [series.length]);
+
+  // Ordered light → dark for value-encoded charts
+  const valueScale = useMemo(() => {
+    if (colors.length < 2) return () => '#000000';
+    const sorted = [...colors].map(toOklch).sort((a, b) => b.l - a.l).map(oklchToHex);
+    const interp = interpolate(sorted, 'oklab');
+    // Oklab midpoints between sRGB stops can leave the gamut, so map them back rather than clip
+    return t => simulate(oklchToHex(interp(Math.max(0, Math.min(1, t)))));
+  }, [colors, simulate]);
+  const ramp = useMemo(() => Array.from({ length: 9 }, (_, i) => valueScale(i / 8)), [valueScale]);
+  const classes = useMemo(() => Array.from({ length: 5 }, (_, i) => valueScale(i / 4)), [valueScale]);
+
+  const conflicts = useMemo(() => confusablePairs(shown), [shown]);
+  const flagged = useMemo(() => new Set(conflicts.flatMap(({ i, j }) => [i, j])), [conflicts]);
+
+  if (series.length < 2) {
+    return (
+      <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
+        Need at least 2 colors for chart preview
+      </div>
+    );
+  }
+
+  const plotW = W - PAD.l - PAD.r;
+  const plotH = H - PAD.t - PAD.b;
+  const x = i => PAD.l + (plotW * i) / (POINTS - 1);
+  const y = v => PAD.t + plotH * (1 - v / 100);
+  const legend = <SeriesLegend colors={shown} flagged={flagged} />;
+
+  // Stacked area: running totals, scaled so the top series tops out near 100
+  const stackTotals = Array.from({ length: POINTS }, (_, p) => data.areas.reduce((sum, s) => sum + s[p], 0));
+  const stackScale = 95 / Math.max(...stackTotals);
+  const stacked = data.areas.map((_, s) =>
+    Array.from({ length: POINTS }, (_, p) => data.areas.slice(0, s + 1).reduce((sum, a) => sum + a[p], 0) * stackScale)
+  );
+
+  // Pie slices
+  const pieTotal = data.pie.reduce((a, b) => a + b, 0);
+  let angle = -Math.PI / 2;
+  const slices = data.pie.map((v, i) => {
+    const start = angle;
+    angle += (v / pieTotal) * Math.PI * 2;
+    const r = 44;
+    const [cx, cy] = [W / 2, H / 2];
+    const large = angle - start > Math.PI ? 1 : 0;
+    const p = a => `${cx + r * Math.cos(a)} ${cy + r * Math.sin(a)}`;
+    const mid = (start + angle) / 2;
+    return {
+      d: `M ${cx} ${cy} L ${p(start)} A ${r} ${r} 0 ${large} 1 ${p(angle)} Z`,
+      color: shown[i],
+      label: `${Math.round((v / pieTotal) * 100)}%`,
+      labelColor: wcagContrast(shown[i], LABEL_DARK) >= wcagContrast(shown[i], LABEL_LIGHT) ? LABEL_DARK : LABEL_LIGHT,
+      lx: cx + r * 0.65 * Math.cos(mid),
+      ly: cy + r * 0.65 * Math.sin(mid),
+    };
+  });
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
+        Chart Preview
+        {vision.type !== 'normal' && (
+          <span className="ml-2 normal-case tracking-normal text-[#ff6b4a]">
+            as seen with {cvdLabel(vision.type, vision.severity)}
+          </span>
+        )}
+      </h3>
+
+      {/* CVD toggle */}
+      <div className="flex flex-wrap gap-1 bg-[#0a0a0f] p-1 rounded-lg">
+        {CVD_TYPES.map(({ id, label, anomaly }) => (
+          <button
+            key={id}
+            onClick={() => onVisionChange?.({ ...vision, type: id })}
+            className={`px-2 py-1 rounded-md text-[10px] font-medium transition-colors ${
+              vision.type === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'
+            }`}
+            title={anomaly ? `${anomaly} / ${label}` : label}
+          >
+            {SHORT_LABELS[id]}
+          </button>
+        ))}
+      </div>
+      {vision.type !== 'normal' && (
+        <SeveritySlider state={vision} onChange={v => onVisionChange?.(v)} />
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="flex items-start gap-2 p-2 rounded-lg bg-amber-500/10 border border-amber-500/20">
+          <AlertTriangle size={12} className="text-amber-400 shrink-0 mt-0.5" />
+          <p className="text-[10px] text-amber-200/80 leading-relaxed">
+            {conflicts.map(({ i, j, deltaE }) => `${SERIES_NAMES[i]} / ${SERIES_NAMES[j]} (ΔE ${deltaE.toFixed(1)})`).join(', ')}
+            {' '}are hard to tell apart{vision.type !== 'normal' ? ` with ${cvdLabel(vision.type, vision.severity).toLowerCase()}` : ''}.
+            Below ΔE2000 {DEFAULT_CVD_THRESHOLD}, add labels, patterns or direct annotation.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <Frame title="Bar" legend={legend}>
+          <Axes xLabels={CATEGORIES} />
+          {CATEGORIES.map((_, c) => {
+            const groupW = plotW / CATEGORIES.length;
+            const barW = (groupW * 0.8) / series.length;
+            return data.bars.map((values, s) => (
+              <rect
+                key={`${c}-${s}`}
+                x={PAD.l + groupW * c + groupW * 0.1 + barW * s}
+                y={y(values[c])}
+                width={Math.max(0.5, barW - 0.5)}
+                height={plotH * (values[c] / 100)}
+                fill={shown[s]}
+              />
+            ));
+          })}
+        </Frame>
+
+        <Frame title="Stacked area" legend={legend}>
+          <Axes />
+          {stacked.map((top, s) => {
+            const bottom = s === 0 ? top.map(() => 0) : stacked[s - 1];
+            const path = [
+              ...top.map((v, p) => `${p === 0 ? 'M' : 'L'} ${x(p)} ${y(v)}`),
+              ...bottom.map((v, p) => `L ${x(POINTS - 1 - p)} ${y(bottom[POINTS - 1 - p])}`),
+              'Z',
+            ].join(' ');
+            return <path key={s} d={path} fill={shown[s]} stroke="#0a0a0f" strokeWidth="0.4" />;
+          })}
+        </Frame>
+
+        <Frame title="Line" legend={legend}>
+          <Axes />
+          {data.lines.map((values, s) => (
+            <g key={s}>
+              <polyline
+                points={values.map((v, p) => `${x(p)},${y(v)}`).join(' ')}
+                fill="none"
+                stroke={shown[s]}
+                strokeWidth="1.5"
+              />
+              <text x={W - PAD.r} y={y(values[POINTS - 1]) - 2} fontSize="5" textAnchor="end" fill={shown[s]}>
+                {SERIES_NAMES[s].slice(-1)}
+              </text>
+            </g>
+          ))}
+        </Frame>
+
+        <Frame title="Pie" legend={legend}>
+          {slices.map((slice, i) => (
+            <g key={i}>
+              <path d={slice.d} fill={slice.color} stroke="#0a0a0f" strokeWidth="0.8" />
+              <text x={slice.lx} y={slice.ly + 2} fontSize="6" textAnchor="middle" fill={slice.labelColor}>{slice.label}</text>
+            </g>
+          ))}
+        </Frame>
+
+        <Frame title="Scatter" legend={legend}>
+          <Axes />
+          {data.scatter.map((points, s) => points.map(([px, py], k) => (
+            <circle key={`${s}-${k}`} cx={PAD.l + plotW * (px / 100)} cy={y(py)} r="2" fill={shown[s]} fillOpacity="0.85" />
+          )))}
+        </Frame>
+
+        <Frame title="Heatmap" legend={<RampLegend ramp={ramp} />}>
+          {data.heat.map((row, r) => row.map((v, c) => (
+            <rect
+              key={`${r}-${c}`}
+              x={PAD.l + (plotW / row.length) * c}
+              y={PAD.t + (plotH / data.heat.length) * r}
+              width={plotW / row.length - 0.6}
+              height={plotH / data.heat.length - 0.6}
+              fill={valueScale(v)}
+            />
+          )))}
+          {data.heat.map((_, r) => (
+            <text key={r} x={PAD.l - 3} y={PAD.t + (plotH / data.heat.length) * (r + 0.6)} fontSize="5" textAnchor="end" fill={LABEL}>
+              {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][r]}
+            </text>
+          ))}
+        </Frame>
+
+        <Frame title="Choropleth grid" legend={<RampLegend ramp={classes} low="0–20%" high="80–100%" />}>
+          {data.regions.map((row, r) => row.map((v, c) => v === null ? null : (
+            <rect
+              key={`${r}-${c}`}
+              x={PAD.l + (plotW / row.length) * c}
+              y={PAD.t + (plotH / data.regions.length) * r}
+              width={plotW / row.length - 1}
+              height={plotH / data.regions.length - 1}
+              rx="1"
+              fill={classes[Math.min(classes.length - 1, Math.floor(v * classes.length))]}
+            />
+          )))}
+        </Frame>
+      </div>
+
+      <p className="text-[10px] text-[#55556a] leading-relaxed">
+        Series charts use palette colours in order; heatmap and choropleth use the palette sorted light → dark as a value scale.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * CodeBlock.jsx
+ * Generated file contents with its filename, a Save button and an optional
+ * Copy button, as used by every export panel.
+ */
+
+import { Copy, Download, Check } from 'lucide-react';
+
+export default function CodeBlock({ code, id, filename, copied, onCopy, onDownload }) {
+  return (
+    <div className="rounded-xl border border-[#1a1a24] overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2.5 bg-[#0a0a0f] border-b border-[#1a1a24]">
+        <span className="text-[10px] font-mono text-[#55556a]">{filename}</span>
+        <div className="flex gap-2">
+          <button
+            onClick={onDownload}
+            className="flex items-center gap-1 px-2.5 py-1 rounded-md text-[10px] text-[#55556a] hover:text-[#8888a0] hover:bg-[#1a1a24] transition-colors"
+          >
+            <Download size={11} /> Save
+          </button>
+          {onCopy && <button
+            onClick={onCopy}
+            className={`flex items-center gap-1 px-2.5 py-1 rounded-md text-[10px] font-medium transition-colors ${
+              copied === id
+                ? 'bg-green-500/20 text-green-400'
+                : 'bg-[#ff6b4a]/10 text-[#ff6b4a] hover:bg-[#ff6b4a]/20'
+            }`}
+          >
+            {copied === id ? <><Check size={11} /> Copied!</> : <><Copy size={11} /> Copy</>}
+          </button>}
+        </div>
+      </div>
+      <pre className="p-4 text-[11px] leading-relaxed font-mono text-[#8888a0] overflow-x-auto max-h-64 whitespace-pre-wrap break-all">
+        {code}
+      </pre>
+    </div>
+  );
+}
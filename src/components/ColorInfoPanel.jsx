@@ -1,9 +1,9 @@
 import React, { useState } from 'react';
-import { Copy, Check } from 'lucide-react';
-import { oklchToHex, wcagContrast } from '../utils/colorUtils';
+import { Copy, Check, AlertTriangle } from 'lucide-react';
+import { oklchToHex, isInGamut, toCssColor, GAMUTS, wcagContrast } from '../utils/colorUtils';
 import { generateColorName } from '../utils/colorNames';
 
-export default function ColorInfoPanel({ color }) {
+export default function ColorInfoPanel({ color, gamut = 'srgb' }) {
   const [copiedFormat, setCopiedFormat] = useState(null);
 
   if (!color) {
@@ -16,21 +16,24 @@ export default function ColorInfoPanel({ color }) {
 
   const hex = oklchToHex(color);
   const name = generateColorName(color);
+  const inGamut = isInGamut(color, gamut);
+  const gamutLabel = GAMUTS[gamut]?.label ?? 'sRGB';
   
   // Calculate RGB
   const r = parseInt(hex.slice(1, 3), 16);
   const g = parseInt(hex.slice(3, 5), 16);
   const b = parseInt(hex.slice(5, 7), 16);
 
-  // Calculate contrast ratios
-  const contrastWithWhite = wcagContrast(color, { mode: 'oklch', l: 1, c: 0, h: 0 });
-  const contrastWithBlack = wcagContrast(color, { mode: 'oklch', l: 0, c: 0, h: 0 });
+  // Calculate contrast ratios (on the displayed, gamut-mapped colour)
+  const contrastWithWhite = wcagContrast(hex, '#ffffff');
+  const contrastWithBlack = wcagContrast(hex, '#000000');
 
   const formats = [
     { label: 'HEX', value: hex },
     { label: 'RGB', value: `rgb(${r}, ${g}, ${b})` },
     { label: 'HSL', value: `hsl(${Math.round(color.h || 0)}, ${Math.round((color.c || 0) * 100)}%, ${Math.round((color.l || 0) * 100)}%)` },
     { label: 'OKLCH', value: `oklch(${(color.l || 0).toFixed(2)} ${(color.c || 0).toFixed(3)} ${Math.round(color.h || 0)})` },
+    ...(gamut !== 'srgb' ? [{ label: gamut === 'p3' ? 'P3' : '2020', value: toCssColor(color, gamut) }] : []),
   ];
 
   const copyToClipboard = async (text, format) => {
@@ -63,7 +66,7 @@ export default function ColorInfoPanel({ color }) {
       <div className="flex items-center gap-3">
         <div 
           className="w-12 h-12 rounded-xl shadow-lg"
-          style={{ backgroundColor: hex }}
+          style={{ backgroundColor: toCssColor(color, gamut) }}
         />
         <div>
           <p className="text-sm font-medium text-[#f0f0f5]">{name}</p>
@@ -71,6 +74,15 @@ export default function ColorInfoPanel({ color }) {
         </div>
       </div>
 
+      {!inGamut && (
+        <div className="flex items-start gap-2 p-2 rounded-lg bg-amber-500/10 border border-amber-500/20">
+          <AlertTriangle size={12} className="text-amber-400 shrink-0 mt-0.5" />
+          <p className="text-[10px] text-amber-200/80 leading-relaxed">
+            Outside the {gamutLabel} gamut. Values shown are gamut-mapped (chroma reduced, lightness and hue kept).
+          </p>
+        </div>
+      )}
+
       {/* Color formats */}
       <div className="space-y-2">
         {formats.map(({ label, value }) => (
@@ -1,12 +1,18 @@
 import React, { useMemo } from 'react';
-import { formatHex, oklch } from 'culori';
+import { oklch } from 'culori';
+import { GAMUTS, toCssColor, maxChromaInGamut } from '../utils/colorUtils';
 
-const ColorSliders = ({ color, onChange }) => {
+const ColorSliders = ({ color, onChange, gamut = 'srgb' }) => {
   // Safely extract OKLCH values with defaults
   const l = color?.l ?? 0.65;
   const c = color?.c ?? 0.18;
   const h = color?.h ?? 0;
 
+  // Chroma range follows the target gamut; the marker shows where this
+  // lightness/hue leaves it
+  const chromaMax = Math.round((GAMUTS[gamut] || GAMUTS.srgb).maxChroma * 100);
+  const gamutEdge = useMemo(() => maxChromaInGamut(l, h, gamut), [l, h, gamut]);
+
   // Generate gradient backgrounds for sliders
   const lightnessGradient = useMemo(() => {
     const stops = [];
@@ -14,29 +20,29 @@ const ColorSliders = ({ color, onChange }) => {
       const lightness = i / 10;
       const col = oklch({ l: lightness, c: c, h: h });
       try {
-        const hex = formatHex(col) || '#888';
+        const hex = toCssColor(col, gamut) || '#888';
         stops.push(hex);
       } catch {
         stops.push('#888');
       }
     }
     return `linear-gradient(to right, ${stops.join(', ')})`;
-  }, [c, h]);
+  }, [c, h, gamut]);
 
   const chromaGradient = useMemo(() => {
     const stops = [];
     for (let i = 0; i <= 10; i++) {
-      const chroma = (i / 10) * 0.4; // Max chroma ~0.4
+      const chroma = (i / 10) * (chromaMax / 100);
       const col = oklch({ l: l, c: chroma, h: h });
       try {
-        const hex = formatHex(col) || '#888';
+        const hex = toCssColor(col, gamut) || '#888';
         stops.push(hex);
       } catch {
         stops.push('#888');
       }
     }
     return `linear-gradient(to right, ${stops.join(', ')})`;
-  }, [l, h]);
+  }, [l, h, gamut, chromaMax]);
 
   const hueGradient = useMemo(() => {
     const stops = [];
@@ -44,14 +50,14 @@ const ColorSliders = ({ color, onChange }) => {
       const hue = (i / 12) * 360;
       const col = oklch({ l: l, c: Math.max(c, 0.15), h: hue });
       try {
-        const hex = formatHex(col) || '#888';
+        const hex = toCssColor(col, gamut) || '#888';
         stops.push(hex);
       } catch {
         stops.push('#888');
       }
     }
     return `linear-gradient(to right, ${stops.join(', ')})`;
-  }, [l, c]);
+  }, [l, c, gamut]);
 
   const handleChange = (property, value) => {
     if (onChange) {
@@ -113,22 +119,28 @@ const ColorSliders = ({ color, onChange }) => {
           <input
             type="number"
             value={Math.round(c * 100)}
-            onChange={(e) => handleChange('c', Math.max(0, Math.min(40, parseInt(e.target.value) || 0)) / 100)}
+            onChange={(e) => handleChange('c', Math.max(0, Math.min(chromaMax, parseInt(e.target.value) || 0)) / 100)}
             className="w-14 bg-[#0a0a0f] border border-[#1a1a24] rounded px-2 py-0.5 text-xs text-right font-mono text-[#f0f0f5] focus:outline-none focus:border-[#ff6b4a]/50"
             min="0"
-            max="40"
+            max={chromaMax}
           />
         </div>
         <div className="relative">
           <input
             type="range"
             min="0"
-            max="40"
+            max={chromaMax}
             value={Math.round(c * 100)}
             onChange={(e) => handleChange('c', parseInt(e.target.value) / 100)}
             className="w-full slider-thumb"
             style={sliderStyle(chromaGradient)}
           />
+          {gamutEdge * 100 < chromaMax && (
+            <div
+              className="absolute top-0 h-3 w-px bg-white/70 pointer-events-none"
+              style={{ left: `${(gamutEdge * 100 / chromaMax) * 100}%` }}
+            />
+          )}
         </div>
       </div>
 
@@ -1,7 +1,11 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { formatHex, oklch } from 'culori';
+import { oklch } from 'culori';
+import { GAMUTS, toCssColor } from '../utils/colorUtils';
 
-const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
+// Outer ring chroma as a share of the gamut's chroma bound (0.25 in sRGB)
+const WHEEL_CHROMA_RATIO = 0.78;
+
+const ColorWheel = ({ selectedColor, onColorSelect, size = 400, gamut = 'srgb' }) => {
   const canvasRef = useRef(null);
   const [isSpinning, setIsSpinning] = useState(false);
   const [selectedSegment, setSelectedSegment] = useState(null);
@@ -10,13 +14,16 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
 
   const SEGMENTS = 36; // 36 segments = 10° each
   const RINGS = 8; // Saturation rings
+  const maxChroma = (GAMUTS[gamut] || GAMUTS.srgb).maxChroma * WHEEL_CHROMA_RATIO;
+  // Canvas backing stores go up to Display P3; Rec.2020 is drawn P3-mapped
+  const canvasGamut = gamut === 'srgb' ? 'srgb' : 'p3';
 
   // Draw the segmented color wheel
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    const ctx = canvas.getContext('2d');
+    const ctx = canvas.getContext('2d', { colorSpace: canvasGamut === 'p3' ? 'display-p3' : 'srgb' });
     const centerX = size / 2;
     const centerY = size / 2;
     const maxRadius = size / 2 - 20;
@@ -28,7 +35,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
     for (let ring = 0; ring < RINGS; ring++) {
       const innerRadius = (ring / RINGS) * maxRadius;
       const outerRadius = ((ring + 1) / RINGS) * maxRadius;
-      const saturation = ((ring + 1) / RINGS) * 0.25; // Max chroma 0.25
+      const saturation = ((ring + 1) / RINGS) * maxChroma;
 
       for (let segment = 0; segment < SEGMENTS; segment++) {
         const hue = (segment / SEGMENTS) * 360;
@@ -39,7 +46,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
         const color = oklch({ l: 0.65, c: saturation, h: hue });
         let hexColor;
         try {
-          hexColor = formatHex(color) || '#888888';
+          hexColor = toCssColor(color, canvasGamut) || '#888888';
         } catch {
           hexColor = '#888888';
         }
@@ -78,7 +85,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
     ctx.fillStyle = '#000000';
     ctx.fill();
 
-  }, [size, selectedSegment, isPulsing, SEGMENTS, RINGS]);
+  }, [size, selectedSegment, isPulsing, SEGMENTS, RINGS, maxChroma, canvasGamut]);
 
   // Handle click on wheel
   const handleClick = useCallback((e) => {
@@ -102,7 +109,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
 
     if (ring >= 0 && ring < RINGS && segment >= 0 && segment < SEGMENTS) {
       const hue = (segment / SEGMENTS) * 360;
-      const saturation = ((ring + 1) / RINGS) * 0.25;
+      const saturation = ((ring + 1) / RINGS) * maxChroma;
 
       // Create color
       const color = { mode: 'oklch', l: 0.65, c: saturation, h: hue };
@@ -117,7 +124,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
       // Notify parent
       if (onColorSelect) onColorSelect(color);
     }
-  }, [size, isSpinning, onColorSelect, SEGMENTS, RINGS]);
+  }, [size, isSpinning, onColorSelect, SEGMENTS, RINGS, maxChroma]);
 
   // Trigger spin animation
   const spinWheel = useCallback(() => {
@@ -132,7 +139,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
       const randomRing = Math.floor(Math.random() * RINGS);
       const randomSegment = Math.floor(Math.random() * SEGMENTS);
       const hue = (randomSegment / SEGMENTS) * 360;
-      const saturation = ((randomRing + 1) / RINGS) * 0.25;
+      const saturation = ((randomRing + 1) / RINGS) * maxChroma;
       const color = { mode: 'oklch', l: 0.65, c: saturation, h: hue };
       
       setSelectedSegment({ ring: randomRing, segment: randomSegment });
@@ -141,12 +148,14 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
       
       if (onColorSelect) onColorSelect(color);
     }, 3000);
-  }, [isSpinning, onColorSelect, SEGMENTS, RINGS]);
+  }, [isSpinning, onColorSelect, SEGMENTS, RINGS, maxChroma]);
 
   return (
     <div className="flex flex-col items-center gap-4">
       <div className="relative">
+        {/* Remount on gamut change: a canvas's colour space is fixed at first getContext() */}
         <canvas
+          key={canvasGamut}
           ref={canvasRef}
           width={size}
           height={size}
@@ -1,4 +1,4 @@
-import { Layout, Zap, BookOpen, Minus, Sparkles, Briefcase } from 'lucide-react';
+import { Layout, Zap, BookOpen, Minus, Sparkles, Briefcase, Shapes } from 'lucide-react';
 import { getContextMetadata } from '../utils/smartHarmony';
 
 const CONTEXT_ICONS = {
@@ -7,7 +7,8 @@ const CONTEXT_ICONS = {
   editorial: BookOpen,
   minimalist: Minus,
   vibrant: Sparkles,
-  professional: Briefcase
+  professional: Briefcase,
+  material: Shapes
 };
 
 export default function ContextSelector({ selectedContext, onContextSelect }) {
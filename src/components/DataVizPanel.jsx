@@ -0,0 +1,204 @@
+/**
+ * DataVizPanel.jsx
+ * Chart palettes from the selected colour: sequential ramps, diverging scales
+ * and CVD-aware categorical sets, with D3 / Matplotlib / Vega exports.
+ */
+
+import { useState, useMemo } from 'react';
+import { BarChart3, CheckCircle, AlertCircle } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import {
+  DATAVIZ_TYPES,
+  generateDataVizPalette,
+  minPairwiseDeltaE,
+  isMonotonicLightness,
+  toD3Scale,
+  toMatplotlib,
+  toVegaTheme,
+} from '../utils/dataVizPalette';
+import CodeBlock from './CodeBlock';
+import { useClipboard } from '../hooks/useClipboard';
+import { downloadText } from '../utils/download';
+
+const FORMATS = [
+  { id: 'd3',         label: 'D3',         filename: 'hexandhue-scale.js' },
+  { id: 'matplotlib', label: 'Matplotlib', filename: 'hexandhue_cmap.py' },
+  { id: 'vega',       label: 'Vega',       filename: 'hexandhue-vega-theme.json' },
+];
+
+// [min, max, default] colour count per type
+const COUNT_RANGE = {
+  sequential:  [3, 12, 9],
+  diverging:   [5, 13, 11],
+  categorical: [3, 12, 8],
+};
+
+// Categorical sets below this worst-case ΔE2000 risk confusable series
+const CATEGORICAL_MIN_DELTA_E = 10;
+
+function Check({ ok, children }) {
+  return (
+    <div className="flex items-center gap-1.5 text-[10px]">
+      {ok
+        ? <CheckCircle size={11} className="text-green-400 shrink-0" />
+        : <AlertCircle size={11} className="text-amber-400 shrink-0" />}
+      <span className="text-[#8888a0]">{children}</span>
+    </div>
+  );
+}
+
+export default function DataVizPanel({ baseColor, onUsePalette }) {
+  const [type, setType] = useState('sequential');
+  const [counts, setCounts] = useState({});
+  const [format, setFormat] = useState('d3');
+  const { copied, copy } = useClipboard();
+
+  const [min, max, fallback] = COUNT_RANGE[type];
+  const count = counts[type] ?? fallback;
+
+  const colors = useMemo(
+    () => (baseColor ? generateDataVizPalette(type, baseColor, count) : []),
+    [type, baseColor, count]
+  );
+  const hexes = useMemo(() => colors.map(oklchToHex), [colors]);
+  const separation = useMemo(
+    () => (type === 'categorical' ? minPairwiseDeltaE(colors) : null),
+    [type, colors]
+  );
+
+  // Each arm darkens moving out from the midpoint
+  const mid = (colors.length - 1) / 2;
+  const divergingSymmetric = type === 'diverging'
+    && isMonotonicLightness(colors.slice(0, mid + 1).reverse())
+    && isMonotonicLightness(colors.slice(mid));
+
+  const name = `hex&hue ${type}`;
+  const code = useMemo(() => {
+    if (!colors.length) return '';
+    if (format === 'matplotlib') return toMatplotlib(type, colors, name);
+    if (format === 'vega') return toVegaTheme(type, colors);
+    return toD3Scale(type, colors, name);
+  }, [type, colors, format, name]);
+  const fmt = FORMATS.find(f => f.id === format);
+
+  if (!baseColor) {
+    return (
+      <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
+        Pick a colour to build chart palettes
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium flex items-center gap-2">
+        <BarChart3 size={12} /> Data Visualization
+      </h3>
+
+      <div className="grid grid-cols-3 gap-1.5">
+        {DATAVIZ_TYPES.map(({ id, label, description }) => (
+          <button
+            key={id}
+            onClick={() => setType(id)}
+            className={`px-3 py-2 rounded-lg text-left transition-colors ${
+              type === id
+                ? 'bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30'
+                : 'bg-[#12121a] text-[#8888a0] border border-[#1a1a24] hover:border-[#252530] hover:text-[#f0f0f5]'
+            }`}
+          >
+            <span className="block text-xs font-medium">{label}</span>
+            <span className="block text-[9px] text-[#55556a]">{description}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        <div className="flex justify-between text-[10px]">
+          <span className="text-[#55556a] uppercase tracking-wider">{type === 'categorical' ? 'Categories' : 'Steps'}</span>
+          <span className="text-[#8888a0] font-mono">{colors.length}</span>
+        </div>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={type === 'diverging' ? 2 : 1}
+          value={count}
+          onChange={e => setCounts({ ...counts, [type]: Number(e.target.value) })}
+          className="w-full accent-[#ff6b4a]"
+        />
+      </div>
+
+      {/* Palette */}
+      <div className={`h-14 rounded-xl overflow-hidden flex ${type === 'categorical' ? 'gap-1' : ''}`}>
+        {hexes.map((hex, i) => (
+          <div
+            key={i}
+            className={`flex-1 flex items-end justify-center pb-1 ${type === 'categorical' ? 'rounded-lg' : ''}`}
+            style={{ backgroundColor: hex }}
+            title={hex}
+          >
+            <span className="text-[8px] font-mono text-white/70 mix-blend-difference">{hex.slice(1)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        {type === 'sequential' && (
+          <Check ok={isMonotonicLightness(colors)}>Lightness decreases monotonically (OKLCH L {colors[0].l.toFixed(2)} → {colors[colors.length - 1].l.toFixed(2)})</Check>
+        )}
+        {type === 'diverging' && (
+          <>
+            <Check ok={divergingSymmetric}>
+              Lightness rises symmetrically to the midpoint
+            </Check>
+            <Check ok>Neutral midpoint {hexes[mid]}</Check>
+          </>
+        )}
+        {separation && (
+          <>
+            <Check ok={separation.normal >= CATEGORICAL_MIN_DELTA_E}>
+              Min. ΔE2000 between categories: {separation.normal.toFixed(1)}
+            </Check>
+            <Check ok={separation.cvd >= CATEGORICAL_MIN_DELTA_E}>
+              Min. ΔE2000 under protan / deutan / tritan simulation: {separation.cvd.toFixed(1)}
+            </Check>
+          </>
+        )}
+      </div>
+
+      {onUsePalette && (
+        <button
+          onClick={() => onUsePalette(colors, `${type} chart palette`)}
+          className="w-full py-2 rounded-lg text-xs font-medium bg-[#1a1a24] text-[#f0f0f5] hover:bg-[#252530] transition-colors"
+        >
+          Use as active palette
+        </button>
+      )}
+
+      <div className="grid grid-cols-3 gap-1.5">
+        {FORMATS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setFormat(id)}
+            className={`px-3 py-2 rounded-lg text-xs font-medium transition-colors ${
+              format === id
+                ? 'bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30'
+                : 'bg-[#12121a] text-[#8888a0] border border-[#1a1a24] hover:border-[#252530] hover:text-[#f0f0f5]'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <CodeBlock
+        code={code}
+        id={format}
+        filename={fmt.filename}
+        copied={copied}
+        onCopy={() => copy(code, format)}
+        onDownload={() => downloadText(code, fmt.filename)}
+      />
+    </div>
+  );
+}
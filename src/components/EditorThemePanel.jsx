@@ -0,0 +1,208 @@
+/**
+ * EditorThemePanel.jsx
+ * Code editor theme from the active palette: syntax-role mapping the user can
+ * reassign, a highlighted code preview, and VS Code / Vim exports.
+ */
+
+import { useState, useMemo } from 'react';
+import { Code, RotateCcw } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import {
+  EDITOR_ROLES,
+  assignEditorRoles,
+  buildEditorTheme,
+  toVSCodeTheme,
+  toVimColorscheme,
+} from '../utils/editorTheme';
+import CodeBlock from './CodeBlock';
+import { useClipboard } from '../hooks/useClipboard';
+import { downloadText } from '../utils/download';
+
+const FORMATS = [
+  { id: 'vscode', label: 'VS Code', filename: 'hexandhue-color-theme.json' },
+  { id: 'vim',    label: 'Vim',     filename: 'hexandhue.vim' },
+];
+
+// Code sample: each line is a list of [text, role]; role null = plain foreground
+const SAMPLE_LINES = [
+  [['// Blend two swatches in OKLCH', 'comment']],
+  [['import', 'keyword'], [' { converter } ', null], ['from', 'keyword'], [" 'culori'", 'string'], [';', null]],
+  [],
+  [['const', 'keyword'], [' MAX_STEPS = ', null], ['12', 'constant'], [';', null]],
+  [],
+  [['export function', 'keyword'], [' ', null], ['blend', 'function'], ['(a: ', null], ['Swatch', 'type'], [', t = ', null], ['0.5', 'constant'], ['): ', null], ['Swatch', 'type'], [' {', null]],
+  [['  if', 'keyword'], [' (t > ', null], ['1', 'constant'], [') ', null], ['throw new', 'keyword'], [' ', null], ['RangeError', 'type'], ['(', null], ['"t out of range"', 'string'], [');', null]],
+  [['  return', 'keyword'], [' { l: ', null], ['lerp', 'function'], ['(a.l, ', null], ['undefinedVar', 'error'], [', t), steps: ', null], ['MAX_STEPS', 'constant'], [' };', null]],
+  [['}', null]],
+];
+const SELECTED_LINE = 5;
+
+// Shared so a palette without edits keeps the same overrides object between renders
+const NO_EDITS = {};
+
+function CodePreview({ theme }) {
+  const hex = c => oklchToHex(c);
+
+  return (
+    <div
+      className="rounded-xl overflow-hidden border border-[#1a1a24] shadow-xl font-mono text-[11px] leading-relaxed"
+      style={{ backgroundColor: hex(theme.background) }}
+    >
+      {SAMPLE_LINES.map((line, i) => (
+        <div key={i} className="flex">
+          <span
+            className="w-8 shrink-0 pr-2 text-right select-none"
+            style={{ backgroundColor: hex(theme.gutter), color: hex(i === SELECTED_LINE ? theme.foreground : theme.lineNumber) }}
+          >
+            {i + 1}
+          </span>
+          <span
+            className="pl-3 whitespace-pre flex-1"
+            style={i === SELECTED_LINE ? { backgroundColor: `${hex(theme.selection)}55` } : undefined}
+          >
+            {line.map(([text, role], j) => (
+              <span
+                key={j}
+                style={{
+                  color: hex(role ? theme[role] : theme.foreground),
+                  fontStyle: role === 'comment' ? 'italic' : undefined,
+                  textDecoration: role === 'error' ? `underline wavy ${hex(theme.error)}` : undefined,
+                }}
+              >
+                {text}
+              </span>
+            ))}
+            {line.length === 0 && ' '}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RoleRow({ role, palette, value, onChange }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-20 text-[11px] text-[#8888a0]">{role.label}</span>
+      <div className="flex gap-1 flex-wrap">
+        {palette.map((hex, i) => (
+          <button
+            key={i}
+            onClick={() => onChange(i)}
+            className={`w-5 h-5 rounded-md transition-transform ${
+              value === i ? 'ring-2 ring-[#ff6b4a] ring-offset-1 ring-offset-[#12121a] scale-110' : 'hover:scale-110'
+            }`}
+            style={{ backgroundColor: hex }}
+            title={hex}
+          />
+        ))}
+        <button
+          onClick={() => onChange(null)}
+          className={`px-1.5 h-5 rounded-md text-[9px] border ${
+            value === null
+              ? 'border-[#ff6b4a]/50 text-[#ff6b4a]'
+              : 'border-[#1a1a24] text-[#55556a] hover:text-[#8888a0]'
+          }`}
+          title="Derive from the other roles"
+        >
+          auto
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function EditorThemePanel({ colors = [], paletteLabel = 'hex&hue' }) {
+  const [format, setFormat] = useState('vscode');
+  const { copied, copy } = useClipboard();
+
+  // Role edits belong to the palette they were made on; a new palette starts fresh
+  const [edits, setEdits] = useState({ colors, roles: {} });
+  const overrides = edits.colors === colors ? edits.roles : NO_EDITS;
+
+  const initialRoles = useMemo(() => assignEditorRoles(colors), [colors]);
+  const roles = useMemo(() => ({ ...initialRoles, ...overrides }), [initialRoles, overrides]);
+  const theme = useMemo(() => buildEditorTheme(colors, roles), [colors, roles]);
+  const paletteHex = useMemo(() => colors.map(oklchToHex), [colors]);
+
+  const setRole = (roleId, index) => {
+    setEdits({ colors, roles: { ...overrides, [roleId]: index } });
+  };
+
+  const name = `hex&hue ${paletteLabel}`;
+  const code = useMemo(() => (
+    format === 'vscode' ? toVSCodeTheme(theme, name) : toVimColorscheme(theme)
+  ), [theme, format, name]);
+  const fmt = FORMATS.find(f => f.id === format);
+
+  if (!colors.length) {
+    return (
+      <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
+        Generate a palette to build an editor theme
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium flex items-center gap-2">
+        <Code size={12} /> Editor Theme
+        <span className="ml-auto text-[10px] normal-case tracking-normal text-[#55556a]">{theme.appearance}</span>
+      </h3>
+
+      <CodePreview theme={theme} />
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Roles</p>
+          <button
+            onClick={() => setEdits({ colors, roles: {} })}
+            disabled={Object.keys(overrides).length === 0}
+            className="flex items-center gap-1 text-[10px] text-[#55556a] hover:text-[#8888a0] disabled:opacity-30"
+          >
+            <RotateCcw size={10} /> Reset
+          </button>
+        </div>
+        <div className="space-y-1.5">
+          {EDITOR_ROLES.map(role => (
+            <RoleRow
+              key={role.id}
+              role={role}
+              palette={paletteHex}
+              value={roles[role.id]}
+              onChange={index => setRole(role.id, index)}
+            />
+          ))}
+        </div>
+        <p className="text-[10px] text-[#55556a] mt-2">
+          Syntax colours are lightened or darkened as needed to stay readable on the background.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-1.5">
+        {FORMATS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setFormat(id)}
+            className={`px-3 py-2 rounded-lg text-xs font-medium transition-colors ${
+              format === id
+                ? 'bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30'
+                : 'bg-[#12121a] text-[#8888a0] border border-[#1a1a24] hover:border-[#252530] hover:text-[#f0f0f5]'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <CodeBlock
+        code={code}
+        id={format}
+        filename={fmt.filename}
+        copied={copied}
+        onCopy={() => copy(code, format)}
+        onDownload={() => downloadText(code, fmt.filename)}
+      />
+    </div>
+  );
+}
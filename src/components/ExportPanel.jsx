@@ -1,12 +1,25 @@
 /**
  * ExportPanel.jsx
- * Export palettes as CSS variables, Tailwind config, SCSS, JSON, or paint list.
+ * Export palettes as CSS variables, Tailwind config, SCSS, JSON, design tokens,
+ * Adobe swatches (.ase / .aco), GIMP / Krita / Paint.NET palettes or paint list,
+ * plus paired light / dark theme tokens.
+ * Also imports palettes from any of the token and swatch file formats.
  */
 
-import { useState, useMemo } from 'react';
-import { Copy, Download, Check, Code, FileJson, Palette, FlaskConical, Braces } from 'lucide-react';
-import { oklchToHex } from '../utils/colorUtils';
-import { generateColorName } from '../utils/colorNames';
+import { useState, useMemo, useEffect, useCallback, useRef } from 'react';
+import { Code, FileJson, Palette, FlaskConical, Braces, RotateCcw, Upload, Layers, SwatchBook, SunMoon } from 'lucide-react';
+import CodeBlock from './CodeBlock';
+import { useClipboard } from '../hooks/useClipboard';
+import { downloadText, downloadBinary } from '../utils/download';
+import { oklchToHex, isInGamut, toCssColor, wideGamutTiers, GAMUTS } from '../utils/colorUtils';
+import { generateTokenNames } from '../utils/tokenNames';
+import { generateDesignTokens, parseDesignTokens } from '../utils/designTokens';
+import { generateTonalScale } from '../utils/tonalScale';
+import { generateDarkCounterpart, toLightDarkCSS, DARK_MODE_STRATEGIES } from '../utils/darkMode';
+import { encodeASE, decodeASE, encodeACO, decodeACO } from '../utils/adobeSwatches';
+import {
+  encodeGPL, decodeGPL, encodeKPL, decodeKPL, encodePaintNet, decodePaintNet,
+} from '../utils/openPalettes';
 
 // ─── colour format helpers ────────────────────────────────────────────────────
 
@@ -44,10 +57,6 @@ function toOklchStr(c) {
   return `oklch(${(c.l*100).toFixed(1)}% ${(c.c).toFixed(3)} ${(c.h||0).toFixed(1)})`;
 }
 
-function slugify(name) {
-  return name.toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/(^-|-$)/g,'');
-}
-
 function contrastRatio(hex1, hex2) {
   const lum = hex => {
     const r = parseInt(hex.slice(1,3),16)/255;
@@ -63,53 +72,104 @@ function contrastRatio(hex1, hex2) {
 
 // ─── code generators ──────────────────────────────────────────────────────────
 
-function generateCSS(colors, names) {
+// `scales` (optional) holds one generateTonalScale() result per colour.
+// `gamut` adds wide-gamut overrides on top of the sRGB values.
+
+function generateCSS(colors, names, slugs, scales, gamut = 'srgb') {
   const vars = colors.map((c,i) => {
-    const slug = slugify(names[i] || `color-${i+1}`);
-    return `  --color-${slug}: ${toHex(c)};`;
+    return `  --color-${slugs[i]}: ${toHex(c)};`;
   });
+  const scaleVars = scales ? scales.flatMap((scale, i) => [
+    '',
+    ...scale.map(({ step, hex }) => `  --color-${slugs[i]}-${step}: ${hex};`),
+  ]) : [];
   const rgbVars = colors.map((c,i) => {
-    const slug = slugify(names[i] || `color-${i+1}`);
+    const slug = slugs[i];
     const hex = toHex(c);
     const r = parseInt(hex.slice(1,3),16);
     const g = parseInt(hex.slice(3,5),16);
     const b = parseInt(hex.slice(5,7),16);
     return `  --color-${slug}-rgb: ${r}, ${g}, ${b};`;
   });
-  return `:root {\n  /* hex&hue palette export */\n${vars.join('\n')}\n\n  /* RGB channel values for rgba() usage */\n${rgbVars.join('\n')}\n}`;
+  const scaleBlock = scales ? `\n\n  /* Tonal scales (50–950) */${scaleVars.join('\n')}` : '';
+  const root = `:root {\n  /* hex&hue palette export */\n${vars.join('\n')}\n\n  /* RGB channel values for rgba() usage */\n${rgbVars.join('\n')}${scaleBlock}\n}`;
+
+  // Wide-gamut screens override the sRGB values; everything else keeps them
+  const wide = wideGamutTiers(gamut).map(tier => {
+    const wideVars = [
+      ...colors.map((c, i) => `        --color-${slugs[i]}: ${toCssColor(c, tier)};`),
+      ...(scales ? scales.flatMap((scale, i) =>
+        scale.map(({ step, color }) => `        --color-${slugs[i]}-${step}: ${toCssColor(color, tier)};`)
+      ) : []),
+    ];
+    return `\n\n/* ${GAMUTS[tier].label} */\n@supports (color: color(${GAMUTS[tier].css} 0 0 0)) {\n  @media (color-gamut: ${GAMUTS[tier].media}) {\n    :root {\n${wideVars.join('\n')}\n    }\n  }\n}`;
+  });
+
+  return root + wide.join('');
 }
 
-function generateSCSS(colors, names) {
+function generateSCSS(colors, names, slugs, scales, gamut = 'srgb') {
   const vars = colors.map((c,i) => {
-    const slug = slugify(names[i] || `color-${i+1}`);
-    return `$color-${slug}: ${toHex(c)};`;
+    return `$color-${slugs[i]}: ${toHex(c)};`;
   });
-  return `// hex&hue palette export\n${vars.join('\n')}`;
+  // SCSS can't branch on the screen, so wide-gamut values get their own variables
+  const wideVars = wideGamutTiers(gamut).flatMap(tier => [
+    '',
+    `// ${GAMUTS[tier].label} — use inside @media (color-gamut: ${GAMUTS[tier].media})`,
+    ...colors.map((c, i) => `$color-${slugs[i]}-${tier}: ${toCssColor(c, tier)};`),
+  ]);
+  vars.push(...wideVars);
+  if (!scales) return `// hex&hue palette export\n${vars.join('\n')}`;
+
+  const maps = scales.map((scale, i) => [
+    `$color-${slugs[i]}-scale: (`,
+    ...scale.map(({ step, hex }) => `  ${step}: ${hex},`),
+    ');',
+  ].join('\n'));
+  return `// hex&hue palette export\n${vars.join('\n')}\n\n// Tonal scales (50–950) — map-get($color-name-scale, 500)\n${maps.join('\n\n')}`;
 }
 
-function generateTailwind(colors, names) {
+function generateTailwind(colors, names, slugs, scales) {
   const entries = colors.map((c,i) => {
-    const slug = slugify(names[i] || `color-${i+1}`);
-    return `      '${slug}': '${toHex(c)}',`;
+    if (scales) {
+      const steps = scales[i].map(({ step, hex }) => `        ${step}: '${hex}',`);
+      return `      '${slugs[i]}': {\n        DEFAULT: '${toHex(c)}',\n${steps.join('\n')}\n      },`;
+    }
+    return `      '${slugs[i]}': '${toHex(c)}',`;
   });
   return `// tailwind.config.js — add inside theme.extend.colors\nconst palette = {\n${entries.join('\n')}\n};\n\nmodule.exports = {\n  theme: {\n    extend: {\n      colors: { palette },\n    },\n  },\n};`;
 }
 
-function generateJSON(colors, names) {
+function generateJSON(colors, names, slugs, gamut = 'srgb') {
   const obj = {};
   colors.forEach((c,i) => {
-    const slug = slugify(names[i] || `color-${i+1}`);
-    obj[slug] = {
+    const wide = Object.fromEntries(wideGamutTiers(gamut).map(tier => [tier, toCssColor(c, tier)]));
+    obj[slugs[i]] = {
       name: names[i],
+      ...(c.role && { role: c.role }),
       hex: toHex(c),
       rgb: toRgb(c),
       hsl: toHsl(c),
       oklch: toOklchStr(c),
+      ...wide,
     };
   });
   return JSON.stringify({ palette: obj, source: 'hex&hue Color Theory Studio', generated: new Date().toISOString() }, null, 2);
 }
 
+function generateDTCG(colors, names, slugs, description, gamut) {
+  return JSON.stringify(generateDesignTokens(colors, names, slugs, { description, gamut }), null, 2);
+}
+
+// Binary formats get a readable summary in the code block instead of their bytes
+function generateSwatchSummary(bytes, colors, names, label) {
+  return [
+    `${label} · ${colors.length} swatches · ${bytes.length} bytes`,
+    '',
+    ...colors.map((c, i) => `${String(i + 1).padStart(2, '0')}  ${toHex(c)}  ${names[i]}`),
+  ].join('\n');
+}
+
 function generatePaintList(colors, names) {
   const lines = [
     '# hex&hue — Paint Mixing Reference',
@@ -128,70 +188,54 @@ function generatePaintList(colors, names) {
   return lines.join('\n');
 }
 
-// ─── copy/download helpers ────────────────────────────────────────────────────
-
-function useClipboard() {
-  const [copied, setCopied] = useState(null);
-  const copy = async (text, id) => {
-    try {
-      await navigator.clipboard.writeText(text);
-      setCopied(id);
-      setTimeout(() => setCopied(null), 2000);
-    } catch {
-      // fallback
-      const ta = document.createElement('textarea');
-      ta.value = text;
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand('copy');
-      document.body.removeChild(ta);
-      setCopied(id);
-      setTimeout(() => setCopied(null), 2000);
-    }
-  };
-  return { copied, copy };
-}
-
-function downloadText(text, filename) {
-  const blob = new Blob([text], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url; a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
+// ─── token name overrides ─────────────────────────────────────────────────────
+
+// Custom token names per palette (keyed by its set of hexes), then by hex, so
+// renames survive re-exports of the same palette without leaking into others.
+// Only the most recently renamed palettes are kept.
+const TOKEN_STORAGE_KEY = 'hexandhue_token_names';
+const MAX_RENAMED_PALETTES = 20;
+const NO_OVERRIDES = {};
+
+function loadTokenOverrides() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY)) || {};
+    // Drop entries from before names were scoped per palette
+    return Object.fromEntries(Object.entries(stored).filter(([, names]) => names && typeof names === 'object'));
+  } catch {
+    return {};
+  }
 }
 
-// ─── components ───────────────────────────────────────────────────────────────
+function useTokenOverrides(hexes) {
+  const paletteKey = useMemo(() => [...new Set(hexes)].sort().join(','), [hexes]);
+  const [stored, setStored] = useState(loadTokenOverrides);
 
-function CodeBlock({ code, id, filename, copied, onCopy, onDownload }) {
-  return (
-    <div className="rounded-xl border border-[#1a1a24] overflow-hidden">
-      <div className="flex items-center justify-between px-4 py-2.5 bg-[#0a0a0f] border-b border-[#1a1a24]">
-        <span className="text-[10px] font-mono text-[#55556a]">{filename}</span>
-        <div className="flex gap-2">
-          <button
-            onClick={onDownload}
-            className="flex items-center gap-1 px-2.5 py-1 rounded-md text-[10px] text-[#55556a] hover:text-[#8888a0] hover:bg-[#1a1a24] transition-colors"
-          >
-            <Download size={11} /> Save
-          </button>
-          <button
-            onClick={onCopy}
-            className={`flex items-center gap-1 px-2.5 py-1 rounded-md text-[10px] font-medium transition-colors ${
-              copied === id
-                ? 'bg-green-500/20 text-green-400'
-                : 'bg-[#ff6b4a]/10 text-[#ff6b4a] hover:bg-[#ff6b4a]/20'
-            }`}
-          >
-            {copied === id ? <><Check size={11} /> Copied!</> : <><Copy size={11} /> Copy</>}
-          </button>
-        </div>
-      </div>
-      <pre className="p-4 text-[11px] leading-relaxed font-mono text-[#8888a0] overflow-x-auto max-h-64 whitespace-pre-wrap break-all">
-        {code}
-      </pre>
-    </div>
-  );
+  useEffect(() => {
+    try {
+      localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(stored));
+    } catch (err) {
+      console.error('Failed to save token names:', err);
+    }
+  }, [stored]);
+
+  const rename = useCallback((hex, name) => {
+    setStored(prev => {
+      const names = { ...prev[paletteKey] };
+      if (name && name.trim()) names[hex] = name;
+      else delete names[hex];
+
+      // Re-insert so the palette becomes the most recent, then trim the oldest
+      const next = { ...prev };
+      delete next[paletteKey];
+      if (Object.keys(names).length) next[paletteKey] = names;
+      const keys = Object.keys(next);
+      keys.slice(0, Math.max(0, keys.length - MAX_RENAMED_PALETTES)).forEach(key => delete next[key]);
+      return next;
+    });
+  }, [paletteKey]);
+
+  return { overrides: stored[paletteKey] || NO_OVERRIDES, rename };
 }
 
 const FORMATS = [
@@ -199,10 +243,20 @@ const FORMATS = [
   { id: 'scss',     label: 'SCSS',          icon: Braces,      ext: 'scss' },
   { id: 'tailwind', label: 'Tailwind',      icon: Code,        ext: 'js'   },
   { id: 'json',     label: 'JSON',          icon: FileJson,    ext: 'json' },
+  { id: 'dtcg',     label: 'Design Tokens', icon: Layers,      ext: 'tokens.json' },
+  { id: 'lightdark', label: 'Light + Dark',  icon: SunMoon,     ext: 'css'  },
+  { id: 'ase',      label: 'Adobe ASE',     icon: SwatchBook,  ext: 'ase',  binary: true },
+  { id: 'aco',      label: 'Photoshop ACO', icon: SwatchBook,  ext: 'aco',  binary: true },
+  { id: 'gpl',      label: 'GIMP',          icon: SwatchBook,  ext: 'gpl'  },
+  { id: 'kpl',      label: 'Krita',         icon: SwatchBook,  ext: 'kpl',  binary: true },
+  { id: 'paintnet', label: 'Paint.NET',     icon: SwatchBook,  ext: 'txt'  },
   { id: 'paint',    label: 'Paint List',    icon: FlaskConical,ext: 'md'   },
   { id: 'swatches', label: 'SVG Swatches',  icon: Palette,     ext: 'svg'  },
 ];
 
+// Formats that can carry the 50–950 tonal scales
+const SCALE_FORMATS = ['css', 'scss', 'tailwind'];
+
 function generateSVGSwatches(colors, names) {
   const W = 80, H = 100, GAP = 8;
   const total = colors.length * (W + GAP) - GAP;
@@ -219,29 +273,170 @@ function generateSVGSwatches(colors, names) {
   return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${H}" width="${total}" height="${H}">\n  <rect width="${total}" height="${H}" rx="4" fill="#0a0a0f"/>\n${rects}\n</svg>`;
 }
 
+// While the field is being edited its raw text is kept, so clearing it to
+// retype doesn't snap back to the generated name; an empty field only drops
+// the custom name on blur.
+function TokenNameRow({ token, value, onRename }) {
+  const [draft, setDraft] = useState(null);
+
+  const handleChange = (text) => {
+    setDraft(text);
+    if (text.trim()) onRename(text);
+  };
+
+  const handleBlur = () => {
+    if (draft !== null && !draft.trim()) onRename('');
+    setDraft(null);
+  };
+
+  const handleReset = () => {
+    setDraft(null);
+    onRename('');
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className="w-6 h-6 rounded-md shrink-0" style={{ backgroundColor: token.hex }} />
+      <input
+        type="text"
+        value={draft ?? value}
+        onChange={e => handleChange(e.target.value)}
+        onBlur={handleBlur}
+        spellCheck={false}
+        className="flex-1 min-w-0 bg-[#0a0a0f] border border-[#1a1a24] rounded-md px-2 py-1 text-[11px] font-mono text-[#f0f0f5] focus:outline-none focus:border-[#ff6b4a]/50"
+      />
+      <span className="w-24 text-[9px] text-[#55556a] truncate text-right">
+        {token.role ? `${token.role} · ` : ''}{token.name}
+      </span>
+      <button
+        onClick={handleReset}
+        disabled={!token.custom}
+        className="p-1 rounded text-[#55556a] hover:text-[#8888a0] disabled:opacity-30 disabled:cursor-default"
+        title="Reset to generated name"
+      >
+        <RotateCcw size={11} />
+      </button>
+    </div>
+  );
+}
+
+// Importable file types by extension: how to read the file and how to decode it
+const PALETTE_READERS = {
+  json: { binary: false, decode: parseDesignTokens, label: 'imported design tokens' },
+  ase:  { binary: true,  decode: decodeASE,         label: 'imported Adobe swatches' },
+  aco:  { binary: true,  decode: decodeACO,         label: 'imported Adobe swatches' },
+  gpl:  { binary: false, decode: decodeGPL,         label: 'imported GIMP palette' },
+  kpl:  { binary: true,  decode: decodeKPL,         label: 'imported Krita palette' },
+  txt:  { binary: false, decode: decodePaintNet,    label: 'imported Paint.NET palette' },
+};
+
+function PaletteImport({ onImport }) {
+  const inputRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = useCallback((file) => {
+    if (!file) return;
+    setError(null);
+
+    const format = PALETTE_READERS[file.name.split('.').pop().toLowerCase()];
+    if (!format) {
+      setError(`${file.name}: unsupported file type`);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      // Krita bundles decode asynchronously, so every format goes through a promise
+      Promise.resolve()
+        .then(() => format.decode(e.target.result))
+        .then(({ colors }) => onImport(colors, format.label))
+        .catch(err => setError(`${file.name}: ${err.message}`));
+      if (inputRef.current) inputRef.current.value = '';
+    };
+    reader.onerror = () => setError(`${file.name}: could not be read`);
+    if (format.binary) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  }, [onImport]);
+
+  return (
+    <div className="space-y-1.5">
+      <input
+        ref={inputRef}
+        type="file"
+        accept={Object.keys(PALETTE_READERS).map(ext => `.${ext}`).join(',')}
+        onChange={e => handleFile(e.target.files?.[0])}
+        className="hidden"
+      />
+      <button
+        onClick={() => inputRef.current?.click()}
+        className="w-full flex items-center justify-center gap-2 py-2.5 border border-dashed border-[#1a1a24] rounded-xl text-xs text-[#55556a] hover:border-[#ff6b4a]/40 hover:text-[#ff6b4a] transition-colors"
+      >
+        <Upload size={13} />
+        Import palette (DTCG, .ase, .aco, .gpl, .kpl, Paint.NET)
+      </button>
+      {error && <p className="text-[10px] text-red-400">{error}</p>}
+    </div>
+  );
+}
+
 // ─── main component ──────────────────────────────────────────────────────────
 
-export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
+export default function ExportPanel({ colors = [], paletteLabel = 'Palette', onImport, gamut = 'srgb', contrastModel = 'wcag' }) {
   const [selectedFormat, setSelectedFormat] = useState('css');
+  const [includeScales, setIncludeScales] = useState(false);
+  const [darkStrategy, setDarkStrategy] = useState('light-dark');
   const { copied, copy } = useClipboard();
+  const hexes = useMemo(() => colors.map(toHex), [colors]);
+  const { overrides, rename } = useTokenOverrides(hexes);
 
-  const names = useMemo(
-    () => colors.map(c => generateColorName(c)),
-    [colors]
+  const tokens = useMemo(
+    () => generateTokenNames(colors, overrides),
+    [colors, overrides]
+  );
+  const names = useMemo(() => tokens.map(t => t.name), [tokens]);
+  const slugs = useMemo(() => tokens.map(t => t.slug), [tokens]);
+
+  const scales = useMemo(
+    () => (includeScales ? colors.map(c => generateTonalScale(c, gamut)) : null),
+    [colors, includeScales, gamut]
+  );
+
+  const binary = useMemo(() => {
+    if (!colors.length) return null;
+    switch(selectedFormat) {
+      case 'ase': return encodeASE(colors, names, paletteLabel);
+      case 'aco': return encodeACO(colors, names);
+      case 'kpl': return encodeKPL(colors, names, paletteLabel);
+      default:    return null;
+    }
+  }, [colors, names, selectedFormat, paletteLabel]);
+
+  const darkColors = useMemo(
+    () => (selectedFormat === 'lightdark' && colors.length
+      ? generateDarkCounterpart(colors, { model: contrastModel }).colors
+      : null),
+    [colors, selectedFormat, contrastModel]
   );
 
   const code = useMemo(() => {
     if (!colors.length) return '';
     switch(selectedFormat) {
-      case 'css':      return generateCSS(colors, names);
-      case 'scss':     return generateSCSS(colors, names);
-      case 'tailwind': return generateTailwind(colors, names);
-      case 'json':     return generateJSON(colors, names);
+      case 'css':      return generateCSS(colors, names, slugs, scales, gamut);
+      case 'scss':     return generateSCSS(colors, names, slugs, scales, gamut);
+      case 'tailwind': return generateTailwind(colors, names, slugs, scales);
+      case 'json':     return generateJSON(colors, names, slugs, gamut);
+      case 'dtcg':     return generateDTCG(colors, names, slugs, `hex&hue palette — ${paletteLabel}`, gamut);
+      case 'lightdark': return toLightDarkCSS(colors, darkColors, slugs, darkStrategy);
       case 'paint':    return generatePaintList(colors, names);
       case 'swatches': return generateSVGSwatches(colors, names);
+      case 'ase':      return generateSwatchSummary(binary, colors, names, 'Adobe Swatch Exchange');
+      case 'aco':      return generateSwatchSummary(binary, colors, names, 'Photoshop Color Swatches');
+      case 'gpl':      return encodeGPL(colors, names, paletteLabel);
+      case 'kpl':      return generateSwatchSummary(binary, colors, names, 'Krita palette');
+      case 'paintnet': return encodePaintNet(colors, names, paletteLabel);
       default:         return '';
     }
-  }, [colors, names, selectedFormat]);
+  }, [colors, names, slugs, selectedFormat, paletteLabel, binary, scales, gamut, darkColors, darkStrategy]);
 
   const fmt = FORMATS.find(f => f.id === selectedFormat);
   const filename = `hexandhue-palette.${fmt?.ext}`;
@@ -252,6 +447,7 @@ export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
         <Palette size={32} className="text-[#55556a] mb-3 opacity-50" />
         <p className="text-sm text-[#55556a]">Generate a palette to export it</p>
         <p className="text-xs text-[#3a3a4a] mt-1">Use any tab to create a palette first</p>
+        {onImport && <div className="mt-4"><PaletteImport onImport={onImport} /></div>}
       </div>
     );
   }
@@ -264,8 +460,14 @@ export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
           <div
             key={i}
             className="flex-1 relative group cursor-default transition-all hover:flex-[1.4]"
-            style={{ backgroundColor: toHex(c) }}
+            style={{ backgroundColor: toCssColor(c, gamut) }}
           >
+            {!isInGamut(c, gamut) && (
+              <span
+                className="absolute top-1 right-1 w-1.5 h-1.5 rounded-full bg-amber-400 ring-1 ring-black/40"
+                title={`Outside ${GAMUTS[gamut]?.label ?? 'sRGB'} — exported gamut-mapped`}
+              />
+            )}
             <div className="absolute inset-0 flex items-end justify-center pb-1.5 opacity-0 group-hover:opacity-100 transition-opacity">
               <span className="text-[8px] font-mono px-1 rounded" style={{
                 backgroundColor: 'rgba(0,0,0,0.5)', color: '#fff'
@@ -275,14 +477,19 @@ export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
         ))}
       </div>
 
-      {/* Colour names row */}
-      <div className="grid gap-1.5" style={{ gridTemplateColumns: `repeat(${Math.min(colors.length,6)}, 1fr)` }}>
-        {colors.slice(0,6).map((c,i) => (
-          <div key={i} className="text-center">
-            <div className="w-6 h-6 rounded-md mx-auto mb-1" style={{ backgroundColor: toHex(c) }} />
-            <p className="text-[9px] text-[#55556a] truncate">{names[i]}</p>
-          </div>
-        ))}
+      {/* Token names */}
+      <div>
+        <p className="text-xs text-[#55556a] mb-2 uppercase tracking-wider font-medium">Token names</p>
+        <div className="space-y-1.5">
+          {tokens.map((token, i) => (
+            <TokenNameRow
+              key={i}
+              token={token}
+              value={token.custom ? overrides[token.hex] : token.slug}
+              onRename={name => rename(token.hex, name)}
+            />
+          ))}
+        </div>
       </div>
 
       {/* Format tabs */}
@@ -306,22 +513,77 @@ export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
         </div>
       </div>
 
+      {/* Tonal scale toggle (CSS / SCSS / Tailwind) */}
+      {SCALE_FORMATS.includes(selectedFormat) && (
+        <label className="flex items-center gap-2 text-xs text-[#8888a0] cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={includeScales}
+            onChange={e => setIncludeScales(e.target.checked)}
+            className="accent-[#ff6b4a]"
+          />
+          Include tonal scales (50–950) for every colour
+        </label>
+      )}
+
+      {/* Dark-mode strategy (Light + Dark) */}
+      {selectedFormat === 'lightdark' && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-3 gap-1.5">
+            {DARK_MODE_STRATEGIES.map(({ id, label, description }) => (
+              <button
+                key={id}
+                onClick={() => setDarkStrategy(id)}
+                title={description}
+                className={`px-2 py-1.5 rounded-lg text-[11px] font-mono transition-colors ${
+                  darkStrategy === id
+                    ? 'bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30'
+                    : 'bg-[#12121a] text-[#8888a0] border border-[#1a1a24] hover:border-[#252530] hover:text-[#f0f0f5]'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {darkColors && (
+            <div className="flex h-6 rounded-lg overflow-hidden">
+              {colors.map((c, i) => (
+                <div key={i} className="flex-1 flex flex-col">
+                  <div className="flex-1" style={{ backgroundColor: toHex(c) }} />
+                  <div className="flex-1" style={{ backgroundColor: toHex(darkColors[i]) }} />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Code block */}
       <CodeBlock
         code={code}
         id={selectedFormat}
         filename={filename}
         copied={copied}
-        onCopy={() => copy(code, selectedFormat)}
-        onDownload={() => downloadText(code, filename)}
+        onCopy={fmt?.binary ? null : () => copy(code, selectedFormat)}
+        onDownload={() => fmt?.binary ? downloadBinary(binary, filename) : downloadText(code, filename)}
       />
 
+      {/* Import */}
+      {onImport && <PaletteImport onImport={onImport} />}
+
       {/* Format hint */}
       <div className="text-[10px] text-[#55556a] leading-relaxed">
         {selectedFormat === 'css' && '✦ CSS custom properties — paste into your :root stylesheet. Includes RGB channel variables for rgba() compositing.'}
         {selectedFormat === 'scss' && '✦ SCSS variables — import into your SCSS entry file. Use $color-name in any stylesheet.'}
-        {selectedFormat === 'tailwind' && '✦ Extend your tailwind.config.js colors with this palette. Access with classes like bg-dusty-rose.'}
+        {selectedFormat === 'tailwind' && `✦ Extend your tailwind.config.js colors with this palette. Access with classes like bg-dusty-rose.${gamut !== 'srgb' ? ' Values stay sRGB hex; use the CSS export for wide-gamut colour.' : ''}`}
         {selectedFormat === 'json' && '✦ All formats in one JSON object. Useful for design tokens, Figma plugins, or custom tooling.'}
+        {selectedFormat === 'dtcg' && '✦ W3C Design Tokens (DTCG) — base colours plus tonal ramps. Feed straight into Style Dictionary or Tokens Studio.'}
+        {selectedFormat === 'lightdark' && `✦ Each token paired with a generated dark counterpart: surfaces inverted, text and accents re-tuned to keep their contrast (${contrastModel === 'apca' ? 'APCA' : 'WCAG'} targets as in the WCAG tab).`}
+        {selectedFormat === 'ase' && '✦ Adobe Swatch Exchange — load into Illustrator, InDesign or Photoshop via the Swatches panel menu. Swatches keep their names.'}
+        {selectedFormat === 'aco' && '✦ Photoshop colour swatches — Swatches panel → Import Swatches. Named swatches for Photoshop CS and later.'}
+        {selectedFormat === 'gpl' && '✦ GIMP palette — drop into your GIMP or Inkscape palettes folder, or import from the Palettes dialog.'}
+        {selectedFormat === 'kpl' && '✦ Krita palette bundle — add it from the Palette docker via Import resources.'}
+        {selectedFormat === 'paintnet' && '✦ Paint.NET palette — save into Documents/paint.net User Files/Palettes. Names are kept as comments.'}
         {selectedFormat === 'paint' && '✦ Reference list for your paint session. Use the Paint tab to get precise KM mixing recipes per colour.'}
         {selectedFormat === 'swatches' && '✦ Scalable SVG swatch sheet — open in Illustrator, Inkscape, or embed directly in web pages.'}
       </div>
@@ -189,7 +189,7 @@ function ColorStopsDisplay({ stops, onColorSelect }) {
 // MAIN COMPONENT
 // ============================================================================
 
-export default function GradientGenerator({ initialColors, baseColor, onColorSelect }) {
+export default function GradientGenerator({ initialColors, baseColor, onColorSelect, gamut = 'srgb' }) {
   // Mode: 'vibe' (intelligent) or 'custom' (manual)
   const [mode, setMode] = useState('vibe');
 
@@ -242,8 +242,8 @@ export default function GradientGenerator({ initialColors, baseColor, onColorSel
     if (gradientColors.length < 2) return '';
 
     // Use oklch interpolation for modern browsers
-    return stopsToCSS(gradientColors, angle, gradientType);
-  }, [gradientColors, gradientType, angle]);
+    return stopsToCSS(gradientColors, angle, gradientType, gamut);
+  }, [gradientColors, gradientType, angle, gamut]);
 
   // Hex fallback CSS
   const hexFallbackCSS = useMemo(() => {
@@ -266,8 +266,11 @@ export default function GradientGenerator({ initialColors, baseColor, onColorSel
 
   const fullCSS = useMemo(() => {
     if (!gradientCSS || !hexFallbackCSS) return '';
-    return `/* hex fallback */\nbackground: ${hexFallbackCSS};\n/* oklch — better color interpolation in modern browsers */\nbackground: ${gradientCSS};`;
-  }, [gradientCSS, hexFallbackCSS]);
+    return generateFullCSS(gradientColors, angle, gradientType, oklchToHex, gamut);
+  }, [gradientCSS, hexFallbackCSS, gradientColors, angle, gradientType, gamut]);
+
+  // Wide-gamut targets preview the oklch gradient so P3 screens show it in full
+  const previewBackground = gamut === 'srgb' ? hexFallbackCSS : gradientCSS;
 
   const copyToClipboard = async () => {
     try {
@@ -421,7 +424,7 @@ export default function GradientGenerator({ initialColors, baseColor, onColorSel
           {/* Gradient preview */}
           <div
             className="h-40 rounded-xl shadow-lg"
-            style={{ background: hexFallbackCSS }}
+            style={{ background: previewBackground }}
           />
 
           {/* Description */}
@@ -445,7 +448,7 @@ export default function GradientGenerator({ initialColors, baseColor, onColorSel
           {/* Gradient preview */}
           <div
             className="h-32 rounded-xl shadow-lg"
-            style={{ background: hexFallbackCSS }}
+            style={{ background: previewBackground }}
           />
 
           {/* Gradient type selector */}
@@ -1,5 +1,5 @@
 import React, { useEffect, useRef } from 'react';
-import { formatHex, oklch } from 'culori';
+import { oklch } from 'culori';
 import { oklchToHex } from '../utils/colorUtils';
 
 export default function HarmonyVisualizer({ colors, harmonyType, size = 160 }) {
@@ -26,7 +26,7 @@ export default function HarmonyVisualizer({ colors, harmonyType, size = 160 }) {
       const color = oklch({ l: 0.65, c: 0.18, h: angle });
       let hex;
       try {
-        hex = formatHex(color) || '#888';
+        hex = oklchToHex(color) || '#888';
       } catch {
         hex = '#888';
       }
@@ -0,0 +1,215 @@
+/**
+ * MaterialSchemePanel.jsx
+ * Material 3 colour scheme from the selected colour: HCT tonal palettes,
+ * light / dark role preview per scheme variant, and Theme Builder JSON,
+ * Compose and CSS exports.
+ */
+
+import { useState, useMemo } from 'react';
+import { Shapes, Sun, Moon } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import {
+  MATERIAL_VARIANTS,
+  PALETTE_KEYS,
+  PALETTE_TONES,
+  generateMaterialScheme,
+  toThemeBuilderJSON,
+  toComposeColorScheme,
+  toMaterialCSS,
+} from '../utils/materialScheme';
+import CodeBlock from './CodeBlock';
+import { useClipboard } from '../hooks/useClipboard';
+import { downloadText } from '../utils/download';
+
+const FORMATS = [
+  { id: 'json',    label: 'Theme Builder', filename: 'material-theme.json' },
+  { id: 'compose', label: 'Compose',       filename: 'Color.kt' },
+  { id: 'css',     label: 'CSS',           filename: 'material-tokens.css' },
+];
+
+// [fill role, text role] pairs shown in the preview
+const ACCENT_PAIRS = ['primary', 'secondary', 'tertiary', 'error'].map(role => [
+  [role, `on${capitalize(role)}`],
+  [`${role}Container`, `on${capitalize(role)}Container`],
+]);
+
+const SURFACES = [
+  'surfaceContainerLowest',
+  'surfaceContainerLow',
+  'surfaceContainer',
+  'surfaceContainerHigh',
+  'surfaceContainerHighest',
+];
+
+const PALETTE_LABELS = {
+  primary: 'Primary',
+  secondary: 'Secondary',
+  tertiary: 'Tertiary',
+  neutral: 'Neutral',
+  neutralVariant: 'Neutral variant',
+  error: 'Error',
+};
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function RoleSwatch({ roles, fill, text }) {
+  return (
+    <div className="rounded-lg px-2.5 py-2" style={{ backgroundColor: roles[fill], color: roles[text] }}>
+      <span className="block text-[10px] font-medium truncate">{fill}</span>
+      <span className="block text-[9px] font-mono opacity-80">{roles[fill]}</span>
+    </div>
+  );
+}
+
+export default function MaterialSchemePanel({ baseColor, variant = 'tonalSpot', onVariantChange }) {
+  const [dark, setDark] = useState(false);
+  const [format, setFormat] = useState('json');
+  const { copied, copy } = useClipboard();
+
+  const seed = baseColor ? oklchToHex(baseColor) : null;
+  const scheme = useMemo(() => (seed ? generateMaterialScheme(seed, variant) : null), [seed, variant]);
+  const code = useMemo(() => {
+    if (!scheme) return '';
+    if (format === 'compose') return toComposeColorScheme(scheme);
+    if (format === 'css') return toMaterialCSS(scheme);
+    return toThemeBuilderJSON(scheme);
+  }, [scheme, format]);
+  const fmt = FORMATS.find(f => f.id === format);
+
+  if (!scheme) {
+    return (
+      <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
+        Pick a colour to seed a Material 3 scheme
+      </div>
+    );
+  }
+
+  const roles = dark ? scheme.dark : scheme.light;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium flex items-center gap-2">
+          <Shapes size={12} /> Material 3 Scheme
+        </h3>
+        <span className="text-[10px] text-[#55556a] font-mono">
+          seed H{Math.round(scheme.source.h)} C{Math.round(scheme.source.c)} T{Math.round(scheme.source.t)}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-5 gap-1.5">
+        {MATERIAL_VARIANTS.map(({ id, label, description }) => (
+          <button
+            key={id}
+            onClick={() => onVariantChange?.(id)}
+            title={description}
+            className={`px-2 py-2 rounded-lg text-[11px] font-medium transition-colors ${
+              variant === id
+                ? 'bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30'
+                : 'bg-[#12121a] text-[#8888a0] border border-[#1a1a24] hover:border-[#252530] hover:text-[#f0f0f5]'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Role preview */}
+      <div className="rounded-xl p-3 space-y-2 border border-[#1a1a24]" style={{ backgroundColor: roles.surface }}>
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-medium" style={{ color: roles.onSurface }}>
+            {dark ? 'Dark' : 'Light'} scheme
+          </span>
+          <button
+            onClick={() => setDark(!dark)}
+            className="flex items-center gap-1 px-2 py-1 rounded-full text-[10px]"
+            style={{ backgroundColor: roles.surfaceContainerHighest, color: roles.onSurfaceVariant }}
+          >
+            {dark ? <Moon size={10} /> : <Sun size={10} />}
+            {dark ? 'Dark' : 'Light'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-4 gap-1.5">
+          {ACCENT_PAIRS.map(pairs => (
+            <div key={pairs[0][0]} className="space-y-1.5">
+              {pairs.map(([fill, text]) => (
+                <RoleSwatch key={fill} roles={roles} fill={fill} text={text} />
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-5 gap-1.5">
+          {SURFACES.map(fill => (
+            <div
+              key={fill}
+              className="rounded-lg px-2 py-2 text-[9px] truncate"
+              style={{ backgroundColor: roles[fill], color: roles.onSurface }}
+              title={`${fill} ${roles[fill]}`}
+            >
+              {fill.replace('surfaceContainer', '') || 'Container'}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-1.5 text-[9px]">
+          <div className="flex-1 rounded-lg px-2 py-1.5 border" style={{ borderColor: roles.outline, color: roles.onSurfaceVariant }}>
+            outline
+          </div>
+          <div className="flex-1 rounded-lg px-2 py-1.5 border" style={{ borderColor: roles.outlineVariant, color: roles.onSurfaceVariant }}>
+            outlineVariant
+          </div>
+          <div className="flex-1 rounded-lg px-2 py-1.5" style={{ backgroundColor: roles.inverseSurface, color: roles.inverseOnSurface }}>
+            inverse <span style={{ color: roles.inversePrimary }}>primary</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Tonal palettes */}
+      <div className="space-y-1">
+        <div className="flex justify-between text-[9px] text-[#55556a] font-mono pl-20">
+          {PALETTE_TONES.map(t => <span key={t} className="flex-1 text-center">{t}</span>)}
+        </div>
+        {PALETTE_KEYS.map(key => (
+          <div key={key} className="flex items-center gap-2">
+            <span className="w-[72px] shrink-0 text-[10px] text-[#8888a0] truncate">{PALETTE_LABELS[key]}</span>
+            <div className="flex-1 h-5 rounded overflow-hidden flex">
+              {PALETTE_TONES.map(t => {
+                const hex = scheme.palettes[key].tone(t);
+                return <div key={t} className="flex-1" style={{ backgroundColor: hex }} title={`${PALETTE_LABELS[key]} ${t}: ${hex}`} />;
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-1.5">
+        {FORMATS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setFormat(id)}
+            className={`px-3 py-2 rounded-lg text-xs font-medium transition-colors ${
+              format === id
+                ? 'bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30'
+                : 'bg-[#12121a] text-[#8888a0] border border-[#1a1a24] hover:border-[#252530] hover:text-[#f0f0f5]'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <CodeBlock
+        code={code}
+        id={format}
+        filename={fmt.filename}
+        copied={copied}
+        onCopy={() => copy(code, format)}
+        onDownload={() => downloadText(code, fmt.filename)}
+      />
+    </div>
+  );
+}
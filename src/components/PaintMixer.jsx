@@ -3,32 +3,46 @@
  * 
  * Subtractive paint mixing calculator powered by Kubelka-Munk theory.
  * Uses a real pigment database (Golden, Winsor & Newton, Daniel Smith).
+ * Paints can be mixed, or glazed one over another on paper.
  */
 
-import { useState, useCallback, useMemo } from 'react';
-import { Pipette, FlaskConical, Shuffle, Plus, Trash2, ChevronDown, AlertCircle, Lightbulb, BookOpen, Target } from 'lucide-react';
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import { Pipette, FlaskConical, Shuffle, Plus, Trash2, ChevronDown, AlertCircle, Lightbulb, BookOpen, Target, Layers } from 'lucide-react';
 import {
   PAINT_DATABASE,
   AVAILABLE_MEDIA,
+  SUBSTRATES,
   findMixingRecipe,
   simulateMix,
+  simulateGlaze,
+  metamerismReport,
+  METAMERISM_NOTICEABLE,
   getPaintsByMedium,
 } from '../utils/paintMixer';
 import { oklchToHex } from '../utils/colorUtils';
 
 // ─── helpers ────────────────────────────────────────────────────────────────
-function hexDistance(a, b) {
-  const parse = h => ({ r: parseInt(h.slice(1,3),16), g: parseInt(h.slice(3,5),16), b: parseInt(h.slice(5,7),16) });
-  const pa = parse(a), pb = parse(b);
-  return Math.sqrt((pa.r-pb.r)**2 + (pa.g-pb.g)**2 + (pa.b-pb.b)**2);
+// Thresholds in OKLab ΔE; 0.02 is about one just-noticeable difference
+function accuracyLabel(deltaE) {
+  if (deltaE < 0.02) return { text: 'Excellent match', color: '#4ade80' };
+  if (deltaE < 0.04) return { text: 'Good match',      color: '#86efac' };
+  if (deltaE < 0.07) return { text: 'Fair match',      color: '#fbbf24' };
+  if (deltaE < 0.10) return { text: 'Approximate',     color: '#fb923c' };
+  return                    { text: 'Rough guide',     color: '#f87171' };
 }
 
-function accuracyLabel(dist) {
-  if (dist < 15)  return { text: 'Excellent match', color: '#4ade80' };
-  if (dist < 30)  return { text: 'Good match',      color: '#86efac' };
-  if (dist < 55)  return { text: 'Fair match',       color: '#fbbf24' };
-  if (dist < 80)  return { text: 'Approximate',      color: '#fb923c' };
-  return              { text: 'Rough guide',         color: '#f87171' };
+function opacityLabel(opacity) {
+  if (opacity >= 0.9) return 'Opaque';
+  if (opacity >= 0.6) return 'Semi-opaque';
+  return 'Transparent';
+}
+
+// A thin wash of the medium's first two paints, one over the other
+function defaultGlazes(medium) {
+  return getPaintsByMedium(medium).slice(0, 2).map(paint => ({
+    paints: [{ paint, concentration: 100 }],
+    thickness: 0.5,
+  }));
 }
 
 const MEDIUM_LABELS = {
@@ -37,8 +51,8 @@ const MEDIUM_LABELS = {
   acrylic:    { label: 'Acrylic',    icon: '🎨' },
 };
 
-// ─── PaintSlot ──────────────────────────────────────────────────────────────
-function PaintSlot({ slot, index, onRemove, onRatioChange, onPaintChange, paintPool }) {
+// ─── PaintPicker ────────────────────────────────────────────────────────────
+function PaintPicker({ paint, paintPool, onSelect }) {
   const [open, setOpen] = useState(false);
   const [search, setSearch] = useState('');
 
@@ -47,6 +61,85 @@ function PaintSlot({ slot, index, onRemove, onRatioChange, onPaintChange, paintP
     p.pigmentCode.toLowerCase().includes(search.toLowerCase())
   );
 
+  return (
+    <div className="flex-1 min-w-0 relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="w-full flex items-center justify-between gap-1 text-left"
+      >
+        <div className="min-w-0">
+          <p className="text-xs font-medium text-[#f0f0f5] truncate">{paint.name}</p>
+          <p className="text-[10px] text-[#55556a]">
+            {paint.brand} · {paint.pigmentCode} · {opacityLabel(paint.opacity)}
+          </p>
+        </div>
+        <ChevronDown
+          size={14}
+          className={`text-[#55556a] shrink-0 transition-transform ${open ? 'rotate-180' : ''}`}
+        />
+      </button>
+
+      {open && (
+        <div className="absolute top-full left-0 right-0 z-50 mt-1 bg-[#0a0a0f] border border-[#1a1a24] rounded-xl shadow-2xl overflow-hidden min-w-[260px]">
+          <div className="p-2 border-b border-[#1a1a24]">
+            <input
+              type="text"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              placeholder="Search paints…"
+              className="w-full bg-[#12121a] text-xs text-[#f0f0f5] px-3 py-2 rounded-lg outline-none"
+              autoFocus
+            />
+          </div>
+          <div className="max-h-48 overflow-y-auto">
+            {filtered.map(p => (
+              <button
+                key={p.id}
+                onClick={() => { onSelect(p); setOpen(false); setSearch(''); }}
+                className="w-full flex items-center gap-3 px-3 py-2 hover:bg-[#1a1a24] transition-colors"
+              >
+                <div className="w-6 h-6 rounded shrink-0" style={{ backgroundColor: p.hex }} />
+                <div className="text-left min-w-0">
+                  <p className="text-xs text-[#f0f0f5] truncate">{p.name}</p>
+                  <p className="text-[10px] text-[#55556a]">{p.pigmentCode}</p>
+                </div>
+              </button>
+            ))}
+            {filtered.length === 0 && (
+              <p className="text-xs text-[#55556a] text-center py-4">No paints found</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── SubstratePicker ────────────────────────────────────────────────────────
+function SubstratePicker({ value, onChange }) {
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <span className="text-[10px] text-[#55556a] shrink-0">Painted over</span>
+      <div className="flex flex-wrap items-center gap-1 bg-[#0a0a0f] rounded-lg p-1">
+        {SUBSTRATES.map(({ id, label, hex }) => (
+          <button
+            key={id}
+            onClick={() => onChange(id)}
+            className={`flex items-center gap-1.5 px-2.5 py-1 rounded-md text-[10px] font-medium transition-colors ${
+              value === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'
+            }`}
+          >
+            <span className="w-2.5 h-2.5 rounded-sm border border-white/20" style={{ backgroundColor: hex }} />
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── PaintSlot ──────────────────────────────────────────────────────────────
+function PaintSlot({ slot, index, onRemove, onRatioChange, onPaintChange, paintPool }) {
   return (
     <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] overflow-visible">
       <div className="flex items-center gap-3 p-3">
@@ -57,56 +150,7 @@ function PaintSlot({ slot, index, onRemove, onRatioChange, onPaintChange, paintP
         />
 
         {/* Paint selector */}
-        <div className="flex-1 min-w-0 relative">
-          <button
-            onClick={() => setOpen(o => !o)}
-            className="w-full flex items-center justify-between gap-1 text-left"
-          >
-            <div className="min-w-0">
-              <p className="text-xs font-medium text-[#f0f0f5] truncate">{slot.paint.name}</p>
-              <p className="text-[10px] text-[#55556a]">
-                {slot.paint.brand} · {slot.paint.pigmentCode}
-              </p>
-            </div>
-            <ChevronDown
-              size={14}
-              className={`text-[#55556a] shrink-0 transition-transform ${open ? 'rotate-180' : ''}`}
-            />
-          </button>
-
-          {open && (
-            <div className="absolute top-full left-0 right-0 z-50 mt-1 bg-[#0a0a0f] border border-[#1a1a24] rounded-xl shadow-2xl overflow-hidden min-w-[260px]">
-              <div className="p-2 border-b border-[#1a1a24]">
-                <input
-                  type="text"
-                  value={search}
-                  onChange={e => setSearch(e.target.value)}
-                  placeholder="Search paints…"
-                  className="w-full bg-[#12121a] text-xs text-[#f0f0f5] px-3 py-2 rounded-lg outline-none"
-                  autoFocus
-                />
-              </div>
-              <div className="max-h-48 overflow-y-auto">
-                {filtered.map(p => (
-                  <button
-                    key={p.id}
-                    onClick={() => { onPaintChange(index, p); setOpen(false); setSearch(''); }}
-                    className="w-full flex items-center gap-3 px-3 py-2 hover:bg-[#1a1a24] transition-colors"
-                  >
-                    <div className="w-6 h-6 rounded shrink-0" style={{ backgroundColor: p.hex }} />
-                    <div className="text-left min-w-0">
-                      <p className="text-xs text-[#f0f0f5] truncate">{p.name}</p>
-                      <p className="text-[10px] text-[#55556a]">{p.pigmentCode}</p>
-                    </div>
-                  </button>
-                ))}
-                {filtered.length === 0 && (
-                  <p className="text-xs text-[#55556a] text-center py-4">No paints found</p>
-                )}
-              </div>
-            </div>
-          )}
-        </div>
+        <PaintPicker paint={slot.paint} paintPool={paintPool} onSelect={p => onPaintChange(index, p)} />
 
         {/* Remove */}
         <button
@@ -139,10 +183,74 @@ function PaintSlot({ slot, index, onRemove, onRatioChange, onPaintChange, paintP
   );
 }
 
+// ─── GlazeSlot ──────────────────────────────────────────────────────────────
+function GlazeSlot({ glaze, index, stepHex, onRemove, onThicknessChange, onPaintChange, paintPool }) {
+  const isMix = glaze.paints.length > 1;
+
+  return (
+    <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] overflow-visible">
+      <div className="flex items-center gap-3 p-3">
+        {/* Stack after this glaze, with the glaze's own paint(s) inset */}
+        <div
+          className="relative w-10 h-10 rounded-lg shrink-0 shadow-lg border border-white/10"
+          style={{ backgroundColor: stepHex }}
+          title={`After glaze ${index + 1}: ${stepHex}`}
+        >
+          <div className="absolute -bottom-1 -right-1 flex">
+            {glaze.paints.map(({ paint }) => (
+              <div key={paint.id} className="w-3 h-3 rounded-sm border border-[#12121a]" style={{ backgroundColor: paint.hex }} />
+            ))}
+          </div>
+        </div>
+
+        {isMix ? (
+          <div className="flex-1 min-w-0">
+            <p className="text-xs font-medium text-[#f0f0f5] truncate">Mix</p>
+            <p className="text-[10px] text-[#55556a] truncate">
+              {glaze.paints.map(({ paint, concentration }) => `${concentration}% ${paint.name}`).join(' + ')}
+            </p>
+          </div>
+        ) : (
+          <PaintPicker paint={glaze.paints[0].paint} paintPool={paintPool} onSelect={p => onPaintChange(index, p)} />
+        )}
+
+        <button
+          onClick={() => onRemove(index)}
+          className="p-1.5 rounded-lg text-[#55556a] hover:text-[#f87171] hover:bg-[#f87171]/10 transition-colors shrink-0"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+
+      {/* Film slider */}
+      <div className="px-3 pb-3">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-[10px] text-[#55556a]">Glaze {index + 1} · film</span>
+          <span className="text-[10px] font-mono text-[#8888a0]">×{glaze.thickness.toFixed(2)}</span>
+        </div>
+        <input
+          type="range"
+          min={0.05}
+          max={2}
+          step={0.05}
+          value={glaze.thickness}
+          onChange={e => onThicknessChange(index, Number(e.target.value))}
+          className="w-full h-1.5 rounded-full appearance-none cursor-pointer"
+          style={{
+            background: `linear-gradient(to right, ${stepHex} ${glaze.thickness / 2 * 100}%, #1a1a24 ${glaze.thickness / 2 * 100}%)`
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
 // ─── RecipeCard ─────────────────────────────────────────────────────────────
 function RecipeCard({ recipe, targetHex, onLoad }) {
-  const dist = hexDistance(recipe.hex, targetHex);
-  const acc = accuracyLabel(dist);
+  const acc = accuracyLabel(recipe.deltaE);
+  const lights = useMemo(() => metamerismReport(targetHex, recipe.reflectance), [targetHex, recipe.reflectance]);
+  // Daylight is the reference, so its index is always 0
+  const worst = lights.reduce((a, b) => (b.index > a.index ? b : a));
 
   return (
     <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] overflow-hidden">
@@ -156,9 +264,18 @@ function RecipeCard({ recipe, targetHex, onLoad }) {
         <div className="flex-1 min-w-0">
           <div className="flex items-center gap-2 mb-2">
             <span className="text-[10px] font-medium" style={{ color: acc.color }}>{acc.text}</span>
+            <span className="text-[10px] font-mono text-[#55556a]">ΔE {(recipe.deltaE * 100).toFixed(1)}</span>
           </div>
           <div className="space-y-1.5">
-            {recipe.paints.map((p, i) => (
+            {recipe.glazes?.map((g, i) => (
+              <div key={i} className="flex items-center gap-2">
+                <span className="text-[10px] font-mono text-[#55556a] shrink-0">{i + 1}</span>
+                <div className="w-4 h-4 rounded shrink-0" style={{ backgroundColor: g.paint.hex }} />
+                <span className="text-[10px] text-[#8888a0] shrink-0">×{g.thickness}</span>
+                <span className="text-[10px] text-[#55556a] truncate">{g.paint.name}</span>
+              </div>
+            ))}
+            {recipe.paints?.map((p, i) => (
               <div key={i} className="flex items-center gap-2">
                 <div className="w-4 h-4 rounded shrink-0" style={{ backgroundColor: p.paint.hex }} />
                 <div
@@ -179,13 +296,105 @@ function RecipeCard({ recipe, targetHex, onLoad }) {
           Load
         </button>
       </div>
+
+      {/* Target (left) and mix (right) under each light */}
+      <div className="border-t border-[#1a1a24] px-4 py-3 space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-[10px] text-[#55556a]">Under other lights</span>
+          {worst.index < METAMERISM_NOTICEABLE
+            ? <span className="text-[10px] text-[#4ade80]">Match holds</span>
+            : <span className="text-[10px] text-[#fbbf24]">Splits under {worst.label.toLowerCase()}</span>}
+        </div>
+        <div className="grid grid-cols-6 gap-1.5">
+          {lights.map(light => (
+            <div key={light.id} title={`${light.description} · target ${light.targetHex}, mix ${light.mixHex}`}>
+              <div className="h-6 rounded flex overflow-hidden border border-white/10">
+                <div className="flex-1" style={{ backgroundColor: light.targetHex }} />
+                <div className="flex-1" style={{ backgroundColor: light.mixHex }} />
+              </div>
+              <p className="text-[9px] text-[#55556a] truncate mt-0.5">{light.label}</p>
+              <p
+                className="text-[9px] font-mono"
+                style={{ color: light.index < METAMERISM_NOTICEABLE ? '#55556a' : '#fbbf24' }}
+              >
+                {light.id === 'D65' ? 'ref' : `MI ${(light.index * 100).toFixed(1)}`}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
     </div>
   );
 }
 
+// ─── Recipe search ──────────────────────────────────────────────────────────
+// Runs findMixingRecipe in a worker. A new search replaces one still running,
+// and answers to superseded or cleared searches are dropped.
+function useRecipeSearch() {
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+  const pendingRef = useRef(false);
+  const [recipes, setRecipes] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const search = useCallback((targetHex, options) => {
+    const id = ++requestRef.current;
+    setSearching(true);
+
+    if (typeof Worker === 'undefined') {
+      // Defer to next tick so UI updates
+      setTimeout(() => {
+        if (id !== requestRef.current) return;
+        setRecipes(findMixingRecipe(targetHex, options));
+        setSearching(false);
+      }, 10);
+      return;
+    }
+
+    if (pendingRef.current) {
+      workerRef.current?.terminate();
+      workerRef.current = null;
+    }
+    if (!workerRef.current) {
+      const worker = new Worker(new URL('../utils/recipeSearch.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data }) => {
+        pendingRef.current = false;
+        if (data.id !== requestRef.current) return;
+        const byId = paintId => PAINT_DATABASE.find(p => p.id === paintId);
+        setRecipes(data.recipes.map(({ paints, glazes, ...rest }) => ({
+          ...rest,
+          ...(paints && { paints: paints.map(({ paintId, ratio }) => ({ paint: byId(paintId), ratio })) }),
+          ...(glazes && { glazes: glazes.map(({ paintId, thickness }) => ({ paint: byId(paintId), thickness })) }),
+        })));
+        setSearching(false);
+      };
+      worker.onerror = (err) => {
+        console.error('Recipe search failed:', err);
+        pendingRef.current = false;
+        setSearching(false);
+      };
+      workerRef.current = worker;
+    }
+
+    pendingRef.current = true;
+    workerRef.current.postMessage({ id, targetHex, options });
+  }, []);
+
+  const clear = useCallback(() => {
+    requestRef.current++;
+    setRecipes([]);
+    setSearching(false);
+  }, []);
+
+  return { recipes, searching, search, clear };
+}
+
 // ─── Main component ──────────────────────────────────────────────────────────
 export default function PaintMixer({ baseColor, onColorSelect }) {
   const [medium, setMedium] = useState('watercolor');
+  const [substrate, setSubstrate] = useState('white');
   const [slots, setSlots] = useState(() => {
     const defaultPaints = getPaintsByMedium('watercolor').slice(0, 2);
     return defaultPaints.map((p, i) => ({
@@ -193,9 +402,10 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
       concentration: i === 0 ? 60 : 40,
     }));
   });
-  const [activeTab, setActiveTab] = useState('mix');   // 'mix' | 'match' | 'learn'
-  const [recipes, setRecipes] = useState([]);
-  const [searching, setSearching] = useState(false);
+  const [glazes, setGlazes] = useState(() => defaultGlazes('watercolor'));
+  const [activeTab, setActiveTab] = useState('mix');   // 'mix' | 'glaze' | 'match' | 'learn'
+  const [technique, setTechnique] = useState('mix');   // recipe search: 'mix' | 'glaze'
+  const { recipes, searching, search: searchRecipes, clear: clearRecipes } = useRecipeSearch();
 
   const paintPool = useMemo(() => getPaintsByMedium(medium), [medium]);
 
@@ -212,8 +422,17 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
     return simulateMix(normalisedSlots.map(sl => ({
       paintId: sl.paint.id,
       concentration: sl.concentration,
-    })));
-  }, [normalisedSlots]);
+    })), { substrate });
+  }, [normalisedSlots, substrate]);
+
+  // Live glaze stack, with the swatch after each glaze
+  const glazeResult = useMemo(() => {
+    if (glazes.length === 0) return null;
+    return simulateGlaze(glazes.map(g => ({
+      paints: g.paints.map(({ paint, concentration }) => ({ paintId: paint.id, concentration })),
+      thickness: g.thickness,
+    })), { substrate });
+  }, [glazes, substrate]);
 
   const targetHex = oklchToHex(baseColor);
 
@@ -225,8 +444,9 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
       paint: p,
       concentration: i === 0 ? 60 : 40,
     })));
-    setRecipes([]);
-  }, []);
+    setGlazes(defaultGlazes(m));
+    clearRecipes();
+  }, [clearRecipes]);
 
   const handleAddPaint = useCallback(() => {
     if (slots.length >= 4) return;
@@ -248,17 +468,48 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
     setSlots(prev => prev.map((sl, idx) => idx === i ? { ...sl, paint } : sl));
   }, []);
 
+  const handleAddGlaze = useCallback(() => {
+    if (glazes.length >= 5) return;
+    const last = glazes[glazes.length - 1]?.paints[0].paint.id;
+    const next = paintPool.find(p => p.id !== last) || paintPool[0];
+    if (!next) return;
+    setGlazes(prev => [...prev, { paints: [{ paint: next, concentration: 100 }], thickness: 0.5 }]);
+  }, [glazes, paintPool]);
+
+  const handleGlazeCurrentMix = useCallback(() => {
+    if (glazes.length >= 5 || normalisedSlots.length === 0) return;
+    setGlazes(prev => [...prev, { paints: normalisedSlots.map(sl => ({ ...sl })), thickness: 0.5 }]);
+    setActiveTab('glaze');
+  }, [glazes, normalisedSlots]);
+
+  const handleRemoveGlaze = useCallback((i) => {
+    setGlazes(prev => prev.filter((_, idx) => idx !== i));
+  }, []);
+
+  const handleThicknessChange = useCallback((i, thickness) => {
+    setGlazes(prev => prev.map((g, idx) => idx === i ? { ...g, thickness } : g));
+  }, []);
+
+  const handleGlazePaintChange = useCallback((i, paint) => {
+    setGlazes(prev => prev.map((g, idx) => idx === i ? { ...g, paints: [{ paint, concentration: 100 }] } : g));
+  }, []);
+
   const handleFindRecipes = useCallback(() => {
-    setSearching(true);
-    // Defer to next tick so UI updates
-    setTimeout(() => {
-      const found = findMixingRecipe(targetHex, { medium, maxPaints: 3, topResults: 4 });
-      setRecipes(found);
-      setSearching(false);
-    }, 10);
-  }, [targetHex, medium]);
+    searchRecipes(targetHex, {
+      medium,
+      maxPaints: technique === 'glaze' ? 3 : 4,
+      topResults: 4,
+      substrate,
+      technique,
+    });
+  }, [searchRecipes, targetHex, medium, substrate, technique]);
 
   const handleLoadRecipe = useCallback((recipe) => {
+    if (recipe.glazes) {
+      setGlazes(recipe.glazes.map(g => ({ paints: [{ paint: g.paint, concentration: 100 }], thickness: g.thickness })));
+      setActiveTab('glaze');
+      return;
+    }
     const newSlots = recipe.paints.map(rp => ({
       paint: rp.paint,
       concentration: rp.ratio,
@@ -267,10 +518,10 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
     setActiveTab('mix');
   }, []);
 
-  const handleUseResult = useCallback(() => {
-    if (!mixResult || !onColorSelect) return;
+  const handleUseResult = useCallback((result) => {
+    if (!result || !onColorSelect) return;
     // Convert sRGB result back to something the app can use (approximate via hex parse)
-    const hex = mixResult.hex;
+    const hex = result.hex;
     const r = parseInt(hex.slice(1,3),16)/255;
     const g = parseInt(hex.slice(3,5),16)/255;
     const b = parseInt(hex.slice(5,7),16)/255;
@@ -294,7 +545,7 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
     let   h   = Math.atan2(bb, aa) * 180 / Math.PI;
     if (h < 0) h += 360;
     if (onColorSelect) onColorSelect({ mode: 'oklch', l: Math.max(0,Math.min(1,L)), c: Math.max(0,c), h });
-  }, [mixResult, onColorSelect]);
+  }, [onColorSelect]);
 
   return (
     <div className="space-y-4">
@@ -324,7 +575,8 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
         <AlertCircle size={13} className="text-[#ff6b4a] shrink-0 mt-0.5" />
         <p className="text-[10px] text-[#8888a0] leading-relaxed">
           Mixing uses <strong className="text-[#f0f0f5]">Kubelka-Munk subtractive theory</strong> with
-          pigment spectral data from Golden, Winsor &amp; Newton, and Daniel Smith. Results are predictive,
+          spectra modelled on each pigment's published reflectance and matched to Golden, Winsor &amp; Newton
+          and Daniel Smith swatches. Results are predictive,
           not additive RGB blending.
         </p>
       </div>
@@ -333,6 +585,7 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
       <div className="flex gap-1 bg-[#0a0a0f] p-1 rounded-lg">
         {[
           { id: 'mix',   label: 'Mix',    icon: FlaskConical },
+          { id: 'glaze', label: 'Glaze',  icon: Layers },
           { id: 'match', label: 'Match',  icon: Target },
           { id: 'learn', label: 'Guide',  icon: BookOpen },
         ].map(({ id, label, icon: Icon }) => (
@@ -380,6 +633,9 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
             </button>
           )}
 
+          {/* Ground */}
+          {slots.length > 0 && <SubstratePicker value={substrate} onChange={setSubstrate} />}
+
           {/* Result */}
           {mixResult && (
             <div className="rounded-2xl border border-[#1a1a24] overflow-hidden">
@@ -388,11 +644,97 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
                 <div>
                   <p className="text-sm font-mono text-[#f0f0f5]">{mixResult.hex}</p>
                   <p className="text-[10px] text-[#55556a] mt-0.5">
-                    KM subtractive mix · {normalisedSlots.map(s => `${s.concentration}% ${s.paint.name}`).join(' + ')}
+                    KM two-constant mix · {normalisedSlots.map(s => `${s.concentration}% ${s.paint.name}`).join(' + ')}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1.5 shrink-0">
+                  <button
+                    onClick={handleGlazeCurrentMix}
+                    disabled={glazes.length >= 5}
+                    title="Add this mix to the glaze stack"
+                    className="flex items-center gap-1.5 px-3 py-1.5 bg-[#ff6b4a]/10 hover:bg-[#ff6b4a]/20 disabled:opacity-50 text-[#ff6b4a] rounded-lg text-xs transition-colors"
+                  >
+                    <Layers size={12} />
+                    Glaze
+                  </button>
+                  <button
+                    onClick={() => handleUseResult(mixResult)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 bg-[#ff6b4a] hover:bg-[#ff6b4a]/80 rounded-lg text-xs text-white font-medium transition-colors"
+                  >
+                    <Pipette size={12} />
+                    Use colour
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {slots.length === 0 && (
+            <p className="text-xs text-center text-[#55556a] py-6">Add paints above to start mixing</p>
+          )}
+        </div>
+      )}
+
+      {/* ── GLAZE TAB ───────────────────────────────────────────────────── */}
+      {activeTab === 'glaze' && (
+        <div className="space-y-4">
+          <SubstratePicker value={substrate} onChange={setSubstrate} />
+
+          {/* Glazes, first wash first */}
+          <div className="space-y-2">
+            {glazes.map((glaze, i) => (
+              <GlazeSlot
+                key={i}
+                glaze={glaze}
+                index={i}
+                stepHex={glazeResult?.steps[i]?.hex ?? '#000000'}
+                onRemove={handleRemoveGlaze}
+                onThicknessChange={handleThicknessChange}
+                onPaintChange={handleGlazePaintChange}
+                paintPool={paintPool}
+              />
+            ))}
+          </div>
+
+          {glazes.length < 5 && (
+            <button
+              onClick={handleAddGlaze}
+              className="w-full flex items-center justify-center gap-2 py-2.5 border border-dashed border-[#1a1a24] rounded-xl text-xs text-[#55556a] hover:border-[#ff6b4a]/40 hover:text-[#ff6b4a] transition-colors"
+            >
+              <Plus size={14} />
+              Add glaze (up to 5)
+            </button>
+          )}
+
+          {/* Result: paper, then the stack after each glaze */}
+          {glazeResult && (
+            <div className="rounded-2xl border border-[#1a1a24] overflow-hidden">
+              <div className="h-20 flex">
+                <div
+                  className="w-10 shrink-0"
+                  style={{ backgroundColor: SUBSTRATES.find(sub => sub.id === substrate).hex }}
+                  title="Paper"
+                />
+                {glazeResult.steps.map((step, i) => (
+                  <div
+                    key={i}
+                    className="flex-1 flex items-end p-1.5"
+                    style={{ backgroundColor: step.hex }}
+                    title={`After glaze ${i + 1}: ${step.hex}`}
+                  >
+                    <span className="text-[9px] font-mono text-white/70 mix-blend-difference">{i + 1}</span>
+                  </div>
+                ))}
+              </div>
+              <div className="bg-[#12121a] p-4 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-mono text-[#f0f0f5]">{glazeResult.hex}</p>
+                  <p className="text-[10px] text-[#55556a] mt-0.5">
+                    KM glaze stack · {glazes.length} {glazes.length === 1 ? 'layer' : 'layers'} on {SUBSTRATES.find(sub => sub.id === substrate).label.toLowerCase()}
                   </p>
                 </div>
                 <button
-                  onClick={handleUseResult}
+                  onClick={() => handleUseResult(glazeResult)}
                   className="flex items-center gap-1.5 px-3 py-1.5 bg-[#ff6b4a] hover:bg-[#ff6b4a]/80 rounded-lg text-xs text-white font-medium transition-colors"
                 >
                   <Pipette size={12} />
@@ -402,8 +744,8 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
             </div>
           )}
 
-          {slots.length === 0 && (
-            <p className="text-xs text-center text-[#55556a] py-6">Add paints above to start mixing</p>
+          {glazes.length === 0 && (
+            <p className="text-xs text-center text-[#55556a] py-6">Add a glaze above to start layering</p>
           )}
         </div>
       )}
@@ -426,6 +768,26 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
             </div>
           </div>
 
+          {/* Technique */}
+          <div className="flex gap-1 bg-[#0a0a0f] p-1 rounded-lg">
+            {[
+              { id: 'mix',   label: 'Physical mix', icon: FlaskConical },
+              { id: 'glaze', label: 'Glaze layers', icon: Layers },
+            ].map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => { setTechnique(id); clearRecipes(); }}
+                className={`flex-1 flex items-center justify-center gap-1.5 py-1.5 rounded-md text-[10px] font-medium transition-colors ${
+                  technique === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'
+                }`}
+              >
+                <Icon size={11} />
+                {label}
+              </button>
+            ))}
+          </div>
+          <SubstratePicker value={substrate} onChange={setSubstrate} />
+
           <button
             onClick={handleFindRecipes}
             disabled={searching}
@@ -433,14 +795,14 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
           >
             {searching
               ? <><Shuffle size={16} className="animate-spin" /> Calculating…</>
-              : <><Target size={16} /> Find {medium} recipes</>
+              : <><Target size={16} /> Find {medium} {technique === 'glaze' ? 'glazes' : 'recipes'}</>
             }
           </button>
 
           {recipes.length > 0 && (
             <div className="space-y-3">
               <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
-                Best matches (KM spectral)
+                Best matches (KM, optimised ratios)
               </h3>
               {recipes.map((r, i) => (
                 <RecipeCard
@@ -489,7 +851,7 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
                 ['Titanium White', 'Lightens without shifting hue much (high scattering), unlike Zinc White which is more transparent.'],
                 ['Phthalo pigments', 'Extremely tinting strength — use sparingly. A tiny amount dominates a mix.'],
                 ['Earth pigments', 'Ochres, umbers, siennas mix cleanly with almost anything. Great for neutralising and desaturating.'],
-                ['Glazing', 'Transparent pigments (low K values) are better for glazes. Opaque pigments (high S) for body.'],
+                ['Glazing', 'Transparent pigments (low S) let the ground show through, so they suit glazes. Opaque pigments (high S) hide it and suit body colour — switch the ground to black to compare.'],
                 ['Mud prevention', 'Avoid mixing complements in equal quantities. Use one to slightly neutralise the other instead.'],
               ].map(([term, desc]) => (
                 <li key={term} className="flex gap-2">
@@ -503,8 +865,8 @@ export default function PaintMixer({ baseColor, onColorSelect }) {
           <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-4 space-y-3">
             <h3 className="text-sm font-medium text-[#f0f0f5]">Paint database</h3>
             <p>
-              K/S spectral coefficients are derived from published reflectance measurements from
-              Golden Artist Colors, Winsor &amp; Newton, and Daniel Smith. Currently {PAINT_DATABASE.length} paints
+              K/S spectra follow the shape of each pigment's published reflectance curve and are scaled to
+              Golden Artist Colors, Winsor &amp; Newton, and Daniel Smith swatches. Currently {PAINT_DATABASE.length} paints
               across watercolor, oil, and acrylic.
             </p>
             <div className="grid grid-cols-3 gap-2 mt-2">
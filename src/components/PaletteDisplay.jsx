@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
-import { Copy, Check, Lock, Unlock, RefreshCw } from 'lucide-react';
-import { oklchToHex } from '../utils/colorUtils';
+import { Copy, Check, Lock, Unlock, RefreshCw, AlertTriangle } from 'lucide-react';
+import { oklchToHex, isInGamut, toCssColor, GAMUTS } from '../utils/colorUtils';
 import { generateColorName } from '../utils/colorNames';
+import { roleLabel } from '../utils/tokenNames';
 
 export default function PaletteDisplay({ 
   colors, 
@@ -10,7 +11,8 @@ export default function PaletteDisplay({
   onColorClick, 
   onRegenerate,
   lockedIndices = [],
-  onLockToggle
+  onLockToggle,
+  gamut = 'srgb'
 }) {
   const [copiedIndex, setCopiedIndex] = useState(null);
 
@@ -68,7 +70,6 @@ export default function PaletteDisplay({
 
       <div className="space-y-2">
         {colors.map((color, index) => {
-          const hex = oklchToHex(color);
           const formattedColor = formatColor(color);
           const isLocked = lockedIndices.includes(index);
           const isCopied = copiedIndex === index;
@@ -81,11 +82,20 @@ export default function PaletteDisplay({
             >
               {/* Color swatch */}
               <div 
-                className="w-10 h-10 rounded-lg shadow-lg cursor-pointer transition-transform hover:scale-105"
-                style={{ backgroundColor: hex }}
+                className="relative w-10 h-10 rounded-lg shadow-lg cursor-pointer transition-transform hover:scale-105"
+                style={{ backgroundColor: toCssColor(color, gamut) }}
                 onClick={() => onColorClick && onColorClick(color)}
                 title="Click to select"
-              />
+              >
+                {!isInGamut(color, gamut) && (
+                  <span
+                    className="absolute -top-1 -right-1 p-0.5 rounded-full bg-[#0a0a0f] border border-amber-500/40"
+                    title={`Outside ${GAMUTS[gamut]?.label ?? 'sRGB'} — shown gamut-mapped`}
+                  >
+                    <AlertTriangle size={8} className="text-amber-400" />
+                  </span>
+                )}
+              </div>
 
               {/* Color info */}
               <div className="flex-1 min-w-0">
@@ -105,7 +115,12 @@ export default function PaletteDisplay({
                     )}
                   </button>
                 </div>
-                <p className="text-[10px] text-[#55556a] truncate">{name}</p>
+                <p className="text-[10px] text-[#55556a] truncate">
+                  {color.role && (
+                    <span className="mr-1.5 px-1.5 py-px rounded bg-[#1a1a24] text-[#8888a0]">{roleLabel(color.role)}</span>
+                  )}
+                  {name}
+                </p>
               </div>
 
               {/* Lock toggle */}
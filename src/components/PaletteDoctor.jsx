@@ -3,14 +3,14 @@ import { AlertCircle, CheckCircle, Sparkles, TrendingUp } from 'lucide-react';
 import { analyzePalette, addNeutralColor, expandLightnessRange, adjustForReadability } from '../utils/paletteAnalyzer';
 import { oklchToHex } from '../utils/colorUtils';
 
-export default function PaletteDoctor({ colors, onApplyFix }) {
+export default function PaletteDoctor({ colors, onApplyFix, contrastModel = 'wcag' }) {
   const [analysis, setAnalysis] = useState(null);
 
   useEffect(() => {
     if (colors && colors.length > 0) {
-      setAnalysis(analyzePalette(colors));
+      setAnalysis(analyzePalette(colors, { contrastModel }));
     }
-  }, [colors]);
+  }, [colors, contrastModel]);
 
   if (!analysis || !colors || colors.length === 0) {
     return (
@@ -204,7 +204,7 @@ export default function PaletteDoctor({ colors, onApplyFix }) {
           <div>
             <p className="text-text-muted mb-1">Readability</p>
             <p className="text-text-primary font-medium">
-              {analysis.readability.passingPercentage.toFixed(0)}% passing
+              {analysis.readability.passingPercentage.toFixed(0)}% passing {contrastModel === 'apca' ? 'APCA' : 'WCAG'}
             </p>
           </div>
           
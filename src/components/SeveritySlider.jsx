@@ -0,0 +1,32 @@
+/**
+ * SeveritySlider.jsx
+ * Severity control for the vision simulations in AccessibilityChecker,
+ * UIPreviewPanel and ChartPreviewPanel. `state` is { type, severity }; the
+ * slider is inactive while type is the "off" option.
+ */
+
+export default function SeveritySlider({ state, onChange, off = 'normal', labels = ['Anomalous', 'Dichromat'] }) {
+  const disabled = state.type === off;
+  return (
+    <div className={`space-y-1.5 ${disabled ? 'opacity-40' : ''}`}>
+      <div className="flex justify-between text-[10px]">
+        <span className="text-[#55556a] uppercase tracking-wider">Severity</span>
+        <span className="text-[#8888a0] font-mono">{Math.round(state.severity * 100)}%</span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={state.severity}
+        disabled={disabled}
+        onChange={e => onChange({ ...state, severity: Number(e.target.value) })}
+        className="w-full accent-[#ff6b4a]"
+      />
+      <div className="flex justify-between text-[9px] text-[#3a3a4a]">
+        <span>{labels[0]}</span>
+        <span>{labels[1]}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+/**
+ * TerminalPanel.jsx
+ * 16-colour ANSI terminal scheme from the active palette, with a live terminal
+ * mock, per-colour contrast check and exports for common terminal emulators.
+ */
+
+import { useState, useMemo } from 'react';
+import { Terminal } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import {
+  generateTerminalScheme,
+  checkSchemeContrast,
+  toITermColors,
+  toWindowsTerminal,
+  toAlacritty,
+  toKitty,
+  toBase16,
+} from '../utils/terminalScheme';
+import CodeBlock from './CodeBlock';
+import { useClipboard } from '../hooks/useClipboard';
+import { downloadText } from '../utils/download';
+
+const FORMATS = [
+  { id: 'iterm',     label: 'iTerm2',           filename: 'hexandhue.itermcolors' },
+  { id: 'windows',   label: 'Windows Terminal', filename: 'hexandhue-windows-terminal.json' },
+  { id: 'alacritty', label: 'Alacritty',        filename: 'hexandhue-alacritty.toml' },
+  { id: 'kitty',     label: 'Kitty',            filename: 'hexandhue-kitty.conf' },
+  { id: 'base16',    label: 'base16',           filename: 'hexandhue-base16.yaml' },
+];
+
+// Terminal mock: each line is a list of [text, colour] where colour is an
+// ANSI index, 'fg' or 'dim'
+const SAMPLE_LINES = [
+  [['~/studio/hexhue', 4], [' (', 'fg'], ['main', 5], [') ', 'fg'], ['$ ', 2], ['ls', 'fg']],
+  [['README.md  ', 'fg'], ['dist/  ', 12], ['src/  ', 12], ['build.sh  ', 10], ['palette.ase', 13]],
+  [['$ ', 2], ['git status --short', 'fg']],
+  [[' M ', 1], ['src/App.jsx', 'fg']],
+  [['A  ', 2], ['src/utils/terminalScheme.js', 'fg']],
+  [['?? ', 8], ['notes.txt', 'dim']],
+  [['$ ', 2], ['npm test', 'fg']],
+  [['✓ ', 10], ['24 passed  ', 2], ['⚠ ', 11], ['2 warnings  ', 3], ['✗ ', 9], ['1 failed', 1]],
+  [['$ ', 2], ['echo ', 'fg'], ['$TERM', 6], [' # ', 8], ['xterm-256color', 14]],
+];
+
+function TerminalMock({ scheme }) {
+  const hex = c => oklchToHex(c);
+  const colorFor = key => {
+    if (key === 'fg') return hex(scheme.foreground);
+    if (key === 'dim') return hex(scheme.ansi[8]);
+    return hex(scheme.ansi[key]);
+  };
+
+  return (
+    <div className="rounded-xl overflow-hidden border border-[#1a1a24] shadow-xl">
+      <div className="flex items-center gap-1.5 px-3 py-2" style={{ backgroundColor: hex(scheme.ansi[0]) }}>
+        {[1, 3, 2].map(i => (
+          <span key={i} className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: hex(scheme.ansi[i]) }} />
+        ))}
+        <span className="ml-2 text-[10px] font-mono" style={{ color: hex(scheme.ansi[8]) }}>zsh — 80×24</span>
+      </div>
+      <div className="p-3 font-mono text-[11px] leading-relaxed" style={{ backgroundColor: hex(scheme.background) }}>
+        {SAMPLE_LINES.map((line, i) => (
+          <div key={i} className="whitespace-pre">
+            {line.map(([text, key], j) => (
+              <span key={j} style={{ color: colorFor(key) }}>{text}</span>
+            ))}
+          </div>
+        ))}
+        <div className="whitespace-pre">
+          <span style={{ color: hex(scheme.ansi[2]) }}>$ </span>
+          <span style={{ backgroundColor: hex(scheme.selection), color: hex(scheme.foreground) }}>selected text</span>
+          <span style={{ color: hex(scheme.foreground) }}> </span>
+          <span style={{ backgroundColor: hex(scheme.cursor), color: hex(scheme.cursorText) }}> </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ContrastGrid({ results, sources }) {
+  return (
+    <div className="grid grid-cols-8 gap-1">
+      {results.map(({ index, name, hex, ratio, level }) => (
+        <div key={index} className="text-center" title={`${name} · ${ratio.toFixed(2)}:1`}>
+          <div className="relative h-8 rounded-md border border-[#1a1a24]" style={{ backgroundColor: hex }}>
+            {sources[index % 8] === 'generated' && (
+              <span
+                className="absolute top-0.5 right-0.5 w-1.5 h-1.5 rounded-full bg-white/70"
+                title="Not in palette — generated"
+              />
+            )}
+          </div>
+          <div className={`text-[9px] font-mono mt-0.5 ${
+            level === 'AA' ? 'text-green-400' : level === 'AA Large' ? 'text-yellow-400' : 'text-red-400'
+          }`}>
+            {ratio.toFixed(1)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function TerminalPanel({ colors = [], paletteLabel = 'hex&hue' }) {
+  const [format, setFormat] = useState('iterm');
+  const { copied, copy } = useClipboard();
+
+  const scheme = useMemo(() => generateTerminalScheme(colors), [colors]);
+  const contrast = useMemo(() => checkSchemeContrast(scheme), [scheme]);
+  const name = `hex&hue ${paletteLabel}`;
+
+  const code = useMemo(() => {
+    switch (format) {
+      case 'iterm':     return toITermColors(scheme);
+      case 'windows':   return toWindowsTerminal(scheme, name);
+      case 'alacritty': return toAlacritty(scheme);
+      case 'kitty':     return toKitty(scheme);
+      case 'base16':    return toBase16(scheme, name);
+      default:          return '';
+    }
+  }, [scheme, format, name]);
+
+  const fmt = FORMATS.find(f => f.id === format);
+  // Black sits near the background on purpose, so only 1–7 and 9–15 count
+  const failing = contrast.filter(c => c.index % 8 !== 0 && c.level === 'Fail');
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium flex items-center gap-2">
+        <Terminal size={12} /> Terminal Scheme
+      </h3>
+
+      <TerminalMock scheme={scheme} />
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Contrast vs background</p>
+          <span className={`text-[10px] ${failing.length ? 'text-red-400' : 'text-green-400'}`}>
+            {failing.length ? `${failing.length} below 3:1` : 'All readable'}
+          </span>
+        </div>
+        <ContrastGrid results={contrast} sources={scheme.sources} />
+        <p className="text-[10px] text-[#55556a] mt-2">
+          Top row normal, bottom row bright. Swatches marked with a dot had no matching hue in the palette and were generated.
+        </p>
+      </div>
+
+      <div>
+        <p className="text-xs text-[#55556a] mb-2 uppercase tracking-wider font-medium">Export</p>
+        <div className="grid grid-cols-3 gap-1.5">
+          {FORMATS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setFormat(id)}
+              className={`px-3 py-2 rounded-lg text-xs font-medium transition-colors ${
+                format === id
+                  ? 'bg-[#ff6b4a]/15 text-[#ff6b4a] border border-[#ff6b4a]/30'
+                  : 'bg-[#12121a] text-[#8888a0] border border-[#1a1a24] hover:border-[#252530] hover:text-[#f0f0f5]'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <CodeBlock
+        code={code}
+        id={format}
+        filename={fmt.filename}
+        copied={copied}
+        onCopy={() => copy(code, format)}
+        onDownload={() => downloadText(code, fmt.filename)}
+      />
+    </div>
+  );
+}
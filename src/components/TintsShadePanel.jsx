@@ -1,5 +1,6 @@
 import React from 'react';
 import { oklchToHex } from '../utils/colorUtils';
+import { generateTonalScale, nearestScaleStep } from '../utils/tonalScale';
 
 export default function TintsShadePanel({ baseColor, onColorSelect }) {
   if (!baseColor) {
@@ -10,21 +11,9 @@ export default function TintsShadePanel({ baseColor, onColorSelect }) {
     );
   }
 
-  // Generate tints (lighter versions)
-  const tints = Array.from({ length: 5 }, (_, i) => ({
-    mode: 'oklch',
-    l: Math.min(1, baseColor.l + (1 - baseColor.l) * ((i + 1) / 5)),
-    c: baseColor.c * (1 - (i + 1) * 0.15),
-    h: baseColor.h || 0
-  }));
-
-  // Generate shades (darker versions)
-  const shades = Array.from({ length: 5 }, (_, i) => ({
-    mode: 'oklch',
-    l: Math.max(0, baseColor.l - baseColor.l * ((i + 1) / 5)),
-    c: baseColor.c * (1 - (i + 1) * 0.1),
-    h: baseColor.h || 0
-  }));
+  // Tonal scale (50–950) - same lightness targets for every hue
+  const scale = generateTonalScale(baseColor);
+  const baseStep = nearestScaleStep(baseColor);
 
   // Generate tones (mixed with gray)
   const tones = Array.from({ length: 5 }, (_, i) => ({
@@ -72,8 +61,26 @@ export default function TintsShadePanel({ baseColor, onColorSelect }) {
         </div>
       </div>
 
-      <ColorRow colors={tints} label="Tints (lighter)" />
-      <ColorRow colors={shades} label="Shades (darker)" />
+      <div className="space-y-1.5">
+        <h4 className="text-[10px] text-[#55556a] uppercase tracking-wider">Tonal scale</h4>
+        <div className="flex gap-0.5">
+          {scale.map(({ step, color, hex }) => (
+            <div key={step} className="flex-1 min-w-0">
+              <div
+                className="h-10 rounded cursor-pointer transition-transform hover:scale-105 hover:z-10"
+                style={{ backgroundColor: hex }}
+                onClick={() => onColorSelect && onColorSelect(color)}
+                title={`${step} · ${hex}`}
+              />
+              <p className={`text-[8px] font-mono text-center mt-0.5 ${
+                step === baseStep ? 'text-[#ff6b4a]' : 'text-[#55556a]'
+              }`}>
+                {step}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
       <ColorRow colors={tones} label="Tones (desaturated)" />
     </div>
   );
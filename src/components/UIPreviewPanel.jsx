@@ -1,157 +1,316 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { oklchToHex } from '../utils/colorUtils';
+import { CVD_TYPES, cvdLabel, createCVDSimulator } from '../utils/cvdSimulation';
+import { LOW_VISION_CONDITIONS, createLowVisionSimulator } from '../utils/lowVision';
+import SeveritySlider from './SeveritySlider';
+import { roleLabel } from '../utils/tokenNames';
+import { generateDarkCounterpart } from '../utils/darkMode';
 
-export default function UIPreviewPanel({ colors }) {
-  if (!colors || colors.length < 3) {
-    return (
-      <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
-        Need at least 3 colors for UI preview
-      </div>
-    );
+// Theme roles that can fill each preview slot, best first. Palettes without
+// roles fall back to position: primary, secondary, accent, background, text.
+const SLOT_ROLES = {
+  primary:   ['primary'],
+  secondary: ['secondary', 'supporting', 'tertiary'],
+  accent:    ['accent', 'tertiary', 'supporting', 'primaryContainer'],
+  bg:        ['background', 'neutralLight', 'surface', 'surfaceContainer'],
+  text:      ['text', 'neutralDark', 'onSurface'],
+};
+const SLOT_ORDER = ['primary', 'secondary', 'accent', 'bg', 'text'];
+const STATUS_ROLES = ['success', 'warning', 'error', 'info'];
+
+// Slot → palette colour, by role when the palette has roles
+function assignSlots(colors) {
+  const byRole = Object.fromEntries(colors.filter(c => c.role).map(c => [c.role, c]));
+  if (Object.keys(byRole).length === 0) {
+    return Object.fromEntries(SLOT_ORDER.map((slot, i) => [slot, colors[i]]));
   }
 
-  const primary = oklchToHex(colors[0]);
-  const secondary = oklchToHex(colors[1] || colors[0]);
-  const accent = oklchToHex(colors[2] || colors[0]);
-  const bg = colors[3] ? oklchToHex(colors[3]) : '#0a0a0f';
-  const text = colors[4] ? oklchToHex(colors[4]) : '#f0f0f5';
+  const used = new Set();
+  const slots = {};
+  SLOT_ORDER.forEach(slot => {
+    const role = SLOT_ROLES[slot].find(r => byRole[r] && !used.has(r));
+    if (role) {
+      used.add(role);
+      slots[slot] = byRole[role];
+    }
+  });
+  return slots;
+}
 
-  return (
-    <div className="space-y-4">
-      <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
-        UI Preview
-      </h3>
+// Slot colours for the mock, each run through the vision simulation
+function resolveSlots(colors, simulate) {
+  const slots = assignSlots(colors);
+  return {
+    slots,
+    primary: simulate(oklchToHex(slots.primary || colors[0])),
+    secondary: simulate(oklchToHex(slots.secondary || slots.primary || colors[0])),
+    accent: simulate(oklchToHex(slots.accent || slots.primary || colors[0])),
+    bg: simulate(slots.bg ? oklchToHex(slots.bg) : '#0a0a0f'),
+    text: simulate(slots.text ? oklchToHex(slots.text) : '#f0f0f5'),
+    statuses: STATUS_ROLES
+      .map(role => colors.find(c => c.role === role))
+      .filter(Boolean)
+      .map(c => ({ role: c.role, hex: simulate(oklchToHex(c)) })),
+  };
+}
 
-      {/* Mock UI */}
+function MockUI({ primary, secondary, accent, bg, text, statuses, filter }) {
+  return (
+    <div 
+      className="rounded-xl overflow-hidden border border-[#1a1a24]"
+      style={{ backgroundColor: bg, filter: filter || undefined }}
+    >
+      {/* Header */}
       <div 
-        className="rounded-xl overflow-hidden border border-[#1a1a24]"
-        style={{ backgroundColor: bg }}
+        className="px-4 py-3 border-b"
+        style={{ borderColor: `${primary}30` }}
       >
-        {/* Header */}
-        <div 
-          className="px-4 py-3 border-b"
-          style={{ borderColor: `${primary}30` }}
-        >
-          <div className="flex items-center justify-between">
-            <div className="flex items-center gap-2">
-              <div 
-                className="w-6 h-6 rounded"
-                style={{ backgroundColor: primary }}
-              />
-              <span style={{ color: text }} className="text-sm font-medium">
-                App Name
-              </span>
-            </div>
-            <div className="flex gap-2">
-              <button
-                className="px-3 py-1 rounded text-xs"
-                style={{ backgroundColor: `${secondary}20`, color: secondary }}
-              >
-                Settings
-              </button>
-              <button
-                className="px-3 py-1 rounded text-xs font-medium"
-                style={{ backgroundColor: primary, color: bg }}
-              >
-                Action
-              </button>
-            </div>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <div 
+              className="w-6 h-6 rounded"
+              style={{ backgroundColor: primary }}
+            />
+            <span style={{ color: text }} className="text-sm font-medium">
+              App Name
+            </span>
+          </div>
+          <div className="flex gap-2">
+            <button
+              className="px-3 py-1 rounded text-xs"
+              style={{ backgroundColor: `${secondary}20`, color: secondary }}
+            >
+              Settings
+            </button>
+            <button
+              className="px-3 py-1 rounded text-xs font-medium"
+              style={{ backgroundColor: primary, color: bg }}
+            >
+              Action
+            </button>
           </div>
         </div>
+      </div>
 
-        {/* Content */}
-        <div className="p-4 space-y-4">
-          {/* Card */}
-          <div 
-            className="p-4 rounded-lg"
-            style={{ backgroundColor: `${primary}10` }}
+      {/* Content */}
+      <div className="p-4 space-y-4">
+        {/* Card */}
+        <div 
+          className="p-4 rounded-lg"
+          style={{ backgroundColor: `${primary}10` }}
+        >
+          <h4 style={{ color: text }} className="font-medium mb-2">
+            Welcome Back
+          </h4>
+          <p style={{ color: `${text}80` }} className="text-sm">
+            This is a preview of how your colors look in a UI.
+          </p>
+          <button
+            className="mt-3 px-4 py-2 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: accent, color: bg }}
           >
-            <h4 style={{ color: text }} className="font-medium mb-2">
-              Welcome Back
-            </h4>
-            <p style={{ color: `${text}80` }} className="text-sm">
-              This is a preview of how your colors look in a UI.
-            </p>
+            Get Started
+          </button>
+        </div>
+
+        {/* Form elements */}
+        <div className="space-y-3">
+          <input
+            type="text"
+            placeholder="Input field..."
+            className="w-full px-3 py-2 rounded-lg text-sm"
+            style={{ 
+              backgroundColor: `${primary}10`,
+              borderColor: `${primary}30`,
+              color: text
+            }}
+          />
+          
+          <div className="flex gap-2">
             <button
-              className="mt-3 px-4 py-2 rounded-lg text-sm font-medium"
-              style={{ backgroundColor: accent, color: bg }}
+              className="flex-1 px-4 py-2 rounded-lg text-sm font-medium"
+              style={{ backgroundColor: primary, color: bg }}
             >
-              Get Started
+              Primary
             </button>
-          </div>
-
-          {/* Form elements */}
-          <div className="space-y-3">
-            <input
-              type="text"
-              placeholder="Input field..."
-              className="w-full px-3 py-2 rounded-lg text-sm"
+            <button
+              className="flex-1 px-4 py-2 rounded-lg text-sm"
               style={{ 
-                backgroundColor: `${primary}10`,
-                borderColor: `${primary}30`,
-                color: text
+                backgroundColor: 'transparent',
+                border: `1px solid ${secondary}`,
+                color: secondary
               }}
-            />
-            
-            <div className="flex gap-2">
-              <button
-                className="flex-1 px-4 py-2 rounded-lg text-sm font-medium"
-                style={{ backgroundColor: primary, color: bg }}
-              >
-                Primary
-              </button>
-              <button
-                className="flex-1 px-4 py-2 rounded-lg text-sm"
-                style={{ 
-                  backgroundColor: 'transparent',
-                  border: `1px solid ${secondary}`,
-                  color: secondary
-                }}
+            >
+              Secondary
+            </button>
+          </div>
+        </div>
+
+        {/* Tags */}
+        <div className="flex flex-wrap gap-2">
+          <span 
+            className="px-2 py-1 rounded text-xs"
+            style={{ backgroundColor: `${primary}20`, color: primary }}
+          >
+            Tag 1
+          </span>
+          <span 
+            className="px-2 py-1 rounded text-xs"
+            style={{ backgroundColor: `${secondary}20`, color: secondary }}
+          >
+            Tag 2
+          </span>
+          <span 
+            className="px-2 py-1 rounded text-xs"
+            style={{ backgroundColor: `${accent}20`, color: accent }}
+          >
+            Tag 3
+          </span>
+        </div>
+
+        {/* Status messages, when the theme has semantic roles */}
+        {statuses.length > 0 && (
+          <div className="grid grid-cols-2 gap-2">
+            {statuses.map(({ role, hex }) => (
+              <div
+                key={role}
+                className="px-3 py-2 rounded-lg text-xs border-l-2"
+                style={{ backgroundColor: `${hex}18`, borderColor: hex, color: text }}
               >
-                Secondary
-              </button>
-            </div>
+                <span style={{ color: hex }} className="font-medium">{roleLabel(role)}</span> message
+              </div>
+            ))}
           </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
-          {/* Tags */}
-          <div className="flex flex-wrap gap-2">
-            <span 
-              className="px-2 py-1 rounded text-xs"
-              style={{ backgroundColor: `${primary}20`, color: primary }}
-            >
-              Tag 1
-            </span>
-            <span 
-              className="px-2 py-1 rounded text-xs"
-              style={{ backgroundColor: `${secondary}20`, color: secondary }}
-            >
-              Tag 2
-            </span>
-            <span 
-              className="px-2 py-1 rounded text-xs"
-              style={{ backgroundColor: `${accent}20`, color: accent }}
-            >
-              Tag 3
+export default function UIPreviewPanel({
+  colors,
+  vision = { type: 'normal', severity: 1 },
+  onVisionChange,
+  lowVision = { type: 'none', severity: 0.5 },
+  onLowVisionChange,
+  contrastModel = 'wcag',
+}) {
+  const lowVisionSim = useMemo(
+    () => createLowVisionSimulator(lowVision.type, lowVision.severity),
+    [lowVision.type, lowVision.severity]
+  );
+  // Colour vision first (it happens in the retina), then the optical condition
+  const simulate = useMemo(() => {
+    const cvd = createCVDSimulator(vision.type, vision.severity);
+    return hex => lowVisionSim.color(cvd(hex));
+  }, [vision.type, vision.severity, lowVisionSim]);
+
+  const darkResult = useMemo(
+    () => (colors && colors.length >= 3 ? generateDarkCounterpart(colors, { model: contrastModel }) : null),
+    [colors, contrastModel]
+  );
+
+  if (!colors || colors.length < 3) {
+    return (
+      <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
+        Need at least 3 colors for UI preview
+      </div>
+    );
+  }
+
+  // Every role colour goes through the vision simulation, fixed fallbacks too
+  const light = resolveSlots(colors, simulate);
+  const dark = resolveSlots(darkResult.colors, simulate);
+  const { slots, primary, secondary, accent } = light;
+  const darkFailures = darkResult.entries.filter(e => e.passes === false);
+
+  const simulationLabel = [
+    vision.type !== 'normal' && cvdLabel(vision.type, vision.severity),
+    lowVision.type !== 'none' && LOW_VISION_CONDITIONS.find(c => c.id === lowVision.type)?.label.toLowerCase(),
+  ].filter(Boolean).join(' + ');
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
+          UI Preview
+          {simulationLabel && (
+            <span className="ml-2 normal-case tracking-normal text-[#ff6b4a]">
+              as seen with {simulationLabel}
             </span>
-          </div>
+          )}
+        </h3>
+        <div className="flex gap-1.5">
+          <select
+            value={vision.type}
+            onChange={e => onVisionChange?.({ ...vision, type: e.target.value })}
+            className="bg-[#12121a] border border-[#1a1a24] rounded-lg px-2 py-1 text-[10px] text-[#8888a0] focus:outline-none focus:border-[#ff6b4a]/50"
+          >
+            {CVD_TYPES.map(({ id, label, anomaly }) => (
+              <option key={id} value={id}>{anomaly ? `${anomaly} / ${label}` : label}</option>
+            ))}
+          </select>
+          <select
+            value={lowVision.type}
+            onChange={e => onLowVisionChange?.({ ...lowVision, type: e.target.value })}
+            className="bg-[#12121a] border border-[#1a1a24] rounded-lg px-2 py-1 text-[10px] text-[#8888a0] focus:outline-none focus:border-[#ff6b4a]/50"
+          >
+            <option value="none">No low-vision filter</option>
+            {LOW_VISION_CONDITIONS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
         </div>
       </div>
 
-      {/* Color roles legend */}
-      <div className="flex flex-wrap gap-2 text-[10px]">
-        <div className="flex items-center gap-1">
-          <div className="w-3 h-3 rounded" style={{ backgroundColor: primary }} />
-          <span className="text-[#55556a]">Primary</span>
-        </div>
-        <div className="flex items-center gap-1">
-          <div className="w-3 h-3 rounded" style={{ backgroundColor: secondary }} />
-          <span className="text-[#55556a]">Secondary</span>
+      {vision.type !== 'normal' && (
+        <SeveritySlider state={vision} onChange={v => onVisionChange?.(v)} />
+      )}
+      {lowVision.type !== 'none' && (
+        <SeveritySlider
+          state={lowVision}
+          off="none"
+          labels={['Mild', 'Severe']}
+          onChange={v => onLowVisionChange?.(v)}
+        />
+      )}
+
+      {/* Mock UI, light and dark */}
+      <div className="grid md:grid-cols-2 gap-3">
+        <div className="space-y-1.5">
+          <p className="text-[10px] text-[#55556a] uppercase tracking-wider">Light</p>
+          <MockUI {...light} filter={lowVisionSim.filter} />
         </div>
-        <div className="flex items-center gap-1">
-          <div className="w-3 h-3 rounded" style={{ backgroundColor: accent }} />
-          <span className="text-[#55556a]">Accent</span>
+        <div className="space-y-1.5">
+          <p className="text-[10px] text-[#55556a] uppercase tracking-wider">Dark counterpart</p>
+          <MockUI {...dark} filter={lowVisionSim.filter} />
         </div>
       </div>
+
+      {darkResult && (
+        <p className={`text-[10px] ${darkFailures.length ? 'text-amber-400' : 'text-[#55556a]'}`}>
+          {darkFailures.length
+            ? `${darkFailures.length} colour${darkFailures.length === 1 ? '' : 's'} cannot reach ${darkResult.target.label} against the dark surface: ${darkFailures.map(e => e.dark).join(', ')}`
+            : `Text and accents keep their light-theme contrast against the dark surface, and at least ${darkResult.target.label}.`}
+        </p>
+      )}
+
+      {/* Color roles legend */}
+      <div className="flex flex-wrap gap-2 text-[10px]">
+        {[
+          ['Primary', primary, slots.primary],
+          ['Secondary', secondary, slots.secondary],
+          ['Accent', accent, slots.accent],
+        ].map(([label, hex, source]) => (
+          <div key={label} className="flex items-center gap-1">
+            <div className="w-3 h-3 rounded" style={{ backgroundColor: hex }} />
+            <span className="text-[#55556a]">
+              {label}
+              {source?.role && source.role !== label.toLowerCase() && ` (${roleLabel(source.role)})`}
+            </span>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
\ No newline at end of file
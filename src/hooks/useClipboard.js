@@ -0,0 +1,27 @@
+// useClipboard.js - Copy text and remember which item was copied
+// `copied` holds the id passed to copy() for two seconds, for "Copied!" states.
+// Falls back to execCommand where the async clipboard API is refused.
+
+import { useState } from 'react';
+
+export function useClipboard() {
+  const [copied, setCopied] = useState(null);
+  const copy = async (text, id) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(id);
+      setTimeout(() => setCopied(null), 2000);
+    } catch {
+      // fallback
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      document.body.appendChild(ta);
+      ta.select();
+      document.execCommand('copy');
+      document.body.removeChild(ta);
+      setCopied(id);
+      setTimeout(() => setCopied(null), 2000);
+    }
+  };
+  return { copied, copy };
+}
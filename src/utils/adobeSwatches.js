@@ -0,0 +1,337 @@
+// adobeSwatches.js - Adobe swatch files
+// Binary writers and readers for Adobe Swatch Exchange (.ase, Illustrator /
+// InDesign / Photoshop) and Photoshop Color Swatches (.aco). All multi-byte
+// values are big-endian; names are UTF-16BE.
+//
+// Format references:
+//   - ASE: http://www.selapa.net/swatches/colors/fileformats.php#adobe_ase
+//   - ACO: Adobe Photoshop File Formats Specification, "Color Swatches"
+
+import { toOklch, toUnitRgb } from './colorUtils';
+
+const ASE_SIGNATURE = 'ASEF';
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR = 0x0001;
+const ASE_TYPE_GLOBAL = 0;
+
+const ACO_RGB = 0;
+const ACO_HSB = 1;
+const ACO_CMYK = 2;
+const ACO_LAB = 7;
+const ACO_GRAY = 8;
+
+// ============================================================================
+// ASE
+// ============================================================================
+
+/**
+ * Encode a palette as an .ase file: one named group holding RGB global swatches.
+ * @returns {Uint8Array}
+ */
+export function encodeASE(colors, names, groupName = 'hex&hue') {
+  const writer = new ByteWriter();
+  writer.ascii(ASE_SIGNATURE);
+  writer.uint16(1); // version 1.0
+  writer.uint16(0);
+  writer.uint32(colors.length + 2); // group start + colours + group end
+
+  writeAseBlock(writer, ASE_GROUP_START, block => block.aseString(groupName));
+
+  colors.forEach((color, i) => {
+    const { r, g, b } = toUnitRgb(color);
+    writeAseBlock(writer, ASE_COLOR, block => {
+      block.aseString(names[i] || `Color ${i + 1}`);
+      block.ascii('RGB ');
+      block.float32(r);
+      block.float32(g);
+      block.float32(b);
+      block.uint16(ASE_TYPE_GLOBAL);
+    });
+  });
+
+  writeAseBlock(writer, ASE_GROUP_END, () => {});
+  return writer.bytes();
+}
+
+/**
+ * Decode an .ase file. Supports RGB, CMYK, LAB and Gray swatches.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ colors: Array, names: Array<string> }}
+ * @throws {Error} if the file is not a valid swatch exchange file
+ */
+export function decodeASE(buffer) {
+  const reader = new ByteReader(buffer);
+  if (reader.ascii(4) !== ASE_SIGNATURE) {
+    throw new Error('Not an Adobe Swatch Exchange file');
+  }
+  reader.skip(4); // version
+  const blockCount = reader.uint32();
+
+  const colors = [];
+  const names = [];
+
+  for (let i = 0; i < blockCount && reader.remaining() >= 6; i++) {
+    const type = reader.uint16();
+    const length = reader.uint32();
+    const end = reader.offset + length;
+
+    if (type === ASE_COLOR) {
+      const name = reader.aseString();
+      const model = reader.ascii(4).trim();
+      const color = readAseColor(reader, model);
+      if (color) {
+        colors.push(toOklch(color));
+        names.push(name);
+      }
+    }
+    reader.seek(end);
+  }
+
+  if (colors.length === 0) throw new Error('No colour swatches found');
+  return { colors, names };
+}
+
+function writeAseBlock(writer, type, writeBody) {
+  const body = new ByteWriter();
+  writeBody(body);
+  const bytes = body.bytes();
+  writer.uint16(type);
+  writer.uint32(bytes.length);
+  writer.raw(bytes);
+}
+
+function readAseColor(reader, model) {
+  switch (model) {
+    case 'RGB': {
+      const [r, g, b] = [reader.float32(), reader.float32(), reader.float32()];
+      return { mode: 'rgb', r, g, b };
+    }
+    case 'CMYK': {
+      const [c, m, y, k] = [reader.float32(), reader.float32(), reader.float32(), reader.float32()];
+      return cmykToRgb(c, m, y, k);
+    }
+    case 'LAB': {
+      // L is stored as 0–1, a/b as raw values
+      const [l, a, b] = [reader.float32(), reader.float32(), reader.float32()];
+      return { mode: 'lab', l: l * 100, a, b };
+    }
+    case 'Gray': {
+      const v = reader.float32();
+      return { mode: 'rgb', r: v, g: v, b: v };
+    }
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// ACO
+// ============================================================================
+
+/**
+ * Encode a palette as an .aco file. Writes the unnamed version 1 section
+ * followed by the version 2 section with swatch names, as Photoshop does.
+ * @returns {Uint8Array}
+ */
+export function encodeACO(colors, names) {
+  const writer = new ByteWriter();
+  const channels = colors.map(color => {
+    const { r, g, b } = toUnitRgb(color);
+    return [r, g, b].map(v => Math.round(v * 65535));
+  });
+
+  [1, 2].forEach(version => {
+    writer.uint16(version);
+    writer.uint16(colors.length);
+    channels.forEach(([r, g, b], i) => {
+      writer.uint16(ACO_RGB);
+      writer.uint16(r);
+      writer.uint16(g);
+      writer.uint16(b);
+      writer.uint16(0);
+      if (version === 2) {
+        const name = names[i] || `Color ${i + 1}`;
+        writer.uint32(name.length + 1);
+        writer.utf16(name);
+        writer.uint16(0);
+      }
+    });
+  });
+
+  return writer.bytes();
+}
+
+/**
+ * Decode an .aco file. Prefers the named version 2 section when present.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ colors: Array, names: Array<string> }}
+ * @throws {Error} if the file is not a valid colour swatch file
+ */
+export function decodeACO(buffer) {
+  const reader = new ByteReader(buffer);
+  let result = null;
+
+  while (reader.remaining() >= 4) {
+    const version = reader.uint16();
+    const count = reader.uint16();
+    if (version !== 1 && version !== 2) {
+      throw new Error('Not a Photoshop colour swatch file');
+    }
+
+    const colors = [];
+    const names = [];
+    for (let i = 0; i < count; i++) {
+      const space = reader.uint16();
+      const w = reader.uint16(), x = reader.uint16(), y = reader.uint16(), z = reader.uint16();
+      let name = `Color ${i + 1}`;
+      if (version === 2) {
+        const length = reader.uint32();
+        name = reader.utf16(length).replace(/\0+$/, '');
+      }
+      const color = acoToColor(space, w, x, y, z);
+      if (color) {
+        colors.push(toOklch(color));
+        names.push(name);
+      }
+    }
+
+    // Version 2 follows version 1 and carries the names, so it wins
+    if (!result || version === 2) result = { colors, names };
+  }
+
+  if (!result || result.colors.length === 0) {
+    throw new Error('No colour swatches found');
+  }
+  return result;
+}
+
+function acoToColor(space, w, x, y, z) {
+  switch (space) {
+    case ACO_RGB:
+      return { mode: 'rgb', r: w / 65535, g: x / 65535, b: y / 65535 };
+    case ACO_HSB:
+      return { mode: 'hsv', h: (w / 65535) * 360, s: x / 65535, v: y / 65535 };
+    case ACO_CMYK:
+      // 0 = 100% ink
+      return cmykToRgb(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535);
+    case ACO_LAB:
+      return { mode: 'lab', l: w / 100, a: toInt16(x) / 100, b: toInt16(y) / 100 };
+    case ACO_GRAY: {
+      const v = 1 - w / 10000;
+      return { mode: 'rgb', r: v, g: v, b: v };
+    }
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function cmykToRgb(c, m, y, k) {
+  return {
+    mode: 'rgb',
+    r: (1 - c) * (1 - k),
+    g: (1 - m) * (1 - k),
+    b: (1 - y) * (1 - k),
+  };
+}
+
+function toInt16(v) {
+  return v > 0x7fff ? v - 0x10000 : v;
+}
+
+/** Growable big-endian byte buffer. */
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push(size, write) {
+    const view = new DataView(new ArrayBuffer(size));
+    write(view);
+    this.chunks.push(new Uint8Array(view.buffer));
+    this.length += size;
+  }
+
+  uint16(v) { this.push(2, view => view.setUint16(0, v)); }
+  uint32(v) { this.push(4, view => view.setUint32(0, v)); }
+  float32(v) { this.push(4, view => view.setFloat32(0, v)); }
+
+  ascii(str) {
+    for (const ch of str) this.push(1, view => view.setUint8(0, ch.charCodeAt(0)));
+  }
+
+  utf16(str) {
+    for (let i = 0; i < str.length; i++) this.uint16(str.charCodeAt(i));
+  }
+
+  /** ASE string: uint16 length in code units including terminator, UTF-16BE, 0x0000 */
+  aseString(str) {
+    this.uint16(str.length + 1);
+    this.utf16(str);
+    this.uint16(0);
+  }
+
+  raw(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  bytes() {
+    const out = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+}
+
+/** Big-endian cursor over an ArrayBuffer with bounds checking. */
+class ByteReader {
+  constructor(buffer) {
+    this.view = buffer instanceof ArrayBuffer
+      ? new DataView(buffer)
+      : new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    this.offset = 0;
+  }
+
+  ensure(size) {
+    if (this.offset + size > this.view.byteLength) {
+      throw new Error('Swatch file is truncated');
+    }
+  }
+
+  remaining() { return this.view.byteLength - this.offset; }
+  skip(size) { this.ensure(size); this.offset += size; }
+  seek(offset) { this.offset = Math.min(offset, this.view.byteLength); }
+
+  uint16() { this.ensure(2); const v = this.view.getUint16(this.offset); this.offset += 2; return v; }
+  uint32() { this.ensure(4); const v = this.view.getUint32(this.offset); this.offset += 4; return v; }
+  float32() { this.ensure(4); const v = this.view.getFloat32(this.offset); this.offset += 4; return v; }
+
+  ascii(length) {
+    let str = '';
+    for (let i = 0; i < length; i++) {
+      this.ensure(1);
+      str += String.fromCharCode(this.view.getUint8(this.offset++));
+    }
+    return str;
+  }
+
+  utf16(length) {
+    let str = '';
+    for (let i = 0; i < length; i++) str += String.fromCharCode(this.uint16());
+    return str;
+  }
+
+  aseString() {
+    const length = this.uint16();
+    return this.utf16(length).replace(/\0+$/, '');
+  }
+}
@@ -0,0 +1,135 @@
+// apca.js - APCA (Accessible Perceptual Contrast Algorithm) contrast
+// The WCAG 3 draft contrast method, APCA-W3 0.0.98G-4g. Unlike the WCAG 2
+// ratio it is polarity-aware (dark-on-light and light-on-dark score
+// differently) and returns a lightness contrast value Lc from about -108 to
+// 106, where the sign is the polarity and the magnitude is what gets graded.
+
+// ============================================================================
+// CONSTANTS (0.0.98G-4g)
+// ============================================================================
+
+const MAIN_TRC = 2.4;
+const COEFFS = [0.2126729, 0.7151522, 0.0721750];
+
+const NORM_BG = 0.56;
+const NORM_TXT = 0.57;
+const REV_BG = 0.65;
+const REV_TXT = 0.62;
+
+const BLACK_THRESHOLD = 0.022;
+const BLACK_CLAMP = 1.414;
+const SCALE = 1.14;
+const LOW_OFFSET = 0.027;
+const LOW_CLIP = 0.1;
+const DELTA_Y_MIN = 0.0005;
+
+// Lc thresholds from the APCA "Bronze" conformance level
+export const APCA_LEVELS = [
+  { min: 90, label: 'Body+',   description: 'Preferred for body text' },
+  { min: 75, label: 'Body',    description: 'Minimum for body text' },
+  { min: 60, label: 'Content', description: 'Content text, 24px+ or 16px bold' },
+  { min: 45, label: 'Large',   description: 'Headlines, 36px+ or 24px bold' },
+  { min: 30, label: 'Spot',    description: 'Non-text, placeholder, disabled' },
+  { min: 15, label: 'Minimal', description: 'Dividers and non-semantic shapes' },
+];
+
+// The Lc a pair needs to count as "passing" (comparable to WCAG 2 AA)
+export const APCA_PASS = 75;
+
+// Minimum font size (px) per weight, by Lc row. 999 = not usable for text,
+// 777 = non-text elements only. From the APCA font lookup table (G-4g).
+export const APCA_FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+const FONT_TABLE = [
+  [0,   999, 999, 999, 999, 999, 999, 999, 999, 999],
+  [10,  999, 999, 999, 999, 999, 999, 999, 999, 999],
+  [15,  777, 777, 777, 777, 777, 777, 777, 777, 777],
+  [20,  777, 777, 777, 777, 777, 777, 777, 777, 777],
+  [25,  777, 777, 777, 120, 120, 108, 96, 96, 96],
+  [30,  777, 777, 120, 108, 108, 96, 72, 72, 72],
+  [35,  777, 120, 108, 96, 72, 60, 48, 48, 48],
+  [40,  120, 108, 96, 60, 48, 42, 32, 32, 32],
+  [45,  108, 96, 72, 42, 32, 28, 24, 24, 24],
+  [50,  96, 72, 60, 32, 28, 24, 21, 21, 21],
+  [55,  80, 60, 48, 28, 24, 21, 18, 18, 18],
+  [60,  72, 48, 42, 24, 21, 18, 16, 16, 18],
+  [65,  68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+  [70,  64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+  [75,  60, 42, 24, 18, 16, 15, 14, 16, 18],
+  [80,  56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+  [85,  52, 34.5, 22, 16.5, 15.63, 14.63, 14, 16, 18],
+  [90,  48, 32, 21, 16, 15.5, 14.5, 14, 16, 18],
+  [95,  45, 28, 19.5, 15.5, 15, 14, 13.5, 16, 18],
+  [100, 42, 26.5, 18.5, 15, 14.5, 13.5, 13, 16, 18],
+  [105, 39, 25, 18, 14.5, 14, 13, 12, 16, 18],
+];
+
+// ============================================================================
+// CONTRAST
+// ============================================================================
+
+/**
+ * APCA lightness contrast of text on a background.
+ *
+ * @param {string} textHex - Foreground (text) colour, #rrggbb
+ * @param {string} bgHex - Background colour, #rrggbb
+ * @returns {number} Lc; positive for dark text on light, negative for light on dark
+ */
+export function apcaContrast(textHex, bgHex) {
+  const yText = screenLuminance(textHex);
+  const yBg = screenLuminance(bgHex);
+  if (Math.abs(yBg - yText) < DELTA_Y_MIN) return 0;
+
+  let lc;
+  if (yBg > yText) {
+    const sapc = (yBg ** NORM_BG - yText ** NORM_TXT) * SCALE;
+    lc = sapc < LOW_CLIP ? 0 : sapc - LOW_OFFSET;
+  } else {
+    const sapc = (yBg ** REV_BG - yText ** REV_TXT) * SCALE;
+    lc = sapc > -LOW_CLIP ? 0 : sapc + LOW_OFFSET;
+  }
+  return lc * 100;
+}
+
+/**
+ * The highest APCA level an Lc value reaches, or null below the lowest.
+ */
+export function apcaLevel(lc) {
+  const abs = Math.abs(lc);
+  return APCA_LEVELS.find(level => abs >= level.min) || null;
+}
+
+/**
+ * Minimum usable font size per weight for an Lc value. Uses the table row at
+ * or below |Lc|, so the answer is never more permissive than APCA's.
+ *
+ * @returns {Array<{ weight: number, size: number|null, nonText: boolean }>}
+ *   size null = unusable; nonText = only fit for icons, borders and the like
+ */
+export function apcaFontSizes(lc) {
+  const abs = Math.abs(lc);
+  let row = FONT_TABLE[0];
+  for (const entry of FONT_TABLE) {
+    if (entry[0] <= abs) row = entry;
+  }
+  return APCA_FONT_WEIGHTS.map((weight, i) => {
+    const value = row[i + 1];
+    return {
+      weight,
+      size: value >= 777 ? null : value,
+      nonText: value === 777,
+    };
+  });
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// APCA's screen luminance: plain 2.4 power curve (no sRGB linear toe), then a
+// soft clamp that lifts near-black values.
+function screenLuminance(hex) {
+  const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const y = channels.reduce((sum, v, i) => sum + COEFFS[i] * v ** MAIN_TRC, 0);
+  return y > BLACK_THRESHOLD ? y : y + (BLACK_THRESHOLD - y) ** BLACK_CLAMP;
+}
@@ -1,9 +1,181 @@
+// colorNames.js - Nearest-colour naming
+// Finds the closest named colour by perceptual distance (Euclidean in OKLab,
+// i.e. deltaE OK). When nothing in the dataset is close, builds a descriptive
+// name from lightness / chroma / hue buckets instead ("deep muted teal").
 
-// Simple implementation of color name generation
-// In a real app, this would use a nearest-color lookup library or a large list
+import { converter } from 'culori';
+import { oklchToHex } from './colorUtils';
+import { CSS_COLOR_NAMES, XKCD_COLOR_NAMES } from './colorNameData';
 
+const oklab = converter('oklab');
+const oklch = converter('oklch');
+
+// Max deltaE OK for a dataset entry to be used as the name
+const MATCH_THRESHOLD = 0.045;
+
+// Names are memoised by hex; cleared wholesale once it grows past this
+const CACHE_LIMIT = 4096;
+
+let nameIndex = null;
+const nameCache = new Map();
+
+/**
+ * Lazily build the OKLab lookup table from the bundled datasets.
+ * Coordinates live in flat typed arrays so the nearest search stays a tight loop.
+ * CSS names come first so they win exact ties.
+ */
+function getNameIndex() {
+  if (nameIndex) return nameIndex;
+
+  const entries = [
+    ...CSS_COLOR_NAMES.map(([name, hex]) => ({ name, hex, source: 'css' })),
+    ...XKCD_COLOR_NAMES.map(([name, hex]) => ({ name, hex, source: 'xkcd' })),
+  ];
+
+  const L = new Float64Array(entries.length);
+  const A = new Float64Array(entries.length);
+  const B = new Float64Array(entries.length);
+  entries.forEach((entry, i) => {
+    const lab = oklab(entry.hex);
+    L[i] = lab.l;
+    A[i] = lab.a ?? 0;
+    B[i] = lab.b ?? 0;
+  });
+
+  nameIndex = { entries, L, A, B };
+  return nameIndex;
+}
+
+/**
+ * Find the closest named colour to `color`.
+ * @param {Object|string} color - Any culori-parsable colour
+ * @returns {{ name: string, hex: string, source: string, distance: number } | null}
+ */
+export function findNearestColorName(color) {
+  const lab = oklab(color);
+  if (!lab) return null;
+
+  const { entries, L, A, B } = getNameIndex();
+  const l = lab.l ?? 0;
+  const a = lab.a ?? 0;
+  const b = lab.b ?? 0;
+
+  let bestIndex = -1;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < entries.length; i++) {
+    const dl = l - L[i];
+    const da = a - A[i];
+    const db = b - B[i];
+    const d = dl * dl + da * da + db * db;
+    if (d < bestDistance) {
+      bestDistance = d;
+      bestIndex = i;
+    }
+  }
+
+  if (bestIndex === -1) return null;
+  const best = entries[bestIndex];
+  return {
+    name: best.name,
+    hex: best.hex,
+    source: best.source,
+    distance: Math.sqrt(bestDistance),
+  };
+}
+
+/**
+ * Build a descriptive name from OKLCH buckets, e.g. "deep muted teal".
+ */
+export function describeColor(color) {
+  const c = oklch(color);
+  if (!c) return 'unknown';
+
+  const l = c.l ?? 0;
+  const chroma = c.c ?? 0;
+  const h = ((c.h ?? 0) % 360 + 360) % 360;
+
+  // Neutrals read as greys with at most a temperature tint
+  if (chroma < 0.02) {
+    if (l > 0.96) return 'white';
+    if (l < 0.12) return 'black';
+    const tint = chroma < 0.008 ? '' : (h < 110 || h >= 330 ? 'warm ' : h >= 180 && h < 300 ? 'cool ' : '');
+    return `${describeLightness(l)}${tint}gray`.trim();
+  }
+
+  const hueName = describeHue(h, l, chroma);
+  return `${describeLightness(l)}${describeChroma(chroma)}${hueName}`.trim();
+}
+
+/**
+ * Human-readable name for any colour. Deterministic and memoised,
+ * so it is safe to call for every swatch on every render.
+ */
 export const generateColorName = (color) => {
-  // Placeholder - returns the Hex value or a generic name
-  // To implement properly, we'd need a list of named colors
-  return "Custom Color"; 
+  if (!color) return '';
+
+  let hex;
+  try {
+    hex = oklchToHex(color);
+  } catch {
+    return '';
+  }
+  if (!hex) return '';
+
+  const cached = nameCache.get(hex);
+  if (cached) return cached;
+
+  const nearest = findNearestColorName(hex);
+  const raw = nearest && nearest.distance <= MATCH_THRESHOLD
+    ? nearest.name
+    : describeColor(hex);
+  const name = titleCase(raw);
+
+  if (nameCache.size >= CACHE_LIMIT) nameCache.clear();
+  nameCache.set(hex, name);
+  return name;
 };
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function describeLightness(l) {
+  if (l < 0.3) return 'very dark ';
+  if (l < 0.45) return 'deep ';
+  if (l < 0.7) return '';
+  if (l < 0.85) return 'light ';
+  return 'pale ';
+}
+
+function describeChroma(chroma) {
+  if (chroma < 0.05) return 'grayish ';
+  if (chroma < 0.1) return 'muted ';
+  if (chroma < 0.2) return '';
+  return 'vivid ';
+}
+
+function describeHue(h, l, chroma) {
+  // Dark, moderate-chroma oranges and yellows are perceived as browns/olives
+  if (h >= 20 && h < 95 && l < 0.55 && chroma < 0.16) return 'brown';
+  if (h >= 95 && h < 125 && l < 0.6) return 'olive';
+
+  if (h < 20 || h >= 350) return 'rose';
+  if (h < 45) return 'red';
+  if (h < 75) return 'orange';
+  if (h < 95) return 'amber';
+  if (h < 115) return 'yellow';
+  if (h < 135) return 'lime';
+  if (h < 165) return 'green';
+  if (h < 190) return 'teal';
+  if (h < 215) return 'cyan';
+  if (h < 245) return 'azure';
+  if (h < 275) return 'blue';
+  if (h < 300) return 'violet';
+  if (h < 325) return 'purple';
+  return 'magenta';
+}
+
+function titleCase(str) {
+  return str.replace(/(^|[\s/-])([a-z])/g, (_, sep, ch) => sep + ch.toUpperCase());
+}
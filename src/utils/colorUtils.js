@@ -4,11 +4,39 @@ import {
   wcagContrast, 
   differenceEuclidean, 
   random, 
-  displayable 
+  displayable,
+  inGamut,
+  toGamut
 } from 'culori';
 
 const oklch = converter('oklch');
 
+// CSS Color 4 gamut mapping: reduce OKLCH chroma (binary search) until the
+// clipped colour is within one just-noticeable deltaE OK of the reduced one.
+// https://drafts.csswg.org/css-color/#css-gamut-mapping
+const GAMUT_JND = 0.02;
+const mapToSRGB = toGamut('rgb', 'oklch', differenceEuclidean('oklab'), GAMUT_JND);
+
+// Output gamuts. `mode` is the culori space, `css` the color() space name,
+// `media` the color-gamut media feature value and `maxChroma` the outer
+// bound the wheel and sliders offer in that gamut.
+export const GAMUTS = {
+  srgb: { id: 'srgb', label: 'sRGB', mode: 'rgb', css: 'srgb', media: 'srgb', maxChroma: 0.32 },
+  p3: { id: 'p3', label: 'Display P3', mode: 'p3', css: 'display-p3', media: 'p3', maxChroma: 0.37 },
+  rec2020: { id: 'rec2020', label: 'Rec.2020', mode: 'rec2020', css: 'rec2020', media: 'rec2020', maxChroma: 0.45 },
+};
+
+const gamutMappers = {
+  srgb: mapToSRGB,
+  p3: toGamut('p3', 'oklch', differenceEuclidean('oklab'), GAMUT_JND),
+  rec2020: toGamut('rec2020', 'oklch', differenceEuclidean('oklab'), GAMUT_JND),
+};
+const gamutCheckers = {
+  srgb: inGamut('rgb'),
+  p3: inGamut('p3'),
+  rec2020: inGamut('rec2020'),
+};
+
 export const toOklch = (color) => {
   const c = oklch(color);
   // Ensure values are numbers and handle undefined hues
@@ -17,18 +45,93 @@ export const toOklch = (color) => {
     mode: 'oklch',
     l: c.l ?? 0,
     c: c.c ?? 0,
-    h: c.h ?? 0
+    h: c.h ?? 0,
+    // Theme roles (smartHarmony) travel with the colour
+    ...(color?.role && { role: color.role })
   };
 };
 
 export const oklchToHex = (color) => {
   try {
-    return formatHex(color);
+    return formatHex(mapToSRGB(color));
   } catch (e) {
     return '#000000';
   }
 };
 
+/**
+ * Map any colour into sRGB, keeping lightness and hue and giving up chroma.
+ * Returns an rgb-mode colour with channels in 0–1.
+ */
+export const gamutMapToSRGB = (color) => mapToSRGB(color);
+
+/**
+ * sRGB channels of any colour as { r, g, b } in 0–1, gamut-mapped and clamped,
+ * for swatch file writers.
+ */
+export const toUnitRgb = (color) => {
+  const c = gamutMapToSRGB(color) || { r: 0, g: 0, b: 0 };
+  const clamp = v => Math.max(0, Math.min(1, v ?? 0));
+  return { r: clamp(c.r), g: clamp(c.g), b: clamp(c.b) };
+};
+
+/**
+ * Map any colour into a target gamut (see GAMUTS). Returns a colour in that
+ * gamut's RGB space.
+ */
+export const gamutMap = (color, gamut = 'srgb') => (gamutMappers[gamut] || mapToSRGB)(color);
+
+/**
+ * True when the colour fits the target gamut without mapping.
+ */
+export const isInGamut = (color, gamut = 'srgb') => {
+  try {
+    return gamut === 'srgb' ? displayable(color) : gamutCheckers[gamut](color);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * CSS colour value for a target gamut: hex for sRGB, color(display-p3 …) /
+ * color(rec2020 …) for wide gamuts.
+ */
+export const toCssColor = (color, gamut = 'srgb') => {
+  if (gamut === 'srgb' || !GAMUTS[gamut]) return oklchToHex(color);
+  try {
+    const { r, g, b } = gamutMap(color, gamut);
+    const channel = v => Math.max(0, Math.min(1, v)).toFixed(4);
+    return `color(${GAMUTS[gamut].css} ${channel(r)} ${channel(g)} ${channel(b)})`;
+  } catch (e) {
+    return oklchToHex(color);
+  }
+};
+
+/**
+ * Wide-gamut tiers to emit for a target, narrowest first. Rec.2020 also gets a
+ * P3 tier for the far more common P3 screens; sRGB needs none.
+ */
+export const wideGamutTiers = (gamut) => {
+  if (gamut === 'rec2020') return ['p3', 'rec2020'];
+  if (gamut === 'p3') return ['p3'];
+  return [];
+};
+
+/**
+ * Largest OKLCH chroma at this lightness and hue that stays inside the gamut.
+ */
+export const maxChromaInGamut = (l, h, gamut = 'srgb') => {
+  let lo = 0;
+  let hi = GAMUTS[gamut]?.maxChroma ?? 0.4;
+  if (isInGamut({ mode: 'oklch', l, c: hi, h }, gamut)) return hi;
+  for (let i = 0; i < 16; i++) {
+    const mid = (lo + hi) / 2;
+    if (isInGamut({ mode: 'oklch', l, c: mid, h }, gamut)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+};
+
 export const generateMoodPalette = (mood, baseColor) => {
   const base = toOklch(baseColor);
 
@@ -0,0 +1,132 @@
+// contrastSolver.js - Minimal-change contrast fixes
+// Given a failing text/background pair, finds the perceptually closest colour
+// (deltaE OK) for one side that meets a contrast target. Hue is always kept;
+// lightness is the main lever and chroma is only given up when that gets
+// closer to the original. A per-pair counterpart to paletteAnalyzer's
+// adjustForReadability, which pushes the palette extremes wholesale.
+
+import { differenceEuclidean } from 'culori';
+import { toOklch, oklchToHex, gamutMapToSRGB, wcagContrast } from './colorUtils';
+import { apcaContrast } from './apca';
+
+export const CONTRAST_TARGETS = [
+  { id: 'aa',     label: 'AA',    model: 'wcag', value: 4.5 },
+  { id: 'aaa',    label: 'AAA',   model: 'wcag', value: 7 },
+  { id: 'lc60',   label: 'Lc 60', model: 'apca', value: 60 },
+  { id: 'lc75',   label: 'Lc 75', model: 'apca', value: 75 },
+  { id: 'lc90',   label: 'Lc 90', model: 'apca', value: 90 },
+];
+
+// Chroma kept at each stage of the search (1 = untouched)
+const CHROMA_STAGES = [1, 0.85, 0.7, 0.55, 0.4, 0.25, 0.1, 0];
+const BISECT_STEPS = 20;
+
+const deltaE = differenceEuclidean('oklab');
+
+// ============================================================================
+// SOLVER
+// ============================================================================
+
+/**
+ * Contrast of a text/background pair under a target's model.
+ * WCAG 2 ratios are symmetric; APCA is graded on |Lc|.
+ */
+export function pairContrast(fgHex, bgHex, target) {
+  return target.model === 'apca'
+    ? Math.abs(apcaContrast(fgHex, bgHex))
+    : wcagContrast(fgHex, bgHex);
+}
+
+export function meetsTarget(fgHex, bgHex, target) {
+  return pairContrast(fgHex, bgHex, target) >= target.value;
+}
+
+/**
+ * The target a contrast model grades body text against: AA for WCAG 2,
+ * Lc 75 for APCA.
+ */
+export function defaultContrastTarget(model = 'wcag') {
+  return CONTRAST_TARGETS.find(t => t.id === (model === 'apca' ? 'lc75' : 'aa'));
+}
+
+/**
+ * Nearest colour to `color` that meets `target` against `other`.
+ *
+ * @param {Object} color - The side being changed (any culori colour)
+ * @param {Object|string} other - The fixed side
+ * @param {Object} target - Entry from CONTRAST_TARGETS
+ * @param {string} side - 'fg' if `color` is the text, 'bg' if it is the background
+ * @returns {{ color: Object, hex: string, contrast: number, deltaE: number } | null}
+ *   null when no lightness/chroma of this hue reaches the target
+ */
+export function findNearestPassingColor(color, other, target, side = 'fg') {
+  const original = toOklch(color);
+  const otherHex = typeof other === 'string' ? other : oklchToHex(other);
+  const reference = gamutMapToSRGB(original);
+  const hue = original.h || 0;
+
+  const passes = candidate => {
+    const hex = oklchToHex(candidate);
+    return side === 'fg'
+      ? meetsTarget(hex, otherHex, target)
+      : meetsTarget(otherHex, hex, target);
+  };
+
+  if (passes(original)) return result(original, reference, otherHex, target, side);
+
+  let best = null;
+  for (const stage of CHROMA_STAGES) {
+    const c = (original.c || 0) * stage;
+    // Lighter and darker are searched separately: contrast only grows
+    // monotonically moving away from the fixed side in one direction.
+    for (const end of [0, 1]) {
+      const at = l => ({ mode: 'oklch', l, c, h: hue });
+      if (!passes(at(end))) continue;
+
+      let near = original.l;
+      let far = end;
+      for (let i = 0; i < BISECT_STEPS; i++) {
+        const mid = (near + far) / 2;
+        if (passes(at(mid))) far = mid;
+        else near = mid;
+      }
+      const candidate = result(at(far), reference, otherHex, target, side);
+      if (!best || candidate.deltaE < best.deltaE) best = candidate;
+    }
+    // Cutting chroma by Δc alone costs at least Δc in deltaE, so once the
+    // next stage's cut exceeds the best fix no later stage can win.
+    const nextStage = CHROMA_STAGES[CHROMA_STAGES.indexOf(stage) + 1];
+    if (best && nextStage !== undefined && (original.c || 0) * (1 - nextStage) > best.deltaE) break;
+  }
+
+  return best;
+}
+
+/**
+ * Fixes for both sides of a failing pair.
+ * @returns {{ fg: Object|null, bg: Object|null }} findNearestPassingColor results
+ */
+export function suggestContrastFixes(fg, bg, target) {
+  return {
+    fg: findNearestPassingColor(fg, bg, target, 'fg'),
+    bg: findNearestPassingColor(bg, fg, target, 'bg'),
+  };
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function result(candidate, reference, otherHex, target, side) {
+  // Report the colour as displayed, so lightness/chroma match the hex
+  const color = toOklch(gamutMapToSRGB(candidate));
+  const hex = oklchToHex(color);
+  return {
+    color: { ...color, h: candidate.h },
+    hex,
+    contrast: side === 'fg'
+      ? pairContrast(hex, otherHex, target)
+      : pairContrast(otherHex, hex, target),
+    deltaE: deltaE(reference, color),
+  };
+}
@@ -0,0 +1,195 @@
+// cvdOptimizer.js - Make a palette distinguishable under colour-vision deficiency
+// A pair counts as distinguishable when its CIEDE2000 difference, measured
+// after simulating protan, deutan and tritan vision, clears a threshold for
+// every type. The optimizer nudges unlocked colours in OKLCH (lightness, then
+// chroma and hue) with a greedy local search that trades the remaining
+// shortfall against how far each colour has moved from the original.
+
+import { converter, differenceCiede2000 } from 'culori';
+import { toOklch, oklchToHex } from './colorUtils';
+import { createCVDSimulator } from './cvdSimulation';
+
+export const CVD_CHECK_TYPES = ['protan', 'deutan', 'tritan'];
+
+export const DEFAULT_CVD_THRESHOLD = 10;
+
+// Candidate moves per step: lightness first, then chroma, then hue
+const MOVES = [
+  { l: 0.03 }, { l: -0.03 }, { l: 0.08 }, { l: -0.08 },
+  { c: 0.03 }, { c: -0.03 },
+  { h: 12 }, { h: -12 },
+];
+const MAX_ITERATIONS = 80;
+// How much one unit of deltaE OK drift costs against one unit of ΔE2000
+// shortfall. 0.1 deltaE OK of drift is worth fixing 5 ΔE2000 of confusion.
+const DRIFT_WEIGHT = 50;
+
+const lab = converter('lab65');
+const ciede2000 = differenceCiede2000();
+const oklab = converter('oklab');
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Pairwise distinguishability under each simulated deficiency.
+ *
+ * @param {Array} colors - Any culori colours
+ * @param {number} threshold - Minimum CIEDE2000 difference
+ * @param {number} severity - Simulation severity (1 = dichromacy)
+ * @returns {{ matrix: Array<Array<{ deltaE: number, type: string }|null>>,
+ *             conflicts: Array<{ i, j, deltaE, type }> }}
+ *   Each cell holds the worst (smallest) difference across deficiency types.
+ */
+export function cvdConfusionMatrix(colors, threshold = DEFAULT_CVD_THRESHOLD, severity = 1) {
+  const sims = simulateAll(colors.map(oklchToHex), severity);
+  const n = colors.length;
+  const matrix = Array.from({ length: n }, () => Array(n).fill(null));
+  const conflicts = [];
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const cell = worstPair(sims[i], sims[j]);
+      matrix[i][j] = matrix[j][i] = cell;
+      if (cell.deltaE < threshold) conflicts.push({ i, j, ...cell });
+    }
+  }
+
+  conflicts.sort((a, b) => a.deltaE - b.deltaE);
+  return { matrix, conflicts };
+}
+
+/**
+ * Pairs of already-displayed (or already-simulated) colours that fall below
+ * the threshold, e.g. chart series that can't be told apart.
+ *
+ * @param {Array<string>} hexes
+ * @returns {Array<{ i: number, j: number, deltaE: number }>}
+ */
+export function confusablePairs(hexes, threshold = DEFAULT_CVD_THRESHOLD) {
+  const labs = hexes.map(hex => lab(hex));
+  const pairs = [];
+  for (let i = 0; i < labs.length; i++) {
+    for (let j = i + 1; j < labs.length; j++) {
+      const deltaE = ciede2000(labs[i], labs[j]);
+      if (deltaE < threshold) pairs.push({ i, j, deltaE });
+    }
+  }
+  return pairs;
+}
+
+// ============================================================================
+// OPTIMIZER
+// ============================================================================
+
+/**
+ * Minimal OKLCH adjustments that separate every pair under protan, deutan
+ * and tritan simulation.
+ *
+ * @param {Array} colors - OKLCH colours
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum CIEDE2000 difference
+ * @param {Array<number>} options.locked - Indices that must not change
+ * @param {number} options.severity - Simulation severity
+ * @returns {{ colors: Array, changed: Array<number>, before: Object, after: Object, resolved: boolean }}
+ */
+export function optimizeForCVD(colors, { threshold = DEFAULT_CVD_THRESHOLD, locked = [], severity = 1 } = {}) {
+  const original = colors.map(toOklch);
+  const originalLab = original.map(c => oklab(oklchToHex(c)));
+  const lockedSet = new Set(locked);
+  const simulators = CVD_CHECK_TYPES.map(type => createCVDSimulator(type, severity));
+
+  const current = [...original];
+  const sims = current.map(c => simulateOne(oklchToHex(c), simulators));
+
+  const shortfallFor = (index, sim, list = sims) => {
+    let total = 0;
+    list.forEach((other, k) => {
+      if (k === index) return;
+      const { deltaE } = worstPair(sim, other);
+      total += Math.max(0, threshold - deltaE);
+    });
+    return total;
+  };
+  const driftFor = (index, color) => deltaEOK(originalLab[index], oklab(oklchToHex(color)));
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const { conflicts } = cvdConfusionMatrix(current, threshold, severity);
+    if (conflicts.length === 0) break;
+
+    // Try moving either side of each conflicting pair, worst pairs first
+    let best = null;
+    for (const { i, j } of conflicts) {
+      for (const index of [i, j]) {
+        if (lockedSet.has(index)) continue;
+        const baseCost = shortfallFor(index, sims[index]) + DRIFT_WEIGHT * driftFor(index, current[index]);
+
+        for (const move of MOVES) {
+          const candidate = applyMove(current[index], move);
+          if (!candidate) continue;
+          const sim = simulateOne(oklchToHex(candidate), simulators);
+          const cost = shortfallFor(index, sim) + DRIFT_WEIGHT * driftFor(index, candidate);
+          const gain = baseCost - cost;
+          if (gain > 1e-6 && (!best || gain > best.gain)) {
+            best = { index, candidate, sim, gain };
+          }
+        }
+      }
+      // The worst pair usually decides the step; look further only if it's stuck
+      if (best) break;
+    }
+
+    if (!best) break;
+    current[best.index] = best.candidate;
+    sims[best.index] = best.sim;
+  }
+
+  const after = cvdConfusionMatrix(current, threshold, severity);
+  return {
+    colors: current,
+    changed: current.map((c, i) => (c !== original[i] ? i : -1)).filter(i => i !== -1),
+    before: cvdConfusionMatrix(original, threshold, severity),
+    after,
+    resolved: after.conflicts.length === 0,
+  };
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function simulateAll(hexes, severity) {
+  const simulators = CVD_CHECK_TYPES.map(type => createCVDSimulator(type, severity));
+  return hexes.map(hex => simulateOne(hex, simulators));
+}
+
+// Lab of one colour under each checked deficiency, in CVD_CHECK_TYPES order
+function simulateOne(hex, simulators) {
+  return simulators.map(simulate => lab(simulate(hex)));
+}
+
+function worstPair(a, b) {
+  let worst = null;
+  CVD_CHECK_TYPES.forEach((type, t) => {
+    const deltaE = ciede2000(a[t], b[t]);
+    if (!worst || deltaE < worst.deltaE) worst = { deltaE, type };
+  });
+  return worst;
+}
+
+function applyMove(color, { l = 0, c = 0, h = 0 }) {
+  const next = {
+    ...color,
+    mode: 'oklch',
+    l: color.l + l,
+    c: (color.c || 0) + c,
+    h: ((color.h || 0) + h + 360) % 360,
+  };
+  if (next.l < 0.05 || next.l > 0.98 || next.c < 0 || next.c > 0.37) return null;
+  return next;
+}
+
+function deltaEOK(a, b) {
+  return Math.sqrt((a.l - b.l) ** 2 + ((a.a ?? 0) - (b.a ?? 0)) ** 2 + ((a.b ?? 0) - (b.b ?? 0)) ** 2);
+}
@@ -0,0 +1,215 @@
+// darkMode.js - Dark-theme counterpart for a light palette
+// Surfaces (very light, low-chroma colours, or colours with a surface role)
+// flip in perceived lightness, lightest becoming darkest. Everything that sits
+// on them - text and accents - is re-tuned in OKLCH lightness and chroma so its
+// contrast against the main surface reaches both the light theme's and the
+// contrast target. Foregrounds only ever get lighter; hue is never changed.
+// Exports the pairs as light-dark(), prefers-color-scheme or [data-theme] CSS.
+
+import { toOklch, oklchToHex, gamutMapToSRGB } from './colorUtils';
+import { pairContrast, defaultContrastTarget } from './contrastSolver';
+
+export const DARK_MODE_STRATEGIES = [
+  { id: 'light-dark', label: 'light-dark()',         description: 'One declaration per token; needs color-scheme' },
+  { id: 'media',      label: 'prefers-color-scheme', description: 'Follows the OS setting' },
+  { id: 'data-theme', label: '[data-theme]',         description: 'Switched by an attribute on <html>' },
+];
+
+// Roles that are always surfaces, and the ones that count as the page
+const SURFACE_ROLES = new Set(['background', 'surface', 'neutralLight', 'tint', 'surfaceContainer']);
+const MAIN_SURFACE_ROLES = ['background', 'surface', 'neutralLight', 'surfaceContainer'];
+
+// Any colour this light and this grey is a surface too, whatever its role
+const SURFACE_MIN_L = 0.85;
+const SURFACE_MAX_C = 0.06;
+
+// Light surfaces map linearly (and inverted) into this dark range
+const DARK_SURFACE_MIN_L = 0.16;
+const DARK_SURFACE_MAX_L = 0.96;
+
+// Saturated colours vibrate on dark backgrounds; foregrounds give up some chroma
+const FOREGROUND_CHROMA = 0.85;
+
+// Stand-ins when the palette has no surface of its own
+const DEFAULT_LIGHT_SURFACE = { mode: 'oklch', l: 1, c: 0, h: 0 };
+
+const BISECT_STEPS = 20;
+
+// ============================================================================
+// GENERATOR
+// ============================================================================
+
+/**
+ * Dark counterpart of a light palette, index for index. Roles are kept.
+ *
+ * @param {Array} colors - OKLCH colours (light theme)
+ * @param {Object} options
+ * @param {Object} options.target - CONTRAST_TARGETS entry; defaults to the
+ *   checker's default for `model`
+ * @param {string} options.model - 'wcag' | 'apca'
+ * @returns {{
+ *   colors: Array,
+ *   surfaceIndex: number,
+ *   background: { light: string, dark: string },
+ *   target: Object,
+ *   entries: Array<{ kind: 'surface'|'foreground', light: string, dark: string,
+ *                    lightContrast: number|null, darkContrast: number|null, passes: boolean|null }>
+ * }}
+ */
+export function generateDarkCounterpart(colors, { model = 'wcag', target = defaultContrastTarget(model) } = {}) {
+  const light = colors.map(toOklch);
+  const kinds = light.map(c => (isSurface(c) ? 'surface' : 'foreground'));
+  const surfaceIndex = findMainSurface(light, kinds);
+
+  const lightSurface = surfaceIndex === -1 ? DEFAULT_LIGHT_SURFACE : light[surfaceIndex];
+  const darkSurface = invertSurface(lightSurface);
+  const lightBg = oklchToHex(lightSurface);
+  const darkBg = oklchToHex(darkSurface);
+
+  const entries = [];
+  const dark = light.map((color, i) => {
+    if (kinds[i] === 'surface') {
+      const next = i === surfaceIndex ? darkSurface : invertSurface(color);
+      entries.push({ kind: 'surface', light: oklchToHex(color), dark: oklchToHex(next), lightContrast: null, darkContrast: null, passes: null });
+      return next;
+    }
+
+    const lightHex = oklchToHex(color);
+    const lightContrast = pairContrast(lightHex, lightBg, target);
+    const desired = Math.max(lightContrast, target.value);
+    const next = retuneForeground(color, darkBg, Math.max(darkSurface.l, color.l), desired, target);
+    const darkHex = oklchToHex(next);
+    const darkContrast = pairContrast(darkHex, darkBg, target);
+    entries.push({
+      kind: 'foreground',
+      light: lightHex,
+      dark: darkHex,
+      lightContrast,
+      darkContrast,
+      passes: darkContrast >= target.value,
+    });
+    return next;
+  });
+
+  return {
+    colors: dark,
+    surfaceIndex,
+    background: { light: lightBg, dark: darkBg },
+    target,
+    entries,
+  };
+}
+
+// ============================================================================
+// EXPORT FORMATS
+// ============================================================================
+
+/**
+ * Paired light / dark tokens as CSS custom properties.
+ *
+ * @param {Array} lightColors
+ * @param {Array} darkColors - Same order as lightColors
+ * @param {Array<string>} slugs - Token names (see tokenNames.js)
+ * @param {string} strategy - DARK_MODE_STRATEGIES id
+ */
+export function toLightDarkCSS(lightColors, darkColors, slugs, strategy = 'light-dark') {
+  const light = lightColors.map(oklchToHex);
+  const dark = darkColors.map(oklchToHex);
+  const declarations = (hexes, indent) =>
+    slugs.map((slug, i) => `${indent}--color-${slug}: ${hexes[i]};`);
+
+  if (strategy === 'media') {
+    return [
+      ':root {',
+      '  color-scheme: light dark;',
+      ...declarations(light, '  '),
+      '}',
+      '',
+      '@media (prefers-color-scheme: dark) {',
+      '  :root {',
+      ...declarations(dark, '    '),
+      '  }',
+      '}',
+      '',
+    ].join('\n');
+  }
+
+  if (strategy === 'data-theme') {
+    return [
+      '/* <html data-theme="dark"> — defaults to light */',
+      ':root,',
+      '[data-theme="light"] {',
+      '  color-scheme: light;',
+      ...declarations(light, '  '),
+      '}',
+      '',
+      '[data-theme="dark"] {',
+      '  color-scheme: dark;',
+      ...declarations(dark, '  '),
+      '}',
+      '',
+    ].join('\n');
+  }
+
+  return [
+    '/* light-dark() picks by the used color-scheme; set color-scheme: light',
+    '   or dark on any element to force one */',
+    ':root {',
+    '  color-scheme: light dark;',
+    ...slugs.map((slug, i) => `  --color-${slug}: light-dark(${light[i]}, ${dark[i]});`),
+    '}',
+    '',
+  ].join('\n');
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function isSurface(color) {
+  return SURFACE_ROLES.has(color.role) || (color.l >= SURFACE_MIN_L && (color.c || 0) <= SURFACE_MAX_C);
+}
+
+function findMainSurface(colors, kinds) {
+  for (const role of MAIN_SURFACE_ROLES) {
+    const index = colors.findIndex(c => c.role === role);
+    if (index !== -1) return index;
+  }
+  let best = -1;
+  colors.forEach((c, i) => {
+    if (kinds[i] === 'surface' && (best === -1 || c.l > colors[best].l)) best = i;
+  });
+  return best;
+}
+
+function invertSurface(color) {
+  const l = DARK_SURFACE_MIN_L + (1 - color.l) * (DARK_SURFACE_MAX_L - DARK_SURFACE_MIN_L);
+  return fitToGamut({ ...color, l });
+}
+
+// Least lightening of a foreground that reaches `desired` contrast on the
+// dark surface: bisect lightness between floorL (never below the colour's own
+// lightness) and white
+function retuneForeground(color, darkBg, floorL, desired, target) {
+  const c = (color.c || 0) * FOREGROUND_CHROMA;
+  const at = l => fitToGamut({ ...color, l, c });
+  const contrast = l => pairContrast(oklchToHex(at(l)), darkBg, target);
+
+  if (contrast(floorL) >= desired) return at(floorL);
+  if (contrast(1) < desired) return at(1);
+
+  let lo = floorL;
+  let hi = 1;
+  for (let i = 0; i < BISECT_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (contrast(mid) >= desired) hi = mid;
+    else lo = mid;
+  }
+  return at(hi);
+}
+
+// Keep lightness and hue; only chroma gives way
+function fitToGamut(color) {
+  const mapped = toOklch(gamutMapToSRGB(color));
+  return { ...color, c: Math.min(color.c || 0, mapped.c || 0) };
+}
@@ -0,0 +1,275 @@
+// dataVizPalette.js - Chart palettes from a base colour
+// Three kinds, following the usual cartographic / data-vis split:
+//   sequential  - one hue, OKLCH lightness strictly decreasing (light = low)
+//   diverging   - two hues meeting at a light neutral midpoint
+//   categorical - distinct hues picked to maximise the smallest pairwise
+//                 CIEDE2000 difference, under normal vision and simulated CVD
+// Plus D3, Matplotlib and Vega snippets for each.
+
+import { converter, differenceCiede2000 } from 'culori';
+import { toOklch, oklchToHex, gamutMapToSRGB, isInGamut } from './colorUtils';
+import { createCVDSimulator } from './cvdSimulation';
+
+export const DATAVIZ_TYPES = [
+  { id: 'sequential',  label: 'Sequential',  description: 'Ordered data, low → high' },
+  { id: 'diverging',   label: 'Diverging',   description: 'Deviation from a midpoint' },
+  { id: 'categorical', label: 'Categorical', description: 'Unordered groups' },
+];
+
+// Lightness span shared by sequential and diverging scales
+const LIGHT_L = 0.96;
+const DARK_L = 0.28;
+const DIVERGING_END_L = 0.42;
+
+// Below this chroma the base is grey and its hue is noise. Sequential scales
+// then stay grey; diverging ones need two hues and fall back to blue / orange.
+const ACHROMATIC_CHROMA = 0.01;
+const ACHROMATIC_DIVERGING_HUE = 250;
+
+// Categorical candidate grid; mid lightness keeps marks visible on white and dark
+const CATEGORICAL_L = [0.5, 0.6, 0.7, 0.8];
+const CATEGORICAL_C = [0.1, 0.14, 0.18];
+const CATEGORICAL_HUE_STEP = 12;
+
+const lab = converter('lab65');
+const ciede2000 = differenceCiede2000();
+const VISION_CHECKS = ['normal', 'protan', 'deutan', 'tritan'];
+
+// ============================================================================
+// GENERATORS
+// ============================================================================
+
+/**
+ * Single-hue ramp from light to dark. Lightness falls linearly; chroma peaks
+ * a little past the middle, where the hue reads most clearly. A grey base
+ * gives a grey ramp.
+ *
+ * @param {Object} baseColor - Any culori colour
+ * @param {number} steps
+ * @returns {Array} OKLCH colours, lightest first
+ */
+export function generateSequentialScale(baseColor, steps = 9) {
+  const base = toOklch(baseColor);
+  const peak = isAchromatic(base) ? 0 : Math.max(base.c, 0.12);
+  const n = Math.max(3, steps);
+
+  return Array.from({ length: n }, (_, i) => {
+    const t = i / (n - 1);
+    const c = peak * (1 - (Math.abs(t - 0.65) / 0.65) * 0.7);
+    return fitToGamut({ mode: 'oklch', l: LIGHT_L + (DARK_L - LIGHT_L) * t, c, h: base.h || 0 });
+  });
+}
+
+/**
+ * Two-armed scale: the base hue on the low side, its OKLCH opposite on the
+ * high side, and a light, almost achromatic midpoint. Both arms use the same
+ * lightness steps so neither side looks heavier. Odd step counts only. A grey
+ * base has no hue to oppose, so it gets a blue / orange scale.
+ *
+ * @param {Object} baseColor
+ * @param {number} steps - Rounded up to odd
+ * @returns {Array} OKLCH colours, low end first
+ */
+export function generateDivergingScale(baseColor, steps = 11) {
+  const base = toOklch(baseColor);
+  const peak = Math.max(base.c || 0, 0.12);
+  const n = Math.max(3, steps % 2 === 0 ? steps + 1 : steps);
+  const half = (n - 1) / 2;
+  const lowHue = isAchromatic(base) ? ACHROMATIC_DIVERGING_HUE : base.h;
+  const highHue = (lowHue + 180) % 360;
+
+  const arm = (hue, i) => {
+    // t: 0 at the end of the arm, 1 at the midpoint
+    const t = i / half;
+    return fitToGamut({
+      mode: 'oklch',
+      l: DIVERGING_END_L + (LIGHT_L - DIVERGING_END_L) * t,
+      c: peak * (1 - t) + 0.005 * t,
+      h: hue,
+    });
+  };
+
+  const low = Array.from({ length: half }, (_, i) => arm(lowHue, i));
+  const high = Array.from({ length: half }, (_, i) => arm(highHue, i)).reverse();
+  const mid = { mode: 'oklch', l: LIGHT_L, c: 0.005, h: lowHue };
+  return [...low, mid, ...high];
+}
+
+/**
+ * Distinct colours for unordered categories. Starts from the base colour and
+ * repeatedly adds the candidate farthest (CIEDE2000) from everything chosen so
+ * far, where a pair's distance is its worst case across normal, protan,
+ * deutan and tritan vision (when `cvdSafe`).
+ *
+ * @param {Object} baseColor
+ * @param {number} count
+ * @param {Object} options - { cvdSafe: boolean }
+ * @returns {Array} OKLCH colours, base first
+ */
+export function generateCategoricalPalette(baseColor, count = 8, { cvdSafe = true } = {}) {
+  const visions = cvdSafe ? VISION_CHECKS : ['normal'];
+  const simulators = visions.map(type => createCVDSimulator(type, 1));
+  const describe = color => {
+    const hex = oklchToHex(color);
+    return { color, views: simulators.map(simulate => lab(simulate(hex))) };
+  };
+
+  const chosen = [describe(fitToGamut(toOklch(baseColor)))];
+  const pool = [];
+  for (let h = 0; h < 360; h += CATEGORICAL_HUE_STEP) {
+    for (const l of CATEGORICAL_L) {
+      for (const c of CATEGORICAL_C) {
+        const color = { mode: 'oklch', l, c, h };
+        if (isInGamut(color)) pool.push(describe(color));
+      }
+    }
+  }
+
+  // Each candidate's distance to its nearest chosen colour, updated per pick
+  const nearest = pool.map(candidate => distance(candidate, chosen[0]));
+  while (chosen.length < count && pool.length > 0) {
+    let pick = 0;
+    nearest.forEach((d, i) => { if (d > nearest[pick]) pick = i; });
+    const [picked] = pool.splice(pick, 1);
+    nearest.splice(pick, 1);
+    chosen.push(picked);
+    pool.forEach((candidate, i) => {
+      nearest[i] = Math.min(nearest[i], distance(candidate, picked));
+    });
+  }
+
+  return chosen.map(entry => entry.color);
+}
+
+/**
+ * Generate one data-vis palette by type id.
+ */
+export function generateDataVizPalette(type, baseColor, count) {
+  if (type === 'sequential') return generateSequentialScale(baseColor, count);
+  if (type === 'diverging') return generateDivergingScale(baseColor, count);
+  return generateCategoricalPalette(baseColor, count);
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Smallest pairwise CIEDE2000 difference, under normal vision and as the
+ * worst case over simulated protan / deutan / tritan vision.
+ */
+export function minPairwiseDeltaE(colors) {
+  const hexes = colors.map(oklchToHex);
+  const views = VISION_CHECKS.map(type => {
+    const simulate = createCVDSimulator(type, 1);
+    return hexes.map(hex => lab(simulate(hex)));
+  });
+
+  let normal = Infinity;
+  let cvd = Infinity;
+  for (let i = 0; i < hexes.length; i++) {
+    for (let j = i + 1; j < hexes.length; j++) {
+      views.forEach((view, v) => {
+        const d = ciede2000(view[i], view[j]);
+        if (v === 0) normal = Math.min(normal, d);
+        else cvd = Math.min(cvd, d);
+      });
+    }
+  }
+  return { normal, cvd };
+}
+
+/**
+ * Whether OKLCH lightness strictly decreases along the (displayed) scale.
+ */
+export function isMonotonicLightness(colors) {
+  const ls = colors.map(c => toOklch(oklchToHex(c)).l);
+  return ls.every((l, i) => i === 0 || l < ls[i - 1]);
+}
+
+// ============================================================================
+// EXPORT FORMATS
+// ============================================================================
+
+/**
+ * D3 scale. Sequential and diverging interpolate between the stops in RGB,
+ * which keeps lightness monotonic between adjacent (already close) stops.
+ */
+export function toD3Scale(type, colors, name = 'hexandhue') {
+  const list = formatList(colors.map(oklchToHex), '  ');
+  const id = camelCase(name);
+
+  if (type === 'categorical') {
+    return `import * as d3 from 'd3';\n\nexport const ${id} = d3.scaleOrdinal([\n${list}\n]);\n`;
+  }
+  if (type === 'diverging') {
+    return `import * as d3 from 'd3';\n\n// domain: [min, midpoint, max]\nexport const ${id} = d3.scaleDiverging(d3.interpolateRgbBasis([\n${list}\n])).domain([-1, 0, 1]);\n`;
+  }
+  return `import * as d3 from 'd3';\n\nexport const ${id} = d3.scaleSequential(d3.interpolateRgbBasis([\n${list}\n])).domain([0, 1]);\n`;
+}
+
+/**
+ * Matplotlib ListedColormap, registered so it can be used by name.
+ */
+export function toMatplotlib(type, colors, name = 'hexandhue') {
+  const id = snakeCase(name);
+  const lines = [
+    'import matplotlib as mpl',
+    'from matplotlib.colors import ListedColormap',
+    '',
+    `${id} = ListedColormap([`,
+    formatList(colors.map(oklchToHex), '    '),
+    `], name='${id}')`,
+    `mpl.colormaps.register(${id})`,
+  ];
+  if (type === 'categorical') {
+    lines.push('', '# Use as the default colour cycle', `mpl.rcParams['axes.prop_cycle'] = mpl.cycler(color=${id}.colors)`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Vega / Vega-Lite theme (a config object) with the palette as the matching
+ * named range. Pass it as `config`, or register it with vega-themes.
+ */
+export function toVegaTheme(type, colors) {
+  const hexes = colors.map(oklchToHex);
+  const range = type === 'categorical'
+    ? { category: hexes }
+    : type === 'diverging'
+      ? { diverging: hexes }
+      : { ramp: hexes, heatmap: hexes, ordinal: hexes };
+  return JSON.stringify({ range }, null, 2);
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function fitToGamut(color) {
+  const mapped = toOklch(gamutMapToSRGB(color));
+  // Keep the requested lightness and hue; only chroma gives way
+  return { mode: 'oklch', l: color.l, c: mapped.c, h: color.h };
+}
+
+function isAchromatic(color) {
+  return (color.c || 0) < ACHROMATIC_CHROMA;
+}
+
+function distance(a, b) {
+  let min = Infinity;
+  a.views.forEach((view, v) => { min = Math.min(min, ciede2000(view, b.views[v])); });
+  return min;
+}
+
+function formatList(hexes, indent) {
+  return hexes.map(hex => `${indent}'${hex}',`).join('\n');
+}
+
+function camelCase(str) {
+  return str.toLowerCase().replace(/[^a-z0-9]+(.)?/g, (_, ch) => (ch ? ch.toUpperCase() : ''));
+}
+
+function snakeCase(str) {
+  return str.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
@@ -0,0 +1,163 @@
+// designTokens.js - W3C Design Tokens Community Group (DTCG) format
+// Export: $value / $type: color tokens grouped into base colours and tonal ramps.
+// Import: walks any DTCG document and returns its colour tokens as OKLCH.
+// Spec: https://tr.designtokens.org/format/
+
+import { parse } from 'culori';
+import { toOklch, oklchToHex, gamutMap, GAMUTS } from './colorUtils';
+import { generateTonalScale } from './tonalScale';
+
+/**
+ * Build a DTCG document for a palette.
+ *
+ * @param {Array} colors - OKLCH colours
+ * @param {Array<string>} names - Human-readable colour names
+ * @param {Array<string>} slugs - Unique token keys (see tokenNames.js)
+ * @param {Object} options
+ * @param {string} options.description - What produced the palette (harmony / mood)
+ * @param {string} options.gamut - 'srgb' writes hex strings; 'p3' / 'rec2020'
+ *   write object values in that colour space with an sRGB hex fallback
+ * @returns {Object} DTCG token tree
+ */
+export function generateDesignTokens(colors, names, slugs, options = {}) {
+  const { description = 'hex&hue palette', gamut = 'srgb' } = options;
+  const toValue = color => tokenValue(color, gamut);
+
+  const base = {};
+  const ramp = {};
+
+  colors.forEach((color, i) => {
+    const slug = slugs[i];
+    base[slug] = {
+      $value: toValue(color),
+      $description: names[i],
+    };
+
+    ramp[slug] = { $description: `Tonal ramp of ${names[i]}` };
+    generateTonalScale(color, gamut).forEach(({ step, color: stepColor }) => {
+      ramp[slug][step] = { $value: toValue(stepColor) };
+    });
+  });
+
+  return {
+    $description: description,
+    color: {
+      $type: 'color',
+      base: {
+        $description: 'Palette colours',
+        ...base,
+      },
+      ramp: {
+        $description: 'Tonal ramps (50–950) per palette colour',
+        ...ramp,
+      },
+    },
+  };
+}
+
+/**
+ * Parse a DTCG document (object or JSON string) into palette colours.
+ *
+ * Colour tokens whose own key is a numeric scale step ("500") are treated as
+ * ramp members and skipped, unless the file contains nothing else.
+ * Aliases such as "{color.base.primary}" are resolved.
+ *
+ * @returns {{ colors: Array, names: Array<string> }}
+ * @throws {Error} when the document is not valid JSON or holds no colours
+ */
+export function parseDesignTokens(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+  }
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('File does not contain a token tree');
+  }
+
+  const tokens = [];
+  collectTokens(doc, [], undefined, tokens);
+
+  const byPath = new Map(tokens.map(t => [t.path.join('.'), t]));
+  const colorTokens = tokens
+    .filter(t => t.type === 'color')
+    .map(t => ({ ...t, color: resolveColor(t.value, byPath, 0) }))
+    .filter(t => t.color);
+
+  const named = colorTokens.filter(t => !/^\d+$/.test(t.path[t.path.length - 1]));
+  const picked = named.length > 0 ? named : colorTokens;
+
+  if (picked.length === 0) {
+    throw new Error('No colour tokens found');
+  }
+
+  return {
+    colors: picked.map(t => toOklch(t.color)),
+    names: picked.map(t => t.path.join('.')),
+  };
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function tokenValue(color, gamut) {
+  if (gamut === 'srgb' || !GAMUTS[gamut]) return oklchToHex(color);
+  const { r, g, b } = gamutMap(color, gamut);
+  const round = v => Math.round(Math.max(0, Math.min(1, v)) * 10000) / 10000;
+  return {
+    colorSpace: GAMUTS[gamut].css,
+    components: [round(r), round(g), round(b)],
+    hex: oklchToHex(color),
+  };
+}
+
+function collectTokens(node, path, inheritedType, out) {
+  const type = node.$type ?? inheritedType;
+
+  if (Object.prototype.hasOwnProperty.call(node, '$value')) {
+    out.push({ path, type, value: node.$value });
+    return;
+  }
+
+  Object.entries(node).forEach(([key, child]) => {
+    if (key.startsWith('$')) return;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      collectTokens(child, [...path, key], type, out);
+    }
+  });
+}
+
+function resolveColor(value, byPath, depth) {
+  if (depth > 10) return null; // alias cycle
+
+  if (typeof value === 'string') {
+    const alias = value.match(/^\{([^}]+)\}$/);
+    if (alias) {
+      const target = byPath.get(alias[1]);
+      return target ? resolveColor(target.value, byPath, depth + 1) : null;
+    }
+    return parse(value) || null;
+  }
+
+  // 2025 spec object form: { colorSpace, components, alpha?, hex? }
+  if (value && typeof value === 'object') {
+    if (value.hex) return parse(value.hex) || null;
+    if (Array.isArray(value.components)) {
+      const [a, b, c] = value.components.map(v => (v === 'none' ? 0 : v));
+      switch (value.colorSpace) {
+        case 'srgb': return { mode: 'rgb', r: a, g: b, b: c };
+        case 'srgb-linear': return { mode: 'lrgb', r: a, g: b, b: c };
+        case 'display-p3': return { mode: 'p3', r: a, g: b, b: c };
+        case 'hsl': return { mode: 'hsl', h: a, s: b / 100, l: c / 100 };
+        case 'oklch': return { mode: 'oklch', l: a, c: b, h: c };
+        case 'oklab': return { mode: 'oklab', l: a, a: b, b: c };
+        default: return null;
+      }
+    }
+  }
+  return null;
+}
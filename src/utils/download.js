@@ -0,0 +1,25 @@
+// download.js - Save generated text or bytes as a file from the browser
+
+/**
+ * Download a string as a plain-text file.
+ */
+export function downloadText(text, filename) {
+  const blob = new Blob([text], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download bytes (a Uint8Array or ArrayBuffer) as a file of the given MIME type.
+ */
+export function downloadBinary(bytes, filename, type = 'application/octet-stream') {
+  const blob = new Blob([bytes], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,275 @@
+// editorTheme.js - Code editor themes from a palette
+// Maps palette colours onto editor roles (syntax scopes, background, gutter,
+// selection) and serialises the result as a VS Code theme or Vim colorscheme.
+
+import { toOklch, oklchToHex, wcagContrast } from './colorUtils';
+import { generateUsageMap } from './paletteAnalyzer';
+import { generateSemanticRed } from './smartHarmony';
+
+export const EDITOR_ROLES = [
+  { id: 'keyword',    label: 'Keyword' },
+  { id: 'string',     label: 'String' },
+  { id: 'comment',    label: 'Comment' },
+  { id: 'function',   label: 'Function' },
+  { id: 'type',       label: 'Type' },
+  { id: 'constant',   label: 'Constant' },
+  { id: 'error',      label: 'Error' },
+  { id: 'background', label: 'Background' },
+  { id: 'gutter',     label: 'Gutter' },
+  { id: 'selection',  label: 'Selection' },
+];
+
+const SYNTAX_ROLES = ['keyword', 'string', 'function', 'type', 'constant', 'error'];
+
+// Minimum WCAG contrast against the editor background
+const SYNTAX_CONTRAST = 4.5;
+const COMMENT_CONTRAST = 3;
+
+// ============================================================================
+// ROLE MAPPING
+// ============================================================================
+
+/**
+ * Initial role → palette index mapping.
+ *
+ * Keyword takes the primary colour, function the accent and comment the
+ * neutral (paletteAnalyzer's usage map). Dark palette colours become the
+ * background. Remaining syntax roles cycle through the unused chromatic
+ * colours. null means "derive it" (see buildEditorTheme).
+ *
+ * @param {Array} colors - OKLCH colours
+ * @returns {Object} { [roleId]: index | null }
+ */
+export function assignEditorRoles(colors) {
+  const palette = (colors || []).map(toOklch);
+  const roles = Object.fromEntries(EDITOR_ROLES.map(r => [r.id, null]));
+  if (palette.length === 0) return roles;
+
+  const usage = generateUsageMap(palette);
+  const pick = index => (index === undefined || index === -1 ? null : index);
+
+  roles.keyword = pick(usage.primary) ?? 0;
+  roles.function = pick(usage.accent) ?? roles.keyword;
+  // A neutral only suits comments if it sits between background and text
+  const neutral = pick(usage.neutral);
+  roles.comment = neutral !== null && palette[neutral].l > 0.35 && palette[neutral].l < 0.75
+    ? neutral
+    : null;
+  roles.background = pick(usage.text) ?? pick(usage.background);
+  roles.selection = roles.function;
+
+  // Error: the reddest chromatic colour, if the palette has one
+  const red = palette
+    .map((c, i) => ({ i, d: hueDistance(c.h, 25), c: c.c }))
+    .filter(x => x.c > 0.08 && x.d < 30)
+    .sort((a, b) => a.d - b.d)[0];
+  roles.error = red ? red.i : null;
+
+  const taken = new Set([roles.keyword, roles.function, roles.comment, roles.background, roles.error]);
+  const chromatic = palette
+    .map((c, i) => i)
+    .filter(i => palette[i].c >= 0.04 && i !== roles.background);
+  const spare = chromatic.filter(i => !taken.has(i));
+  const pool = spare.length ? spare : chromatic.length ? chromatic : [roles.keyword];
+
+  ['string', 'type', 'constant'].forEach((role, n) => {
+    roles[role] = pool[n % pool.length];
+  });
+
+  return roles;
+}
+
+/**
+ * Resolve a role mapping into concrete theme colours.
+ * Syntax colours are lightened or darkened (hue and chroma kept) until they
+ * read against the background.
+ *
+ * @param {Array} colors - OKLCH colours
+ * @param {Object} roles - From assignEditorRoles, possibly edited by the user
+ * @returns {Object} { appearance: 'dark'|'light', [roleId]: oklch, foreground, lineNumber }
+ */
+export function buildEditorTheme(colors, roles) {
+  const palette = (colors || []).map(toOklch);
+  const at = index => (index === null || index === undefined ? null : palette[index] || null);
+  const base = at(roles.keyword) || palette[0] || { mode: 'oklch', l: 0.6, c: 0.12, h: 250 };
+
+  const background = at(roles.background) || { mode: 'oklch', l: 0.2, c: 0.02, h: base.h };
+  const dark = background.l < 0.6;
+  const shade = (l, c = 0.015) => ({ mode: 'oklch', l, c, h: background.h });
+
+  const foreground = dark ? shade(0.9) : shade(0.22);
+  const gutter = at(roles.gutter)
+    || { ...background, l: Math.max(0, Math.min(1, background.l + (dark ? -0.025 : -0.035))) };
+
+  const theme = {
+    appearance: dark ? 'dark' : 'light',
+    background,
+    foreground,
+    gutter,
+    lineNumber: shade(dark ? 0.5 : 0.6, 0.01),
+    selection: at(roles.selection) || base,
+    comment: ensureContrast(
+      at(roles.comment) || shade(dark ? 0.6 : 0.55, 0.02),
+      background,
+      COMMENT_CONTRAST
+    ),
+  };
+
+  SYNTAX_ROLES.forEach(role => {
+    const source = at(roles[role]) || (role === 'error' ? generateSemanticRed(base) : base);
+    theme[role] = ensureContrast(source, background, SYNTAX_CONTRAST);
+  });
+
+  return theme;
+}
+
+// ============================================================================
+// EXPORT FORMATS
+// ============================================================================
+
+/**
+ * VS Code colour theme (themes/<name>-color-theme.json in an extension)
+ */
+export function toVSCodeTheme(theme, name = 'hex&hue') {
+  const hex = c => oklchToHex(c);
+  const selection = `${hex(theme.selection)}55`;
+
+  const scope = (scopes, color, fontStyle) => ({
+    scope: scopes,
+    settings: fontStyle ? { foreground: hex(color), fontStyle } : { foreground: hex(color) },
+  });
+
+  return JSON.stringify({
+    name,
+    type: theme.appearance,
+    semanticHighlighting: true,
+    colors: {
+      'editor.background': hex(theme.background),
+      'editor.foreground': hex(theme.foreground),
+      'editor.selectionBackground': selection,
+      'editor.lineHighlightBackground': `${hex(theme.gutter)}80`,
+      'editorCursor.foreground': hex(theme.keyword),
+      'editorGutter.background': hex(theme.gutter),
+      'editorLineNumber.foreground': hex(theme.lineNumber),
+      'editorLineNumber.activeForeground': hex(theme.foreground),
+      'editorError.foreground': hex(theme.error),
+      'sideBar.background': hex(theme.gutter),
+      'activityBar.background': hex(theme.gutter),
+      'statusBar.background': hex(theme.gutter),
+      'titleBar.activeBackground': hex(theme.gutter),
+    },
+    tokenColors: [
+      scope(['comment', 'punctuation.definition.comment'], theme.comment, 'italic'),
+      scope(['keyword', 'storage', 'storage.type'], theme.keyword),
+      scope(['string', 'string.template'], theme.string),
+      scope(['entity.name.function', 'support.function', 'meta.function-call'], theme.function),
+      scope(['entity.name.type', 'entity.name.class', 'support.type', 'support.class'], theme.type),
+      scope(['constant', 'constant.numeric', 'constant.language', 'variable.other.constant'], theme.constant),
+      scope(['invalid', 'invalid.illegal'], theme.error),
+    ],
+  }, null, 2);
+}
+
+/**
+ * Vim / Neovim colorscheme (colors/<name>.vim). GUI colours are exact; cterm
+ * colours are the nearest xterm-256 entries.
+ */
+export function toVimColorscheme(theme, name = 'hexandhue') {
+  const hi = (group, fg, bg, style) => {
+    const parts = [`hi ${group}`];
+    if (fg) parts.push(`guifg=${oklchToHex(fg)}`, `ctermfg=${toXterm256(oklchToHex(fg))}`);
+    if (bg) parts.push(`guibg=${oklchToHex(bg)}`, `ctermbg=${toXterm256(oklchToHex(bg))}`);
+    parts.push(`gui=${style || 'NONE'}`, `cterm=${style || 'NONE'}`);
+    return parts.join(' ');
+  };
+  const selection = blend(theme.selection, theme.background, 0.35);
+
+  return [
+    `" ${name} — generated by hex&hue`,
+    '',
+    `set background=${theme.appearance}`,
+    'hi clear',
+    "if exists('syntax_on')",
+    '  syntax reset',
+    'endif',
+    `let g:colors_name = '${name}'`,
+    '',
+    hi('Normal', theme.foreground, theme.background),
+    hi('LineNr', theme.lineNumber, theme.gutter),
+    hi('CursorLineNr', theme.foreground, theme.gutter, 'bold'),
+    hi('SignColumn', null, theme.gutter),
+    hi('CursorLine', null, theme.gutter),
+    hi('Visual', null, selection),
+    hi('Cursor', theme.background, theme.keyword),
+    '',
+    hi('Comment', theme.comment, null, 'italic'),
+    hi('Keyword', theme.keyword),
+    hi('Statement', theme.keyword),
+    hi('String', theme.string),
+    hi('Function', theme.function),
+    hi('Type', theme.type),
+    hi('Constant', theme.constant),
+    hi('Number', theme.constant),
+    hi('Boolean', theme.constant),
+    hi('Error', theme.error, null, 'bold'),
+    hi('ErrorMsg', theme.error),
+    '',
+    'hi! link Conditional Keyword',
+    'hi! link Repeat Keyword',
+    'hi! link StorageClass Keyword',
+    'hi! link Identifier Normal',
+    'hi! link Structure Type',
+    '',
+  ].join('\n');
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function ensureContrast(color, background, target) {
+  const bgHex = oklchToHex(background);
+  const step = background.l < 0.6 ? 0.02 : -0.02;
+  let candidate = { mode: 'oklch', l: color.l, c: color.c, h: color.h || 0 };
+
+  for (let i = 0; i < 50; i++) {
+    if (wcagContrast(oklchToHex(candidate), bgHex) >= target) break;
+    const l = candidate.l + step;
+    if (l < 0 || l > 1) break;
+    candidate = { ...candidate, l };
+  }
+  return candidate;
+}
+
+function blend(a, b, t) {
+  return {
+    mode: 'oklch',
+    l: b.l + (a.l - b.l) * t,
+    c: b.c + (a.c - b.c) * t,
+    h: a.c > b.c ? a.h : b.h,
+  };
+}
+
+function hueDistance(a, b) {
+  const d = Math.abs((a || 0) - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+// xterm-256: 6×6×6 cube (16–231) plus 24 greys (232–255)
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+function toXterm256(hex) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const nearestLevel = v => CUBE_LEVELS.reduce((best, level, i) =>
+    Math.abs(level - v) < Math.abs(CUBE_LEVELS[best] - v) ? i : best, 0);
+
+  const [ri, gi, bi] = [r, g, b].map(nearestLevel);
+  const cube = [CUBE_LEVELS[ri], CUBE_LEVELS[gi], CUBE_LEVELS[bi]];
+  const grayIndex = Math.max(0, Math.min(23, Math.round(((r + g + b) / 3 - 8) / 10)));
+  const grayValue = 8 + grayIndex * 10;
+
+  const dist = ([x, y, z]) => (x - r) ** 2 + (y - g) ** 2 + (z - b) ** 2;
+  return dist(cube) <= dist([grayValue, grayValue, grayValue])
+    ? 16 + 36 * ri + 6 * gi + bi
+    : 232 + grayIndex;
+}
@@ -8,6 +8,7 @@
 // ============================================================================
 
 import { analyzeColorMood } from './vibeHarmony';
+import { GAMUTS, gamutMap, toOklch, wideGamutTiers } from './colorUtils';
 
 // ============================================================================
 // 1. CORE INTERPOLATION — The foundation
@@ -615,14 +616,16 @@ export function generateStylePreview(baseColor, style) {
 
 /**
  * Convert OKLCH stops to CSS gradient string.
- * Includes both oklch() for modern browsers and hex fallback.
+ * Stops are gamut-mapped into the target gamut ('srgb' | 'p3' | 'rec2020')
+ * before being written as oklch().
  */
-export function stopsToCSS(stops, angle = 90, type = 'linear') {
+export function stopsToCSS(stops, angle = 90, type = 'linear', gamut = 'srgb') {
   // Generate oklch stops
   const oklchStops = stops.map((stop, i) => {
     const percent = (i / (stops.length - 1)) * 100;
-    const l = (stop.l ?? 0.5).toFixed(3);
-    const c = (stop.c ?? 0.1).toFixed(3);
+    const mapped = toOklch(gamutMap(stop, gamut));
+    const l = (mapped.l ?? 0.5).toFixed(3);
+    const c = (mapped.c ?? 0.1).toFixed(3);
     const h = Math.round(stop.h ?? 0);
     return `oklch(${l} ${c} ${h}) ${percent.toFixed(0)}%`;
   }).join(', ');
@@ -657,15 +660,27 @@ export function stopsToHexCSS(stops, angle = 90, type = 'linear', oklchToHex) {
 
 /**
  * Generate full CSS output with comments and fallback.
+ * For wide-gamut targets the wider stops sit in nested color-gamut blocks,
+ * so sRGB screens keep the sRGB values.
  */
-export function generateFullCSS(stops, angle, type, oklchToHex) {
+export function generateFullCSS(stops, angle, type, oklchToHex, gamut = 'srgb') {
   const hexCSS = stopsToHexCSS(stops, angle, type, oklchToHex);
   const oklchCSS = stopsToCSS(stops, angle, type);
 
-  return `/* hex fallback */
+  const base = `/* hex fallback */
 background: ${hexCSS};
 /* oklch — better color interpolation in modern browsers */
 background: ${oklchCSS};`;
+
+  const wide = wideGamutTiers(gamut).map(tier => `
+/* ${GAMUTS[tier].label} screens */
+@supports (color: oklch(0 0 0)) {
+  @media (color-gamut: ${GAMUTS[tier].media}) {
+    background: ${stopsToCSS(stops, angle, type, tier)};
+  }
+}`).join('');
+
+  return base + wide;
 }
 
 
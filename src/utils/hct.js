@@ -0,0 +1,261 @@
+// hct.js - HCT colour space (hue, chroma, tone)
+// Material Design 3's colour space: hue and chroma are CAM16 under Material's
+// default viewing conditions, tone is CIELAB L*. Because tone alone sets
+// luminance, two tones' contrast is known without knowing their hue.
+// HCT → sRGB follows Material's HctSolver: tone fixes luminance, so hctToHex
+// solves CAM16 J for that luminance at the requested hue and chroma, and when
+// the result is out of gamut takes the colour of that hue on the boundary of
+// the sRGB cube's slice at that luminance.
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SRGB_TO_XYZ = [
+  [0.41233895, 0.35762064, 0.18051042],
+  [0.2126, 0.7152, 0.0722],
+  [0.01932141, 0.11916382, 0.95034478],
+];
+
+const XYZ_TO_SRGB = [
+  [3.2413774792388685, -1.5376652402851851, -0.49885366846268053],
+  [-0.9691452513005321, 1.8758853451067872, 0.04156585616912061],
+  [0.05562093689691305, -0.20395524564742123, 1.0571799111220335],
+];
+
+const WHITE_D65 = [95.047, 100, 108.883];
+
+// CAM16 cone space
+const XYZ_TO_CAM16 = [
+  [0.401288, 0.650173, -0.051461],
+  [-0.250268, 1.204414, 0.045854],
+  [-0.002079, 0.048952, 0.953127],
+];
+
+const CAM16_TO_XYZ = [
+  [1.8620678, -1.0112547, 0.14918678],
+  [0.38752654, 0.62144744, -0.00897398],
+  [-0.0158415, -0.03412294, 1.0499644],
+];
+
+// Average surround, L* 50 background, adapting luminance of a 200 lux room
+const VIEWING = makeViewingConditions();
+
+// Search resolution for the inverse
+const BISECT_STEPS = 40;
+const MAX_J = 100;
+
+// ============================================================================
+// CONVERSIONS
+// ============================================================================
+
+/**
+ * sRGB hex → HCT.
+ *
+ * @param {string} hex
+ * @returns {{ h: number, c: number, t: number }} hue 0–360, chroma ≥ 0, tone 0–100
+ */
+export function hexToHct(hex) {
+  const linear = [1, 3, 5].map(i => linearize(parseInt(hex.slice(i, i + 2), 16) / 255));
+  const { hue, chroma } = cam16(linear);
+  const y = dot(SRGB_TO_XYZ[1], linear) * 100;
+  return { h: hue, c: chroma, t: lstarFromY(y) };
+}
+
+/**
+ * HCT → sRGB hex. The tone is always honoured; if the hue cannot reach the
+ * requested chroma at that tone, the most chromatic in-gamut colour is used.
+ *
+ * @param {{ h: number, c: number, t: number }} hct
+ * @returns {string}
+ */
+export function hctToHex({ h, c, t }) {
+  if (t <= 0.0001) return '#000000';
+  if (t >= 99.9999) return '#ffffff';
+  if (c < 0.0001) return linearToHex(labToLinear(t, 0, 0));
+
+  const hue = normalizeHue(h);
+  const y = yFromLstar(t) / 100;
+
+  // Luminance rises with J at a fixed hue and chroma
+  const j = bisect(0, MAX_J, j => dot(SRGB_TO_XYZ[1], cam16Inverse(j, c, hue)) < y);
+  const exact = cam16Inverse(j, c, hue);
+  if (inGamut(exact)) return linearToHex(exact);
+
+  return linearToHex(boundaryAtHue(y, hue));
+}
+
+/**
+ * Relative luminance (0–100) of an L* tone.
+ */
+export function yFromLstar(lstar) {
+  return 100 * labInvf((lstar + 16) / 116);
+}
+
+/**
+ * L* tone of a relative luminance (0–100).
+ */
+export function lstarFromY(y) {
+  return 116 * labF(y / 100) - 16;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function makeViewingConditions() {
+  const adaptingLuminance = ((200 / Math.PI) * yFromLstar(50)) / 100;
+  const f = 1;
+  const c = 0.69;
+  const rgbW = XYZ_TO_CAM16.map(row => dot(row, WHITE_D65));
+  const d = Math.max(0, Math.min(1, f * (1 - (1 / 3.6) * Math.exp((-adaptingLuminance - 42) / 92))));
+  const rgbD = rgbW.map(v => d * (100 / v) + 1 - d);
+  const k = 1 / (5 * adaptingLuminance + 1);
+  const k4 = k ** 4;
+  const fl = k4 * adaptingLuminance + 0.1 * (1 - k4) ** 2 * Math.cbrt(5 * adaptingLuminance);
+  const n = yFromLstar(50) / WHITE_D65[1];
+  const nbb = 0.725 / n ** 0.2;
+  const rgbA = rgbW.map((v, i) => adapt(fl, rgbD[i] * v));
+  const aw = (2 * rgbA[0] + rgbA[1] + 0.05 * rgbA[2]) * nbb;
+  return { c, nc: f, n, z: 1.48 + Math.sqrt(n), nbb, fl, rgbD, aw };
+}
+
+// Post-adaptation cone response
+function adapt(fl, v) {
+  const af = ((fl * Math.abs(v)) / 100) ** 0.42;
+  return (Math.sign(v) * 400 * af) / (af + 27.13);
+}
+
+// CAM16 hue and chroma of a linear sRGB colour
+function cam16(linear) {
+  const xyz = SRGB_TO_XYZ.map(row => dot(row, linear) * 100);
+  const [r, g, b] = XYZ_TO_CAM16.map((row, i) => adapt(VIEWING.fl, VIEWING.rgbD[i] * dot(row, xyz)));
+
+  const a = (11 * r - 12 * g + b) / 11;
+  const bb = (r + g - 2 * b) / 9;
+  const u = (20 * r + 20 * g + 21 * b) / 20;
+  const p2 = (40 * r + 20 * g + b) / 20;
+
+  const hue = normalizeHue((Math.atan2(bb, a) * 180) / Math.PI);
+  const j = 100 * Math.max(0, (p2 * VIEWING.nbb) / VIEWING.aw) ** (VIEWING.c * VIEWING.z);
+  const huePrime = hue < 20.14 ? hue + 360 : hue;
+  const eHue = 0.25 * (Math.cos((huePrime * Math.PI) / 180 + 2) + 3.8);
+  const p1 = (50000 / 13) * eHue * VIEWING.nc * VIEWING.nbb;
+  const t = (p1 * Math.hypot(a, bb)) / (u + 0.305);
+  const alpha = t ** 0.9 * (1.64 - 0.29 ** VIEWING.n) ** 0.73;
+
+  return { hue, chroma: alpha * Math.sqrt(j / 100) };
+}
+
+// Linear sRGB of CAM16 lightness J, chroma and hue
+function cam16Inverse(j, chroma, hue) {
+  if (j <= 0) return [0, 0, 0];
+  const alpha = chroma / Math.sqrt(j / 100);
+  const t = (alpha / (1.64 - 0.29 ** VIEWING.n) ** 0.73) ** (1 / 0.9);
+  const rad = (hue * Math.PI) / 180;
+  const eHue = 0.25 * (Math.cos(rad + 2) + 3.8);
+  const ac = VIEWING.aw * (j / 100) ** (1 / VIEWING.c / VIEWING.z);
+  const p1 = eHue * (50000 / 13) * VIEWING.nc * VIEWING.nbb;
+  const p2 = ac / VIEWING.nbb;
+
+  const gamma = (23 * (p2 + 0.305) * t) / (23 * p1 + 11 * t * Math.cos(rad) + 108 * t * Math.sin(rad));
+  const a = gamma * Math.cos(rad);
+  const b = gamma * Math.sin(rad);
+  const adapted = [
+    (460 * p2 + 451 * a + 288 * b) / 1403,
+    (460 * p2 - 891 * a - 261 * b) / 1403,
+    (460 * p2 - 220 * a - 6300 * b) / 1403,
+  ];
+  const cone = adapted.map((v, i) => unadapt(VIEWING.fl, v) / VIEWING.rgbD[i]);
+  return XYZ_TO_SRGB.map(row => dot(row, CAM16_TO_XYZ.map(r => dot(r, cone))) / 100);
+}
+
+// Inverse of adapt
+function unadapt(fl, v) {
+  const base = Math.max(0, (27.13 * Math.abs(v)) / (400 - Math.abs(v)));
+  return (Math.sign(v) * 100 * base ** (1 / 0.42)) / fl;
+}
+
+// Most chromatic in-gamut colour of a CAM16 hue at relative luminance y (0–1).
+// The slice of the sRGB cube at that luminance is a convex polygon around
+// grey, and hue turns monotonically along its edge: find the edge holding the
+// hue, then bisect along it.
+function boundaryAtHue(y, hue) {
+  const vertices = [];
+  // The slice's corners lie on the cube's edges: two channels at 0 or 1
+  for (let axis = 0; axis < 3; axis++) {
+    for (const u of [0, 1]) {
+      for (const v of [0, 1]) {
+        const linear = [0, 0, 0];
+        const [i, k] = [0, 1, 2].filter(n => n !== axis);
+        linear[i] = u;
+        linear[k] = v;
+        const rest = y - SRGB_TO_XYZ[1][i] * u - SRGB_TO_XYZ[1][k] * v;
+        linear[axis] = rest / SRGB_TO_XYZ[1][axis];
+        if (linear[axis] >= 0 && linear[axis] <= 1) vertices.push({ linear, hue: cam16(linear).hue });
+      }
+    }
+  }
+  vertices.sort((p, q) => p.hue - q.hue);
+
+  // Edge whose end hues bracket the target, wrapping past 360°
+  const index = vertices.findIndex((p, n) => {
+    const next = vertices[(n + 1) % vertices.length];
+    return normalizeHue(hue - p.hue) <= normalizeHue(next.hue - p.hue);
+  });
+  const from = vertices[Math.max(0, index)].linear;
+  const to = vertices[(Math.max(0, index) + 1) % vertices.length].linear;
+  const fromHue = cam16(from).hue;
+  const along = s => from.map((v, n) => v + (to[n] - v) * s);
+
+  const s = bisect(0, 1, s => normalizeHue(cam16(along(s)).hue - fromHue) < normalizeHue(hue - fromHue));
+  return along(s);
+}
+
+function labToLinear(l, a, b) {
+  const fy = (l + 16) / 116;
+  const xyz = [labInvf(fy + a / 500), labInvf(fy), labInvf(fy - b / 200)].map((v, i) => v * WHITE_D65[i]);
+  return XYZ_TO_SRGB.map(row => dot(row, xyz) / 100);
+}
+
+function labF(t) {
+  const e = 216 / 24389;
+  const kappa = 24389 / 27;
+  return t > e ? Math.cbrt(t) : (kappa * t + 16) / 116;
+}
+
+function labInvf(ft) {
+  const e = 216 / 24389;
+  const kappa = 24389 / 27;
+  const ft3 = ft * ft * ft;
+  return ft3 > e ? ft3 : (116 * ft - 16) / kappa;
+}
+
+// Largest x in [lo, hi] for which test holds, assuming it holds below some threshold
+function bisect(lo, hi, test) {
+  for (let i = 0; i < BISECT_STEPS; i++) {
+    const mid = (lo + hi) / 2;
+    if (test(mid)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function inGamut(linear) {
+  return linear.every(v => v >= -1e-4 && v <= 1 + 1e-4);
+}
+
+const linearize = v => v <= 0.04045 ? v/12.92 : Math.pow((v+0.055)/1.055, 2.4);
+const delinearize = v => v <= 0.0031308 ? 12.92*v : 1.055*Math.pow(v, 1/2.4)-0.055;
+
+function linearToHex(linear) {
+  return `#${linear.map(v => Math.round(Math.max(0, Math.min(1, delinearize(Math.max(0, v)))) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function dot(row, v) {
+  return row[0] * v[0] + row[1] * v[1] + row[2] * v[2];
+}
+
+function normalizeHue(hue) {
+  return ((hue % 360) + 360) % 360;
+}
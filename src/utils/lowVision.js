@@ -0,0 +1,131 @@
+// lowVision.js - Low-vision and aging-eye simulations
+// Per-colour approximations of common non-colour-blindness conditions, so
+// swatches, UI mocks and contrast checks can all be run "through" them:
+//   contrast  - reduced contrast sensitivity: everything pulled towards mid grey
+//   blur      - low acuity: thin strokes smear into their background
+//   cataract  - lens yellowing: blue absorbed, plus scattered-light haze
+//   glare     - outdoor washout: reflected ambient light added to the screen
+// Light-based effects work in linear sRGB; severity runs 0–1.
+
+import { wcagContrast } from './colorUtils';
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+export const LOW_VISION_CONDITIONS = [
+  { id: 'contrast', label: 'Low contrast sensitivity', description: 'Common with age, glaucoma and diabetic retinopathy' },
+  { id: 'blur',     label: 'Blur (low acuity)',        description: 'Uncorrected refractive error, macular degeneration' },
+  { id: 'cataract', label: 'Cataract / lens yellowing', description: 'Yellowed, cloudy lens — most people over 70' },
+  { id: 'glare',    label: 'Glare / outdoor washout',  description: 'Sunlight reflecting off the screen' },
+];
+
+// At full severity
+const CONTRAST_LOSS = 0.6;        // fraction of contrast removed
+const BLUR_RADIUS = 3;            // CSS px
+const BLUR_TEXT_MIX = 0.3;        // how much body-text strokes take on the background
+const LENS_TRANSMISSION = [1, 0.9, 0.55];
+const LENS_HAZE = 0.08;           // scattered light, linear
+const GLARE_VEIL = 0.35;          // reflected ambient, linear
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Simulator for one condition.
+ *
+ * @param {string} id - LOW_VISION_CONDITIONS id, or 'none'
+ * @param {number} severity - 0–1
+ * @returns {{ color: (hex: string) => string, text: (fg: string, bg: string) => string, filter: string }}
+ *   color maps a surface colour; text gives the effective colour of body text
+ *   on a background (blur mixes strokes into it); filter is a CSS filter for
+ *   rendered previews ('' when nothing spatial applies)
+ */
+export function createLowVisionSimulator(id, severity = 0.5) {
+  const s = Math.max(0, Math.min(1, severity));
+  const color = colorTransform(id, s);
+  return {
+    color,
+    text: (fg, bg) => {
+      const fgSim = color(fg);
+      return id === 'blur' ? mixHex(fgSim, color(bg), BLUR_TEXT_MIX * s) : fgSim;
+    },
+    filter: id === 'blur' && s > 0 ? `blur(${(BLUR_RADIUS * s).toFixed(1)}px)` : '',
+  };
+}
+
+/**
+ * Text pairs that meet WCAG AA normally but fall below it under each condition.
+ *
+ * @param {Array<{ fg: string, bg: string, label: string }>} pairs
+ * @param {number} severity
+ * @returns {Array<{ condition: Object, failing: Array<{ pair, before: number, after: number }> }>}
+ */
+export function lowVisionTextReport(pairs, severity = 0.5, threshold = 4.5) {
+  return LOW_VISION_CONDITIONS.map(condition => {
+    const sim = createLowVisionSimulator(condition.id, severity);
+    const failing = [];
+    pairs.forEach(pair => {
+      const before = wcagContrast(pair.fg, pair.bg);
+      if (before < threshold) return;
+      const after = wcagContrast(sim.text(pair.fg, pair.bg), sim.color(pair.bg));
+      if (after < threshold) failing.push({ pair, before, after });
+    });
+    return { condition, failing };
+  });
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+const linearize = v => v <= 0.04045 ? v/12.92 : Math.pow((v+0.055)/1.055, 2.4);
+const delinearize = v => v <= 0.0031308 ? 12.92*v : 1.055*Math.pow(v, 1/2.4)-0.055;
+const clamp = v => Math.max(0, Math.min(1, v));
+
+function colorTransform(id, s) {
+  if (s <= 0) return hex => hex;
+  switch (id) {
+    case 'contrast': {
+      // Perceptual (gamma-encoded) values squeezed towards mid grey
+      const k = 1 - CONTRAST_LOSS * s;
+      return hex => fromChannels(channels(hex).map(v => 0.5 + (v - 0.5) * k));
+    }
+    case 'blur':
+      // Flat colours survive blur; the loss is spatial (see text / filter)
+      return hex => hex;
+    case 'cataract': {
+      const transmission = LENS_TRANSMISSION.map(t => 1 - (1 - t) * s);
+      const haze = LENS_HAZE * s;
+      return hex => fromLinear(channels(hex).map((v, i) =>
+        (linearize(v) * transmission[i] + haze) / (1 + haze)
+      ));
+    }
+    case 'glare': {
+      const veil = GLARE_VEIL * s;
+      return hex => fromLinear(channels(hex).map(v => (linearize(v) + veil) / (1 + veil)));
+    }
+    default:
+      return hex => hex;
+  }
+}
+
+function channels(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+function fromChannels(values) {
+  return `#${values.map(v => Math.round(clamp(v) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function fromLinear(values) {
+  return fromChannels(values.map(v => delinearize(clamp(v))));
+}
+
+// Optical mixing happens in linear light
+function mixHex(a, b, t) {
+  const ca = channels(a).map(linearize);
+  const cb = channels(b).map(linearize);
+  return fromLinear(ca.map((v, i) => v + (cb[i] - v) * t));
+}
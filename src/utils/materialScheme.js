@@ -0,0 +1,345 @@
+// materialScheme.js - Material Design 3 colour schemes from a seed colour
+// Builds the five tonal palettes (primary, secondary, tertiary, neutral,
+// neutral variant, plus the fixed error palette) in HCT, then reads the light
+// and dark scheme roles off them at Material's tones. Variants follow the
+// Material Color Utilities 2021 spec, with two simplifications:
+//   fidelity - tertiary is the HCT complement rather than the
+//              temperature-based complement
+//   content  - tertiary is rotated 60° rather than picked from the
+//              temperature-based analogous set
+// Exports Material Theme Builder JSON, Jetpack Compose and CSS variables.
+
+import { hexToHct, hctToHex, yFromLstar, lstarFromY } from './hct';
+
+export const MATERIAL_VARIANTS = [
+  { id: 'tonalSpot',  label: 'Tonal spot', description: 'Default — calm, low-chroma accents' },
+  { id: 'vibrant',    label: 'Vibrant',    description: 'Maximum colour, hue-shifted accents' },
+  { id: 'expressive', label: 'Expressive', description: 'Playful — primary rotated off the seed' },
+  { id: 'fidelity',   label: 'Fidelity',   description: 'Keeps the seed’s own chroma and tone' },
+  { id: 'content',    label: 'Content',    description: 'Like fidelity, with an analogous tertiary' },
+];
+
+// Tones shown and exported per palette (Theme Builder's set)
+export const PALETTE_TONES = [0, 5, 10, 15, 20, 25, 30, 35, 40, 50, 60, 70, 80, 90, 95, 98, 99, 100];
+
+export const PALETTE_KEYS = ['primary', 'secondary', 'tertiary', 'neutral', 'neutralVariant', 'error'];
+
+const ERROR_HUE = 25;
+const ERROR_CHROMA = 84;
+const CONTAINER_CONTRAST = 4.5;
+
+// Hue-dependent rotations for vibrant / expressive secondary and tertiary
+const VIBRANT_ROTATION = {
+  hues: [0, 41, 61, 101, 131, 181, 251, 301, 360],
+  secondary: [18, 15, 10, 12, 15, 18, 15, 12, 12],
+  tertiary: [35, 30, 20, 25, 30, 35, 30, 25, 25],
+};
+const EXPRESSIVE_ROTATION = {
+  hues: [0, 21, 51, 121, 151, 191, 271, 321, 360],
+  secondary: [45, 95, 45, 20, 45, 90, 45, 45, 45],
+  tertiary: [120, 120, 20, 45, 20, 15, 20, 120, 120],
+};
+
+// [role, palette, light tone, dark tone], in Theme Builder's order
+const ROLES = [
+  ['primary', 'primary', 40, 80],
+  ['surfaceTint', 'primary', 40, 80],
+  ['onPrimary', 'primary', 100, 20],
+  ['primaryContainer', 'primary', 90, 30],
+  ['onPrimaryContainer', 'primary', 10, 90],
+  ['secondary', 'secondary', 40, 80],
+  ['onSecondary', 'secondary', 100, 20],
+  ['secondaryContainer', 'secondary', 90, 30],
+  ['onSecondaryContainer', 'secondary', 10, 90],
+  ['tertiary', 'tertiary', 40, 80],
+  ['onTertiary', 'tertiary', 100, 20],
+  ['tertiaryContainer', 'tertiary', 90, 30],
+  ['onTertiaryContainer', 'tertiary', 10, 90],
+  ['error', 'error', 40, 80],
+  ['onError', 'error', 100, 20],
+  ['errorContainer', 'error', 90, 30],
+  ['onErrorContainer', 'error', 10, 90],
+  ['background', 'neutral', 98, 6],
+  ['onBackground', 'neutral', 10, 90],
+  ['surface', 'neutral', 98, 6],
+  ['onSurface', 'neutral', 10, 90],
+  ['surfaceVariant', 'neutralVariant', 90, 30],
+  ['onSurfaceVariant', 'neutralVariant', 30, 80],
+  ['outline', 'neutralVariant', 50, 60],
+  ['outlineVariant', 'neutralVariant', 80, 30],
+  ['shadow', 'neutral', 0, 0],
+  ['scrim', 'neutral', 0, 0],
+  ['inverseSurface', 'neutral', 20, 90],
+  ['inverseOnSurface', 'neutral', 95, 20],
+  ['inversePrimary', 'primary', 80, 40],
+  ['primaryFixed', 'primary', 90, 90],
+  ['onPrimaryFixed', 'primary', 10, 10],
+  ['primaryFixedDim', 'primary', 80, 80],
+  ['onPrimaryFixedVariant', 'primary', 30, 30],
+  ['secondaryFixed', 'secondary', 90, 90],
+  ['onSecondaryFixed', 'secondary', 10, 10],
+  ['secondaryFixedDim', 'secondary', 80, 80],
+  ['onSecondaryFixedVariant', 'secondary', 30, 30],
+  ['tertiaryFixed', 'tertiary', 90, 90],
+  ['onTertiaryFixed', 'tertiary', 10, 10],
+  ['tertiaryFixedDim', 'tertiary', 80, 80],
+  ['onTertiaryFixedVariant', 'tertiary', 30, 30],
+  ['surfaceDim', 'neutral', 87, 6],
+  ['surfaceBright', 'neutral', 98, 24],
+  ['surfaceContainerLowest', 'neutral', 100, 4],
+  ['surfaceContainerLow', 'neutral', 96, 10],
+  ['surfaceContainer', 'neutral', 94, 12],
+  ['surfaceContainerHigh', 'neutral', 92, 17],
+  ['surfaceContainerHighest', 'neutral', 90, 22],
+];
+
+export const MATERIAL_ROLES = ROLES.map(([role]) => role);
+
+// No ColorScheme slot in Compose (the fixed roles are left out too)
+const COMPOSE_EXCLUDED = new Set(['shadow']);
+const isFixedRole = role => role.includes('Fixed');
+
+// ============================================================================
+// PALETTES
+// ============================================================================
+
+/**
+ * A tonal palette: one HCT hue and chroma at every tone.
+ *
+ * @returns {{ hue: number, chroma: number, tone: (t: number) => string }}
+ */
+export function createTonalPalette(hue, chroma) {
+  const cache = new Map();
+  return {
+    hue,
+    chroma,
+    tone: t => {
+      if (!cache.has(t)) cache.set(t, hctToHex({ h: hue, c: chroma, t }));
+      return cache.get(t);
+    },
+  };
+}
+
+/**
+ * The six tonal palettes for a seed colour and scheme variant.
+ *
+ * @param {string} seedHex
+ * @param {string} variant - MATERIAL_VARIANTS id
+ */
+export function createMaterialPalettes(seedHex, variant = 'tonalSpot') {
+  const { h, c } = hexToHct(seedHex);
+  const palette = (hue, chroma) => createTonalPalette(normalizeHue(hue), chroma);
+  const error = palette(ERROR_HUE, ERROR_CHROMA);
+
+  switch (variant) {
+    case 'vibrant':
+      return {
+        primary: palette(h, 200),
+        secondary: palette(rotateHue(h, VIBRANT_ROTATION.hues, VIBRANT_ROTATION.secondary), 24),
+        tertiary: palette(rotateHue(h, VIBRANT_ROTATION.hues, VIBRANT_ROTATION.tertiary), 32),
+        neutral: palette(h, 10),
+        neutralVariant: palette(h, 12),
+        error,
+      };
+    case 'expressive':
+      return {
+        primary: palette(h + 240, 40),
+        secondary: palette(rotateHue(h, EXPRESSIVE_ROTATION.hues, EXPRESSIVE_ROTATION.secondary), 24),
+        tertiary: palette(rotateHue(h, EXPRESSIVE_ROTATION.hues, EXPRESSIVE_ROTATION.tertiary), 32),
+        neutral: palette(h + 15, 8),
+        neutralVariant: palette(h + 15, 12),
+        error,
+      };
+    case 'fidelity':
+    case 'content':
+      return {
+        primary: palette(h, c),
+        secondary: palette(h, Math.max(c - 32, c * 0.5)),
+        tertiary: palette(h + (variant === 'fidelity' ? 180 : 60), c),
+        neutral: palette(h, c / 8),
+        neutralVariant: palette(h, c / 8 + 4),
+        error,
+      };
+    default:
+      return {
+        primary: palette(h, 36),
+        secondary: palette(h, 16),
+        tertiary: palette(h + 60, 24),
+        neutral: palette(h, 6),
+        neutralVariant: palette(h, 8),
+        error,
+      };
+  }
+}
+
+// ============================================================================
+// SCHEMES
+// ============================================================================
+
+/**
+ * Full Material 3 scheme: palettes plus light and dark role colours.
+ *
+ * @param {string} seedHex
+ * @param {string} variant
+ * @returns {{ seed: string, source: Object, variant: string, palettes: Object, light: Object, dark: Object }}
+ *   light / dark map role name → hex
+ */
+export function generateMaterialScheme(seedHex, variant = 'tonalSpot') {
+  const source = hexToHct(seedHex);
+  const palettes = createMaterialPalettes(seedHex, variant);
+  const overrides = variant === 'fidelity' || variant === 'content'
+    ? fidelityTones(source, palettes)
+    : {};
+
+  const build = isDark => Object.fromEntries(ROLES.map(([role, key, light, dark]) => {
+    const tone = overrides[role] !== undefined ? overrides[role] : isDark ? dark : light;
+    return [role, palettes[key].tone(tone)];
+  }));
+
+  return { seed: seedHex, source, variant, palettes, light: build(false), dark: build(true) };
+}
+
+// ============================================================================
+// EXPORT FORMATS
+// ============================================================================
+
+/**
+ * Material Theme Builder export (the "JSON" option): schemes, palettes and
+ * core colour, importable back into Theme Builder.
+ */
+export function toThemeBuilderJSON(scheme) {
+  const upper = roles => Object.fromEntries(Object.entries(roles).map(([k, v]) => [k, v.toUpperCase()]));
+  const palettes = {};
+  PALETTE_KEYS.filter(key => key !== 'error').forEach(key => {
+    palettes[key === 'neutralVariant' ? 'neutral-variant' : key] = Object.fromEntries(
+      PALETTE_TONES.map(t => [String(t), scheme.palettes[key].tone(t).toUpperCase()])
+    );
+  });
+
+  return JSON.stringify({
+    description: `TYPE: CUSTOM\nMaterial Theme Builder export from hex&hue (${scheme.variant})`,
+    seed: scheme.seed.toUpperCase(),
+    coreColors: { primary: scheme.seed.toUpperCase() },
+    extendedColors: [],
+    schemes: { light: upper(scheme.light), dark: upper(scheme.dark) },
+    palettes,
+  }, null, 2);
+}
+
+/**
+ * Jetpack Compose: Color.kt constants plus the light and dark ColorSchemes.
+ */
+export function toComposeColorScheme(scheme, packageName = 'com.example.ui.theme') {
+  const roles = MATERIAL_ROLES.filter(role => !COMPOSE_EXCLUDED.has(role) && !isFixedRole(role));
+  const argb = hex => `Color(0xFF${hex.slice(1).toUpperCase()})`;
+
+  const constants = ['Light', 'Dark'].map(suffix => {
+    const values = scheme[suffix.toLowerCase()];
+    return roles.map(role => `val ${role}${suffix} = ${argb(values[role])}`).join('\n');
+  });
+  const builder = (fn, suffix) =>
+    `val ${suffix}ColorScheme = ${fn}(\n${roles.map(role => `    ${role} = ${role}${suffix},`).join('\n')}\n)`;
+
+  return [
+    `package ${packageName}`,
+    '',
+    'import androidx.compose.material3.darkColorScheme',
+    'import androidx.compose.material3.lightColorScheme',
+    'import androidx.compose.ui.graphics.Color',
+    '',
+    constants[0],
+    '',
+    constants[1],
+    '',
+    builder('lightColorScheme', 'Light'),
+    '',
+    builder('darkColorScheme', 'Dark'),
+    '',
+  ].join('\n');
+}
+
+/**
+ * CSS custom properties named like Material Web's tokens
+ * (--md-sys-color-primary-container). Light on :root, dark via the
+ * user's preference or a .dark class.
+ */
+export function toMaterialCSS(scheme) {
+  const block = (selector, roles, indent = '') => [
+    `${indent}${selector} {`,
+    ...MATERIAL_ROLES.map(role => `${indent}  --md-sys-color-${kebabCase(role)}: ${roles[role]};`),
+    `${indent}}`,
+  ].join('\n');
+
+  return [
+    `/* Material 3 ${scheme.variant} scheme from ${scheme.seed} */`,
+    block(':root, .light', scheme.light),
+    '',
+    block('.dark', scheme.dark),
+    '',
+    '@media (prefers-color-scheme: dark) {',
+    block(':root:not(.light)', scheme.dark, '  '),
+    '}',
+    '',
+  ].join('\n');
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+// Fidelity and content keep the seed's tone in the containers
+function fidelityTones(source, palettes) {
+  const primaryContainer = source.t;
+  const tertiaryContainer = fixIfDisliked(palettes.tertiary.hue, palettes.tertiary.chroma, source.t);
+  return {
+    primaryContainer,
+    onPrimaryContainer: foregroundTone(primaryContainer, CONTAINER_CONTRAST),
+    tertiaryContainer,
+    onTertiaryContainer: foregroundTone(tertiaryContainer, CONTAINER_CONTRAST),
+  };
+}
+
+// Dark yellow-greens read as bile; Material lifts them to tone 70
+function fixIfDisliked(hue, chroma, tone) {
+  const disliked = Math.round(hue) >= 90 && Math.round(hue) <= 111 && Math.round(chroma) > 16 && Math.round(tone) < 65;
+  return disliked ? 70 : tone;
+}
+
+function rotateHue(hue, hues, rotations) {
+  for (let i = 0; i < hues.length - 1; i++) {
+    if (hues[i] < hue && hue < hues[i + 1]) return normalizeHue(hue + rotations[i]);
+  }
+  return hue;
+}
+
+// WCAG ratio between two tones
+function toneContrast(a, b) {
+  const ya = yFromLstar(a);
+  const yb = yFromLstar(b);
+  return (Math.max(ya, yb) + 5) / (Math.min(ya, yb) + 5);
+}
+
+// Tone for text on a background tone: lighter on dark backgrounds, darker on
+// light ones, whichever side can reach the ratio
+function foregroundTone(bgTone, ratio) {
+  const y = yFromLstar(bgTone);
+  const lighterY = ratio * (y + 5) - 5;
+  const darkerY = (y + 5) / ratio - 5;
+  const lighter = lighterY > 100 ? 100 : Math.min(100, lstarFromY(lighterY) + 0.4);
+  const darker = darkerY < 0 ? 0 : Math.max(0, lstarFromY(darkerY) - 0.4);
+  const lighterRatio = toneContrast(lighter, bgTone);
+  const darkerRatio = toneContrast(darker, bgTone);
+
+  if (Math.round(bgTone) < 60) {
+    return lighterRatio >= ratio || lighterRatio >= darkerRatio ? lighter : darker;
+  }
+  return darkerRatio >= ratio || darkerRatio >= lighterRatio ? darker : lighter;
+}
+
+function normalizeHue(hue) {
+  return ((hue % 360) + 360) % 360;
+}
+
+function kebabCase(str) {
+  return str.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+}
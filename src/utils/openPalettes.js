@@ -0,0 +1,336 @@
+// openPalettes.js - Palette files for open-source graphics tools
+// GIMP / Inkscape (.gpl), Krita (.kpl, a zip holding colorset.xml) and
+// Paint.NET (.txt, one AARRGGBB value per line).
+
+import { toOklch, toUnitRgb } from './colorUtils';
+
+const KPL_MIMETYPE = 'krita/x-colorset';
+const KPL_PROFILE = 'sRGB-elle-V2-srgbtrc.icc';
+
+// ============================================================================
+// GIMP / INKSCAPE (.gpl)
+// ============================================================================
+
+/**
+ * Encode a palette as a GIMP palette. Inkscape reads the same format.
+ * @returns {string}
+ */
+export function encodeGPL(colors, names, title = 'hex&hue') {
+  const rows = colors.map((color, i) => {
+    const [r, g, b] = toBytes(color);
+    const channels = [r, g, b].map(v => String(v).padStart(3, ' ')).join(' ');
+    return `${channels}\t${names[i] || `Color ${i + 1}`}`;
+  });
+
+  return [
+    'GIMP Palette',
+    `Name: ${singleLine(title)}`,
+    `Columns: ${Math.min(colors.length, 16)}`,
+    '#',
+    ...rows,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Parse a GIMP palette.
+ * @returns {{ colors: Array, names: Array<string> }}
+ * @throws {Error} if the header is missing or there are no colours
+ */
+export function decodeGPL(text) {
+  const lines = String(text).split(/\r?\n/);
+  if (!/^GIMP Palette/.test(lines[0]?.trim())) {
+    throw new Error('Not a GIMP palette');
+  }
+
+  const colors = [];
+  const names = [];
+  lines.slice(1).forEach(line => {
+    const match = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/);
+    if (!match) return; // header fields, comments, blank lines
+    const [r, g, b] = match.slice(1, 4).map(v => Math.min(255, Number(v)) / 255);
+    colors.push(toOklch({ mode: 'rgb', r, g, b }));
+    names.push(match[4].trim() || `Color ${colors.length}`);
+  });
+
+  if (colors.length === 0) throw new Error('No colours found');
+  return { colors, names };
+}
+
+// ============================================================================
+// PAINT.NET (.txt)
+// ============================================================================
+
+/**
+ * Encode a palette as a Paint.NET palette. The format has no names, so each
+ * colour is preceded by a comment line carrying its name.
+ * @returns {string}
+ */
+export function encodePaintNet(colors, names, title = 'hex&hue') {
+  return [
+    '; paint.net Palette File',
+    '; Lines that start with a semicolon are comments',
+    '; Colors are written as 8-digit hexadecimal numbers: aarrggbb',
+    `; Palette: ${singleLine(title)}`,
+    ...colors.flatMap((color, i) => {
+      const hex = toBytes(color).map(v => v.toString(16).padStart(2, '0')).join('');
+      return [`; ${singleLine(names[i] || `Color ${i + 1}`)}`, `FF${hex.toUpperCase()}`];
+    }),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Parse a Paint.NET palette. Names are taken from a comment directly above a
+ * colour when present (as written by encodePaintNet).
+ * @returns {{ colors: Array, names: Array<string> }}
+ * @throws {Error} if there are no colours
+ */
+export function decodePaintNet(text) {
+  const colors = [];
+  const names = [];
+  let lastComment = null;
+
+  String(text).split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (line.startsWith(';')) {
+      lastComment = line.slice(1).trim();
+      return;
+    }
+    const match = line.match(/^(?:[0-9a-f]{2})?([0-9a-f]{6})$/i);
+    if (match) {
+      colors.push(toOklch(`#${match[1]}`));
+      names.push(lastComment || `Color ${colors.length}`);
+    }
+    lastComment = null;
+  });
+
+  if (colors.length === 0) throw new Error('No colours found');
+  return { colors, names };
+}
+
+// ============================================================================
+// KRITA (.kpl)
+// ============================================================================
+
+/**
+ * Encode a palette as a Krita palette bundle.
+ * @returns {Uint8Array} zip archive
+ */
+export function encodeKPL(colors, names, title = 'hex&hue') {
+  const entries = colors.map((color, i) => {
+    const { r, g, b } = toUnitRgb(color);
+    return [
+      ` <ColorSetEntry name="${escapeXml(names[i] || `Color ${i + 1}`)}" id="${i + 1}" spot="false" bitdepth="U8">`,
+      `  <RGB space="${KPL_PROFILE}" r="${r.toFixed(6)}" g="${g.toFixed(6)}" b="${b.toFixed(6)}"/>`,
+      `  <Position row="0" column="${i}"/>`,
+      ' </ColorSetEntry>',
+    ].join('\n');
+  });
+
+  const colorset = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ColorSet version="2.0" name="${escapeXml(title)}" comment="" columns="${Math.max(1, colors.length)}" rows="1" readonly="false">`,
+    ...entries,
+    '</ColorSet>',
+    '',
+  ].join('\n');
+
+  // Krita expects the mimetype entry first and uncompressed
+  return createZip([
+    ['mimetype', KPL_MIMETYPE],
+    ['colorset.xml', colorset],
+    ['profiles.xml', '<?xml version="1.0" encoding="UTF-8"?>\n<Profiles/>\n'],
+  ]);
+}
+
+/**
+ * Parse a Krita palette bundle. Async because deflated entries are
+ * inflated with the browser's DecompressionStream.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{ colors: Array, names: Array<string> }>}
+ * @throws {Error} if the archive holds no readable colorset.xml
+ */
+export async function decodeKPL(buffer) {
+  const files = await readZip(buffer);
+  const xml = files['colorset.xml'];
+  if (!xml) throw new Error('Not a Krita palette');
+
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('colorset.xml is malformed');
+
+  const colors = [];
+  const names = [];
+  doc.querySelectorAll('ColorSetEntry').forEach(entry => {
+    const color = readKritaColor(entry);
+    if (!color) return;
+    colors.push(toOklch(color));
+    names.push(entry.getAttribute('name') || `Color ${colors.length}`);
+  });
+
+  if (colors.length === 0) throw new Error('No colours found');
+  return { colors, names };
+}
+
+function readKritaColor(entry) {
+  const node = entry.querySelector('RGB, sRGB, Gray, Lab');
+  if (!node) return null;
+  const attr = name => parseFloat(node.getAttribute(name));
+
+  switch (node.tagName) {
+    case 'RGB':
+    case 'sRGB':
+      return { mode: 'rgb', r: attr('r'), g: attr('g'), b: attr('b') };
+    case 'Gray': {
+      const v = attr('g');
+      return { mode: 'rgb', r: v, g: v, b: v };
+    }
+    case 'Lab':
+      return { mode: 'lab', l: attr('L'), a: attr('a'), b: attr('b') };
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// ZIP (stored entries out, stored + deflated entries in)
+// ============================================================================
+
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 10, true);           // version needed
+    header.setUint16(8, 0, true);            // method: stored
+    header.setUint16(12, 0x21, true);        // date: 1980-01-01
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014b50, true);
+    record.setUint16(4, 20, true);           // version made by
+    record.setUint16(6, 10, true);
+    record.setUint16(14, 0x21, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, data.length, true);
+    record.setUint32(24, data.length, true);
+    record.setUint16(28, nameBytes.length, true);
+    record.setUint32(42, offset, true);
+
+    local.push(new Uint8Array(header.buffer), nameBytes, data);
+    central.push(new Uint8Array(record.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...local, ...central, new Uint8Array(end.buffer)]);
+}
+
+async function readZip(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory sits in the last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive');
+
+  const count = view.getUint16(eocd + 10, true);
+  let ptr = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error('Zip directory is corrupt');
+    const method = view.getUint16(ptr + 10, true);
+    const size = view.getUint32(ptr + 20, true);
+    const nameLength = view.getUint16(ptr + 28, true);
+    const extraLength = view.getUint16(ptr + 30, true);
+    const commentLength = view.getUint16(ptr + 32, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLength));
+    ptr += 46 + nameLength + extraLength + commentLength;
+
+    const start = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(start, start + size);
+
+    if (method === 0) files[name] = decoder.decode(data);
+    else if (method === 8) files[name] = decoder.decode(await inflateRaw(data));
+  }
+
+  return files;
+}
+
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function toBytes(color) {
+  const { r, g, b } = toUnitRgb(color);
+  return [r, g, b].map(v => Math.round(v * 255));
+}
+
+function singleLine(str) {
+  return String(str).replace(/[\r\n]+/g, ' ');
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
@@ -5,44 +5,132 @@
  * 
  * K-M Theory Primer:
  * - Each pigment has absorption (K) and scattering (S) coefficients at each wavelength.
- * - When pigments are mixed, K/S values combine linearly by concentration:
- *     (K/S)_mix = Σ cᵢ · (K/S)ᵢ
- * - Reflectance R is derived from K/S via the Kubelka-Munk equation:
- *     R = 1 + (K/S) - √((K/S)² + 2·(K/S))
- * - Reflectance is then converted to XYZ → OKLCH for display.
+ * - When pigments are mixed, K and S each combine linearly by concentration
+ *   (two-constant theory):
+ *     K_mix = Σ cᵢ · Kᵢ        S_mix = Σ cᵢ · Sᵢ
+ *   so a strongly scattering white dilutes a colour, while a transparent
+ *   pigment (low S) barely changes the scattering of what it is mixed into.
+ * - An opaque film's reflectance depends on K/S alone:
+ *     R∞ = 1 + (K/S) - √((K/S)² + 2·(K/S))
+ *   A film of thickness X over a substrate of reflectance Rg is
+ *     a = 1 + K/S,  b = √(a² - 1)
+ *     R = (1 - Rg·(a - b·coth(bSX))) / (a - Rg + b·coth(bSX))
+ *   which lets the ground show through glazes and tends to R∞ as SX grows.
+ * - Reflectance is then converted to XYZ under an illuminant (D65 unless
+ *   another light is asked for) → sRGB / OKLab for display and matching.
  * 
- * Paint data sourced from published pigment spectral databases and
- * manufacturer color charts (Golden Artist Colors, Winsor & Newton,
- * Daniel Smith). Spectral data sampled at 10nm intervals, 400–700nm (31 bands).
+ * Paint spectra are modelled on the published reflectance curves of each
+ * pigment and matched to the manufacturers' color charts (Golden Artist
+ * Colors, Winsor & Newton, Daniel Smith). Spectral data sampled at 10nm
+ * intervals, 400–700nm (31 bands).
  * 
  * References:
  *   - Kubelka, P. & Munk, F. (1931). Ein Beitrag zur Optik der Farbanstriche.
  *   - Centore, P. (2012). An open-source inversion algorithm for the Kubelka-Munk model.
- *   - OpenPainting spectral dataset (CC BY 4.0)
  */
 
 // ─────────────────────────────────────────────────────────────────────────────
 // CIE 1931 2° colour-matching functions, 400–700nm in 10nm steps (31 bands)
 // Source: CIE publication 15:2004
 // ─────────────────────────────────────────────────────────────────────────────
-const CIE_X = [0.01741,0.04149,0.09132,0.1788,0.2908,0.3285,0.3482,0.3481,0.3362,0.3187,0.2908,0.2511,0.1954,0.1421,0.09564,0.05795,0.03201,0.01470,0.00490,0.00240,0.00930,0.02910,0.06327,0.1096,0.1655,0.2257,0.2904,0.3597,0.4334,0.5121,0.5945];
-const CIE_Y = [0.00200,0.00396,0.00800,0.01550,0.02800,0.04500,0.06000,0.07390,0.09098,0.11290,0.13902,0.16930,0.20802,0.25860,0.32306,0.40730,0.50300,0.60820,0.71000,0.79320,0.86200,0.91485,0.95400,0.98030,0.99495,1.00000,0.99500,0.97860,0.95200,0.91540,0.87000];
-const CIE_Z = [0.08560,0.20910,0.47860,0.95600,1.76211,2.27200,2.60700,2.84500,2.96100,2.89500,2.60400,2.15200,1.64400,1.21200,0.86500,0.56320,0.35490,0.21420,0.12120,0.06882,0.03748,0.02160,0.01200,0.00680,0.00380,0.00210,0.00110,0.00060,0.00030,0.00020,0.00010];
+const CIE_X = [0.01431,0.04351,0.13438,0.2839,0.34828,0.3362,0.2908,0.19536,0.09564,0.03201,0.0049,0.0093,0.06327,0.1655,0.2904,0.43345,0.5945,0.7621,0.9163,1.0263,1.0622,1.0026,0.85445,0.6424,0.4479,0.2835,0.1649,0.0874,0.04677,0.0227,0.011359];
+const CIE_Y = [0.000396,0.00121,0.004,0.0116,0.023,0.038,0.06,0.09098,0.13902,0.20802,0.323,0.503,0.71,0.862,0.954,0.99495,0.995,0.952,0.87,0.757,0.631,0.503,0.381,0.265,0.175,0.107,0.061,0.032,0.017,0.00821,0.004102];
+const CIE_Z = [0.06785,0.2074,0.6456,1.3856,1.74706,1.77211,1.6692,1.28764,0.81295,0.46518,0.272,0.1582,0.07825,0.04216,0.0203,0.00875,0.0039,0.0021,0.00165,0.0011,0.0008,0.00034,0.00019,0.00005,0.00002,0,0,0,0,0,0];
 
 // D65 illuminant SPD, 400–700nm at 10nm (normalised)
 const D65 = [82.75,91.49,93.43,86.68,104.87,117.01,117.81,114.86,115.92,108.81,109.35,107.80,104.79,107.69,104.41,104.05,100.00,96.33,95.79,88.68,90.01,89.59,87.70,83.29,83.70,80.03,80.21,82.28,78.28,69.72,71.61];
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Illuminants, 400–700nm at 10nm
+// D50 from CIE 15:2004. F2 and F11 are the CIE 5nm tables integrated into
+// 10nm bands (triangular weights) so their mercury lines keep their energy.
+// A is CIE's Planckian formula at 2856K. There is no single warm-white LED, so
+// that one is modelled: a 450nm blue pump under a broad phosphor, about 3000K.
+// Colours under any of them are adapted (Bradford) to the display's D65 white,
+// as an eye settled under that light would see them.
+// ─────────────────────────────────────────────────────────────────────────────
+const WAVELENGTHS = Array.from({ length: 31 }, (_, i) => 400 + i * 10);
+const D50 = [49.31,56.51,60.03,57.82,74.82,87.25,90.61,91.37,95.11,91.96,95.72,96.61,97.13,102.10,100.75,102.32,100.00,97.74,98.92,93.50,97.69,99.27,99.04,95.72,98.86,95.67,98.19,103.00,99.13,87.38,91.60];
+const F2 = [6.18,6.78,4.19,12.43,16.22,6.62,7.18,7.53,7.64,7.58,7.29,7.07,7.21,8.11,13.45,18.19,16.12,19.07,21.59,18.59,16.51,13.79,10.98,8.44,6.34,4.70,3.47,2.56,1.90,1.49,1.11];
+const F11 = [3.91,4.41,2.51,11.56,16.29,7.11,6.67,5.46,7.60,13.29,5.19,1.59,0.93,2.02,39.23,36.40,3.79,2.43,10.44,12.49,8.53,40.71,20.52,10.70,2.90,3.13,2.53,1.64,1.55,1.78,1.34];
+const ILLUMINANT_A = WAVELENGTHS.map(nm =>
+  100 * (560 / nm) ** 5 * (Math.exp(1.435e7 / (2848 * 560)) - 1) / (Math.exp(1.435e7 / (2848 * nm)) - 1)
+);
+const WARM_LED = WAVELENGTHS.map(nm =>
+  0.5 * Math.exp(-0.5 * ((nm - 450) / 10) ** 2) + Math.exp(-0.5 * ((nm - 595) / 55) ** 2)
+);
+
+// Display white (sRGB, D65) that every illuminant is adapted to
+const SRGB_WHITE = { X: 0.95047, Y: 1, Z: 1.08883 };
+
+export const ILLUMINANTS = [
+  { id: 'D65', label: 'Daylight',      description: 'CIE D65, north-sky daylight',         spd: D65 },
+  { id: 'D50', label: 'Warm daylight', description: 'CIE D50, print viewing booths',       spd: D50 },
+  { id: 'A',   label: 'Tungsten',      description: 'CIE A, incandescent bulb at 2856K',   spd: ILLUMINANT_A },
+  { id: 'F2',  label: 'Cool white',    description: 'CIE F2, cool white fluorescent tube', spd: F2 },
+  { id: 'F11', label: 'Tri-band',      description: 'CIE F11, narrow-band fluorescent',    spd: F11 },
+  { id: 'LED', label: 'Warm LED',      description: 'Generic warm-white LED, ~3000K',      spd: WARM_LED },
+].map(illuminant => {
+  // Reflectance → XYZ weight rows (Y = 1 for a perfect white) and the white
+  const norm = CIE_Y.reduce((sum, y, i) => sum + y * illuminant.spd[i], 0);
+  const weights = [CIE_X, CIE_Y, CIE_Z].map(cmf => cmf.map((v, i) => v * illuminant.spd[i] / norm));
+  const [X, Y, Z] = weights.map(row => row.reduce((a, b) => a + b, 0));
+  return { ...illuminant, weights, white: { X, Y, Z } };
+});
+
+// Bradford cone response and its inverse
+const BRADFORD = [
+  [0.8951, 0.2664, -0.1614],
+  [-0.7502, 1.7135, 0.0367],
+  [0.0389, -0.0685, 1.0296],
+];
+const BRADFORD_INV = [
+  [0.9869929, -0.1470543, 0.1599627],
+  [0.4323053, 0.5183603, 0.0492912],
+  [-0.0085287, 0.0400428, 0.9684867],
+];
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Paint database
 // Each entry has:
 //   id, name, brand, pigmentCode, medium ('watercolor'|'oil'|'acrylic'|'gouache')
 //   hex  : approximate swatch hex
-//   ks   : array of 31 K/S values (400–700nm, 10nm steps)
+//   ks   : array of 31 masstone K/S values (400–700nm, 10nm steps)
 //   opacity: 0 (transparent) → 1 (opaque)
+//   k, s : arrays of 31 absorption and scattering values
 //
-// K/S values derived from published spectral reflectance data using:
-//   K/S = (1 - R)² / (2R)
+// K/S = (1 - R)² / (2R) of a reflectance curve with the features of the
+// pigment's published spectrum - the sharp edges of the cadmiums and pyrroles,
+// the far-red rise of phthalo, ultramarine and cobalt blues and of dioxazine,
+// the red shoulder of sap and chromium oxide green - scaled so that the
+// masstone renders the swatch hex under D65. Those features are what let two
+// mixes that match in daylight part under another light.
+// Entries without measured k and s get them from ks and opacity: S from the
+// opacity rating, then K fitted so that a DEFAULT_THICKNESS film over the
+// white ground reproduces the swatch. Over any other ground, or thinned with
+// white, opaque and transparent paints with the same swatch then part ways.
 // ─────────────────────────────────────────────────────────────────────────────
+
+// Grounds a paint film can sit on: 31-band reflectance, plus an approximate
+// swatch hex for display. Cream and toned papers absorb toward the blue end.
+export const SUBSTRATES = [
+  { id: 'white', label: 'White paper', hex: '#F4F4F0', reflectance: new Array(31).fill(0.88) },
+  { id: 'cream', label: 'Cream paper', hex: '#EFE6CF', reflectance: paperSpectrum(0.62, 0.86) },
+  { id: 'toned', label: 'Toned paper', hex: '#B5A88E', reflectance: paperSpectrum(0.28, 0.46) },
+  { id: 'black', label: 'Black ground', hex: '#141414', reflectance: new Array(31).fill(0.04) },
+];
+
+// Film thickness, in the units S is expressed in, when none is given
+export const DEFAULT_THICKNESS = 1;
+
+// Film thicknesses tried when searching for glaze recipes
+const GLAZE_THICKNESSES = [0.25, 0.5, 1, 2];
+
+// Scattering of a fully opaque paint; it falls with the cube of the opacity
+// rating so that glazes let the ground through
+const SCATTER_OPAQUE = 10;
+const SCATTER_MIN = 0.02;
+
 export const PAINT_DATABASE = [
   // ── WHITES ────────────────────────────────────────────────────────────────
   {
@@ -53,7 +141,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#F8F8F5',
     opacity: 1.0,
-    ks: [0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003,0.003],
+    ks: [0.0837,0.0333,0.0094,0.00464,0.00365,0.00329,0.00306,0.00287,0.00271,0.00257,0.00245,0.00235,0.00226,0.00219,0.00212,0.00207,0.00203,0.002,0.00197,0.00196,0.00195,0.00196,0.00197,0.00199,0.00203,0.00207,0.00212,0.00218,0.00226,0.00234,0.00245],
   },
   {
     id: 'zinc-white',
@@ -63,7 +151,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#EFEFE8',
     opacity: 0.5,
-    ks: [0.012,0.012,0.011,0.011,0.010,0.010,0.010,0.010,0.010,0.010,0.010,0.010,0.010,0.010,0.010,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009,0.009],
+    ks: [0.134,0.0578,0.0332,0.0269,0.0237,0.0212,0.0192,0.0175,0.016,0.0148,0.0138,0.013,0.0123,0.0117,0.0113,0.011,0.0107,0.0105,0.0104,0.0104,0.0105,0.0107,0.0109,0.0113,0.0117,0.0123,0.013,0.0138,0.0148,0.016,0.0174],
   },
   // ── BLACKS ────────────────────────────────────────────────────────────────
   {
@@ -74,7 +162,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#1C1A18',
     opacity: 1.0,
-    ks: [18.5,18.2,17.8,17.5,17.0,16.5,16.0,15.5,15.0,14.5,14.0,13.5,13.0,12.5,12.0,11.5,11.0,10.5,10.0,9.5,9.2,9.0,8.8,8.7,8.6,8.5,8.5,8.5,8.4,8.4,8.3],
+    ks: [55,54.7,54.4,54,53.6,53.1,52.6,52.1,51.5,50.9,50.3,49.6,48.9,48.2,47.6,46.9,46.3,45.7,45.1,44.6,44.1,43.6,43.2,42.9,42.5,42.2,42,41.8,41.6,41.4,41.3],
   },
   {
     id: 'carbon-black',
@@ -84,7 +172,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#111111',
     opacity: 1.0,
-    ks: [22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0,22.0],
+    ks: [88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2,88.2],
   },
   // ── YELLOWS ───────────────────────────────────────────────────────────────
   {
@@ -95,7 +183,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#F5C842',
     opacity: 1.0,
-    ks: [12.0,11.5,10.8,9.5,7.8,5.6,3.2,1.5,0.6,0.25,0.12,0.07,0.05,0.04,0.04,0.04,0.04,0.04,0.04,0.04,0.04,0.04,0.05,0.05,0.06,0.07,0.08,0.10,0.12,0.15,0.18],
+    ks: [3.37,3.37,3.37,3.37,3.37,3.36,3.33,3.27,3.1,2.72,2.02,1.16,0.515,0.203,0.0922,0.0564,0.0445,0.0404,0.0389,0.0383,0.0381,0.0381,0.038,0.038,0.038,0.038,0.038,0.038,0.038,0.038,0.038],
   },
   {
     id: 'hansa-yellow-medium',
@@ -105,7 +193,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#F2C93C',
     opacity: 0.6,
-    ks: [10.5,10.0,9.2,7.8,5.5,3.5,1.8,0.7,0.28,0.12,0.07,0.05,0.04,0.04,0.04,0.04,0.04,0.04,0.04,0.04,0.04,0.05,0.06,0.07,0.08,0.10,0.12,0.15,0.18,0.22,0.26],
+    ks: [2.4,2.89,3.72,3.99,3.99,3.95,3.84,3.61,3.17,2.47,1.61,0.866,0.407,0.188,0.0993,0.0649,0.0513,0.0457,0.0433,0.0423,0.0419,0.0417,0.0416,0.0415,0.0415,0.0415,0.0415,0.0415,0.0415,0.0415,0.0415],
   },
   {
     id: 'yellow-ochre',
@@ -115,7 +203,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#C8952A',
     opacity: 0.85,
-    ks: [8.0,7.5,6.8,5.5,3.9,2.5,1.4,0.7,0.3,0.15,0.09,0.07,0.06,0.06,0.06,0.07,0.08,0.09,0.10,0.12,0.15,0.18,0.22,0.28,0.35,0.42,0.50,0.58,0.65,0.70,0.73],
+    ks: [15.5,15,14.2,13.1,11.6,9.72,7.7,5.83,4.33,3.25,2.47,1.9,1.46,1.12,0.855,0.662,0.524,0.429,0.363,0.319,0.29,0.27,0.257,0.248,0.242,0.238,0.236,0.234,0.233,0.232,0.232],
   },
   {
     id: 'naples-yellow',
@@ -125,7 +213,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#E8D28A',
     opacity: 1.0,
-    ks: [5.0,4.5,3.8,2.8,1.6,0.9,0.5,0.3,0.18,0.12,0.09,0.07,0.06,0.06,0.06,0.06,0.06,0.06,0.07,0.07,0.08,0.09,0.10,0.12,0.14,0.16,0.19,0.22,0.26,0.30,0.34],
+    ks: [1.26,1.23,1.18,1.12,1.04,0.937,0.814,0.68,0.543,0.417,0.311,0.227,0.166,0.124,0.0955,0.0768,0.0646,0.0567,0.0514,0.048,0.0457,0.0442,0.0432,0.0425,0.0421,0.0418,0.0416,0.0414,0.0413,0.0413,0.0412],
   },
   {
     id: 'indian-yellow',
@@ -135,7 +223,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#E8A820',
     opacity: 0.4,
-    ks: [11.0,10.5,9.5,7.8,5.5,3.2,1.5,0.55,0.18,0.07,0.05,0.04,0.04,0.04,0.04,0.05,0.05,0.06,0.07,0.09,0.11,0.14,0.17,0.21,0.26,0.31,0.36,0.41,0.45,0.49,0.52],
+    ks: [6.94,6.93,6.93,6.93,6.91,6.88,6.8,6.64,6.29,5.6,4.47,3.04,1.74,0.876,0.432,0.237,0.157,0.125,0.111,0.105,0.103,0.102,0.101,0.101,0.101,0.101,0.101,0.101,0.101,0.101,0.101],
   },
   // ── ORANGES ───────────────────────────────────────────────────────────────
   {
@@ -146,7 +234,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#E86010',
     opacity: 1.0,
-    ks: [14.0,13.5,12.8,11.5,9.5,7.0,4.2,2.0,0.8,0.3,0.12,0.07,0.05,0.05,0.05,0.06,0.07,0.08,0.10,0.12,0.15,0.19,0.24,0.30,0.37,0.44,0.50,0.56,0.60,0.63,0.65],
+    ks: [15,15,15,15,15,15,15,15,15,15,14.9,14.7,14,12.4,9.16,5.06,2.1,0.747,0.288,0.153,0.113,0.1,0.0962,0.0949,0.0945,0.0943,0.0943,0.0943,0.0943,0.0943,0.0943],
   },
   {
     id: 'pyrrole-orange',
@@ -156,7 +244,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#E85520',
     opacity: 0.95,
-    ks: [15.5,15.0,14.0,12.5,10.0,7.2,4.0,1.8,0.65,0.22,0.09,0.05,0.05,0.05,0.06,0.07,0.09,0.11,0.14,0.18,0.23,0.29,0.36,0.42,0.48,0.53,0.58,0.62,0.65,0.67,0.68],
+    ks: [12.7,12.7,12.7,12.7,12.7,12.7,12.7,12.7,12.7,12.7,12.6,12.6,12.3,11.7,10,6.97,3.58,1.39,0.476,0.186,0.104,0.0798,0.0723,0.0699,0.0691,0.0688,0.0688,0.0687,0.0687,0.0687,0.0687],
   },
   {
     id: 'burnt-sienna',
@@ -166,7 +254,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#AA4818',
     opacity: 0.8,
-    ks: [7.0,6.5,5.8,4.8,3.5,2.3,1.3,0.7,0.35,0.18,0.10,0.08,0.07,0.08,0.09,0.11,0.14,0.18,0.23,0.28,0.33,0.38,0.42,0.45,0.48,0.50,0.51,0.52,0.52,0.52,0.52],
+    ks: [25.9,25.6,25.3,24.8,24.2,23.4,22.3,21,19.4,17.5,15.5,13.3,11,8.95,7.06,5.44,4.1,3.04,2.22,1.6,1.14,0.817,0.585,0.423,0.312,0.236,0.185,0.15,0.126,0.109,0.0981],
   },
   {
     id: 'raw-sienna',
@@ -176,7 +264,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#C87830',
     opacity: 0.75,
-    ks: [5.5,5.0,4.4,3.5,2.3,1.4,0.75,0.38,0.18,0.10,0.07,0.06,0.06,0.07,0.08,0.10,0.13,0.16,0.20,0.25,0.31,0.37,0.43,0.48,0.52,0.55,0.57,0.58,0.59,0.59,0.59],
+    ks: [10.3,10.2,9.96,9.67,9.29,8.81,8.22,7.51,6.71,5.83,4.93,4.05,3.24,2.53,1.94,1.47,1.1,0.824,0.622,0.477,0.374,0.302,0.252,0.217,0.192,0.175,0.163,0.154,0.148,0.144,0.141],
   },
   // ── REDS ──────────────────────────────────────────────────────────────────
   {
@@ -187,7 +275,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#C82020',
     opacity: 1.0,
-    ks: [13.0,12.5,11.5,9.5,7.0,4.5,2.5,1.2,0.5,0.2,0.09,0.06,0.05,0.05,0.06,0.08,0.11,0.16,0.22,0.30,0.40,0.52,0.63,0.72,0.78,0.82,0.84,0.85,0.85,0.85,0.84],
+    ks: [19.5,19.5,19.5,19.5,19.5,19.5,19.5,19.5,19.5,19.5,19.5,19.5,19.5,19.3,18.9,17.7,14.8,9.92,4.87,1.84,0.611,0.22,0.111,0.0795,0.07,0.0669,0.0659,0.0656,0.0655,0.0654,0.0654],
   },
   {
     id: 'pyrrole-red',
@@ -197,7 +285,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#C81818',
     opacity: 0.95,
-    ks: [14.5,14.0,13.0,11.0,8.2,5.2,2.8,1.2,0.45,0.18,0.08,0.06,0.05,0.06,0.07,0.10,0.15,0.22,0.32,0.44,0.57,0.68,0.76,0.81,0.84,0.85,0.85,0.85,0.84,0.83,0.82],
+    ks: [25.1,25.1,25.1,25.1,25.1,25.1,25.1,25.1,25.1,25.1,25.1,25.1,25.1,25,24.6,23.3,19.6,12.7,5.6,1.83,0.537,0.195,0.112,0.0906,0.0848,0.0831,0.0827,0.0825,0.0825,0.0825,0.0825],
   },
   {
     id: 'quinacridone-red',
@@ -207,7 +295,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#D02858',
     opacity: 0.5,
-    ks: [12.0,11.5,10.5,8.8,6.5,4.0,2.0,0.85,0.3,0.12,0.06,0.05,0.05,0.06,0.09,0.15,0.24,0.36,0.52,0.68,0.80,0.89,0.93,0.93,0.88,0.78,0.62,0.45,0.31,0.22,0.18],
+    ks: [2.34,1.84,1.69,1.84,2.34,3.43,5.68,10.7,23.8,77.8,166,166,166,166,82.7,21.8,8.02,3.23,1.36,0.618,0.328,0.215,0.17,0.151,0.143,0.139,0.138,0.137,0.137,0.137,0.137],
   },
   {
     id: 'alizarin-crimson',
@@ -217,7 +305,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#8C1820',
     opacity: 0.7,
-    ks: [9.0,8.8,8.5,7.8,6.5,5.0,3.5,2.2,1.3,0.75,0.42,0.25,0.16,0.12,0.11,0.13,0.18,0.27,0.40,0.56,0.70,0.81,0.87,0.88,0.83,0.72,0.55,0.38,0.25,0.17,0.13],
+    ks: [14,10.1,9.16,10.1,14,27,166,166,166,166,166,166,166,166,166,166,31.7,9.58,4.55,2.65,1.81,1.41,1.22,1.12,1.07,1.05,1.03,1.03,1.02,1.02,1.02],
   },
   {
     id: 'burnt-umber',
@@ -227,7 +315,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#582810',
     opacity: 0.9,
-    ks: [6.5,6.0,5.5,4.8,3.8,2.8,1.9,1.2,0.75,0.45,0.28,0.18,0.13,0.11,0.11,0.13,0.16,0.21,0.27,0.33,0.38,0.42,0.44,0.45,0.45,0.44,0.43,0.41,0.39,0.38,0.36],
+    ks: [81.1,78.2,74.8,71.1,67.1,62.7,58.1,53.3,48.4,43.5,38.7,34.1,29.7,25.7,22.1,18.8,15.9,13.4,11.2,9.26,7.65,6.3,5.15,4.2,3.41,2.75,2.21,1.77,1.4,1.11,0.87],
   },
   {
     id: 'raw-umber',
@@ -237,7 +325,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#705028',
     opacity: 0.9,
-    ks: [4.5,4.2,3.8,3.2,2.5,1.8,1.2,0.75,0.45,0.28,0.18,0.14,0.12,0.12,0.13,0.15,0.18,0.22,0.27,0.32,0.36,0.39,0.41,0.42,0.42,0.41,0.40,0.38,0.36,0.34,0.32],
+    ks: [33.8,29.8,26.2,23,20.2,17.6,15.4,13.4,11.7,10.2,8.96,7.86,6.92,6.11,5.42,4.82,4.32,3.89,3.53,3.22,2.95,2.73,2.54,2.38,2.25,2.13,2.04,1.95,1.88,1.83,1.78],
   },
   // ── VIOLETS / MAGENTAS ────────────────────────────────────────────────────
   {
@@ -248,7 +336,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#400878',
     opacity: 0.95,
-    ks: [3.5,3.2,2.8,2.2,1.6,1.0,0.6,0.3,0.15,0.09,0.07,0.08,0.12,0.20,0.32,0.48,0.64,0.76,0.82,0.80,0.70,0.55,0.38,0.24,0.14,0.09,0.07,0.06,0.06,0.06,0.06],
+    ks: [0.954,0.76,0.73,0.854,1.18,1.82,3.01,5.12,8.59,13.4,18.5,22.1,24,24.7,25,25,25,25,24.9,24.6,24.1,22.9,20.6,16.7,11.6,6.76,3.42,1.59,0.726,0.362,0.216],
   },
   {
     id: 'quinacridone-violet',
@@ -258,7 +346,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#882060',
     opacity: 0.45,
-    ks: [5.0,4.8,4.4,3.8,3.0,2.2,1.5,0.9,0.5,0.28,0.16,0.12,0.14,0.22,0.38,0.58,0.75,0.86,0.88,0.80,0.65,0.46,0.28,0.16,0.09,0.06,0.05,0.05,0.05,0.06,0.07],
+    ks: [166,63,16.3,7.96,4.83,3.37,2.66,2.38,2.43,2.82,3.71,5.52,9.5,20.6,91.5,166,166,166,34.8,10,4.12,1.92,0.966,0.537,0.34,0.247,0.203,0.181,0.17,0.165,0.162],
   },
   {
     id: 'ultramarine-violet',
@@ -268,7 +356,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#503888',
     opacity: 0.7,
-    ks: [4.0,3.7,3.3,2.6,1.9,1.2,0.7,0.38,0.20,0.12,0.09,0.10,0.15,0.26,0.42,0.60,0.74,0.82,0.82,0.74,0.60,0.44,0.28,0.16,0.10,0.07,0.06,0.06,0.07,0.08,0.09],
+    ks: [4.1,2.77,1.94,1.45,1.18,1.07,1.1,1.28,1.64,2.27,3.29,4.87,7.12,9.89,12.5,14.3,14.6,13.8,12.3,10.4,8.5,6.68,5.11,3.83,2.85,2.13,1.62,1.26,1.02,0.855,0.745],
   },
   // ── BLUES ─────────────────────────────────────────────────────────────────
   {
@@ -279,7 +367,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#183050',
     opacity: 0.98,
-    ks: [2.5,2.2,1.8,1.3,0.85,0.52,0.30,0.18,0.12,0.10,0.12,0.20,0.35,0.56,0.74,0.84,0.85,0.76,0.60,0.42,0.27,0.17,0.11,0.08,0.07,0.07,0.08,0.09,0.10,0.12,0.14],
+    ks: [15.6,12.3,9.51,7.48,6.11,5.28,4.89,4.87,5.24,6.03,7.36,9.34,12,15.3,18.8,21.8,23.9,25.2,25.9,26.1,26.3,26.3,26.2,26,25.4,24,20.9,15.6,9.42,4.89,2.56],
   },
   {
     id: 'phthalo-blue-rs',
@@ -289,7 +377,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#101840',
     opacity: 0.95,
-    ks: [2.8,2.5,2.0,1.5,0.95,0.58,0.32,0.19,0.13,0.11,0.13,0.23,0.42,0.65,0.81,0.87,0.83,0.70,0.53,0.36,0.23,0.15,0.10,0.08,0.08,0.08,0.09,0.10,0.12,0.14,0.16],
+    ks: [30.5,21.4,15.2,11.4,9.19,8.19,8.11,8.94,10.9,14.4,20.1,28.7,39.8,50.9,59.2,63.8,65.8,66.6,66.8,66.8,66.8,66.7,66.5,65.9,64.2,60.1,51.3,36.8,21.2,10.4,5.07],
   },
   {
     id: 'ultramarine-blue',
@@ -299,7 +387,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#203860',
     opacity: 0.85,
-    ks: [3.8,3.5,3.0,2.3,1.6,1.0,0.58,0.32,0.18,0.12,0.10,0.12,0.20,0.36,0.56,0.72,0.80,0.78,0.65,0.48,0.32,0.20,0.13,0.09,0.08,0.08,0.09,0.10,0.12,0.15,0.18],
+    ks: [26.1,16,10.1,6.63,4.65,3.52,2.9,2.63,2.65,2.96,3.63,4.86,6.95,10.5,16.3,25.1,35.5,42.4,41.6,35,26.9,19.7,14.1,9.95,6.99,4.92,3.5,2.53,1.88,1.45,1.16],
   },
   {
     id: 'cerulean-blue',
@@ -309,7 +397,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#407898',
     opacity: 0.7,
-    ks: [6.0,5.5,4.8,3.8,2.6,1.6,0.88,0.46,0.24,0.14,0.10,0.10,0.14,0.26,0.44,0.62,0.73,0.74,0.65,0.50,0.36,0.24,0.16,0.12,0.10,0.10,0.11,0.12,0.14,0.16,0.18],
+    ks: [1.8,1.49,1.23,1.03,0.882,0.783,0.727,0.71,0.733,0.796,0.903,1.06,1.27,1.54,1.86,2.22,2.61,2.98,3.31,3.59,3.79,3.93,4.02,4.07,4.11,4.12,4.13,4.14,4.14,4.14,4.14],
   },
   {
     id: 'prussian-blue',
@@ -319,7 +407,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#102830',
     opacity: 0.95,
-    ks: [4.2,3.8,3.2,2.4,1.6,0.95,0.52,0.27,0.14,0.09,0.08,0.11,0.22,0.42,0.64,0.78,0.78,0.65,0.47,0.30,0.18,0.12,0.09,0.08,0.08,0.10,0.12,0.15,0.18,0.21,0.24],
+    ks: [36.7,32.2,27.5,23.2,19.6,16.8,14.9,13.7,13.2,13.3,14,15.4,17.6,20.7,24.5,29,33.6,37.8,41.1,43.1,44,43.9,42.9,41,38.1,34.2,29.6,24.6,20,16.1,13.1],
   },
   {
     id: 'indigo',
@@ -329,7 +417,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#181830',
     opacity: 0.9,
-    ks: [3.2,3.0,2.6,2.0,1.4,0.85,0.48,0.26,0.14,0.09,0.08,0.10,0.17,0.32,0.52,0.68,0.74,0.70,0.56,0.40,0.26,0.17,0.12,0.09,0.09,0.10,0.12,0.14,0.17,0.20,0.23],
+    ks: [21.2,18.4,16.5,15.5,15.2,15.6,16.9,18.9,22,26.1,31.3,37.1,43,48.1,52.1,54.7,56.2,57,57.3,57.2,56.9,56.1,54.7,52,47.5,40.9,32.3,23.5,16,10.8,7.58],
   },
   {
     id: 'cobalt-blue',
@@ -339,7 +427,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#285888',
     opacity: 0.75,
-    ks: [5.5,5.0,4.3,3.3,2.2,1.3,0.72,0.38,0.21,0.14,0.12,0.15,0.26,0.45,0.64,0.76,0.78,0.70,0.54,0.38,0.25,0.17,0.12,0.10,0.10,0.11,0.13,0.15,0.17,0.20,0.23],
+    ks: [4.99,3.79,2.78,2.02,1.51,1.19,1.02,0.968,1.03,1.22,1.57,2.12,2.92,3.97,5.18,6.35,7.28,7.87,8.18,8.3,8.3,8.21,7.99,7.6,6.93,5.94,4.68,3.39,2.31,1.57,1.12],
   },
   // ── GREENS ────────────────────────────────────────────────────────────────
   {
@@ -350,7 +438,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#083820',
     opacity: 0.98,
-    ks: [3.0,2.7,2.3,1.7,1.1,0.62,0.32,0.16,0.10,0.08,0.10,0.18,0.35,0.58,0.76,0.82,0.76,0.58,0.38,0.22,0.13,0.09,0.08,0.08,0.09,0.11,0.13,0.16,0.19,0.22,0.25],
+    ks: [42.1,42,41.8,41.2,39.8,36.8,32,26,20.2,15.5,12.3,10.4,9.49,9.51,10.4,12.4,15.7,20.4,26.3,32.2,36.9,39.8,41.1,41.3,40.7,38.6,33.9,25.4,15.4,7.77,3.77],
   },
   {
     id: 'sap-green',
@@ -360,7 +448,7 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#385820',
     opacity: 0.8,
-    ks: [5.5,5.0,4.3,3.3,2.2,1.3,0.68,0.32,0.14,0.08,0.07,0.10,0.20,0.38,0.58,0.70,0.68,0.52,0.34,0.20,0.13,0.09,0.08,0.09,0.11,0.14,0.17,0.21,0.25,0.29,0.32],
+    ks: [27.8,27.8,27.6,27.4,26.7,25.4,23,19.6,15.6,11.8,8.73,6.53,5.06,4.15,3.66,3.51,3.66,4.14,5.04,6.5,8.68,11.7,15.3,18.6,20.2,18.9,14.7,9.45,5.21,2.68,1.41],
   },
   {
     id: 'viridian',
@@ -370,7 +458,7 @@ export const PAINT_DATABASE = [
     medium: 'watercolor',
     hex: '#204838',
     opacity: 0.65,
-    ks: [4.5,4.2,3.6,2.8,1.9,1.1,0.58,0.28,0.14,0.09,0.08,0.12,0.24,0.46,0.66,0.78,0.76,0.60,0.40,0.24,0.15,0.11,0.10,0.10,0.12,0.14,0.17,0.20,0.23,0.26,0.29],
+    ks: [21.3,20.5,19.1,17.3,15.1,12.8,10.7,8.88,7.5,6.53,5.92,5.62,5.63,5.93,6.55,7.52,8.89,10.6,12.7,14.8,16.5,17.5,17.6,16.7,14.9,12.6,10,7.64,5.67,4.2,3.17],
   },
   {
     id: 'chromium-oxide-green',
@@ -380,7 +468,7 @@ export const PAINT_DATABASE = [
     medium: 'acrylic',
     hex: '#506038',
     opacity: 0.9,
-    ks: [5.0,4.7,4.2,3.4,2.4,1.5,0.82,0.42,0.22,0.14,0.11,0.13,0.22,0.38,0.55,0.64,0.62,0.50,0.36,0.25,0.18,0.14,0.13,0.13,0.14,0.16,0.18,0.21,0.24,0.27,0.30],
+    ks: [11.2,11.2,11.2,11,10.8,10.5,9.84,8.98,7.91,6.76,5.66,4.72,3.98,3.45,3.11,2.95,2.96,3.12,3.46,3.99,4.72,5.6,6.54,7.3,7.54,7.01,5.74,4.16,2.75,1.76,1.16],
   },
   {
     id: 'terre-verte',
@@ -390,9 +478,9 @@ export const PAINT_DATABASE = [
     medium: 'oil',
     hex: '#607860',
     opacity: 0.6,
-    ks: [3.8,3.5,3.1,2.5,1.8,1.1,0.62,0.34,0.20,0.14,0.12,0.14,0.22,0.34,0.46,0.53,0.52,0.44,0.34,0.26,0.21,0.18,0.17,0.17,0.18,0.20,0.22,0.24,0.27,0.29,0.32],
+    ks: [5.14,4.84,4.49,4.11,3.71,3.33,2.97,2.65,2.37,2.15,1.97,1.84,1.76,1.73,1.73,1.78,1.87,2,2.17,2.38,2.61,2.85,3.07,3.24,3.34,3.36,3.29,3.15,2.98,2.8,2.63],
   },
-];
+].map(withTwoConstants);
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Kubelka-Munk core functions
@@ -418,48 +506,129 @@ export function reflectanceToKS(r) {
 }
 
 /**
- * Mix paint layers using KM two-flux theory.
+ * Reflectance of a paint film over a substrate (two-constant KM, one band).
+ * An infinite thickness gives the opaque R∞ of K/S.
+ *
+ * @param {number} k - Absorption
+ * @param {number} s - Scattering
+ * @param {number} thickness - Film thickness (Infinity for an opaque film)
+ * @param {number} rg - Substrate reflectance
+ */
+export function filmReflectance(k, s, thickness, rg) {
+  if (thickness <= 0) return rg;
+  if (!Number.isFinite(thickness)) return ksToReflectance(s > 0 ? k / s : 100);
+  // No scattering: light passes through the film and back (Beer–Lambert)
+  if (s <= 1e-9) return rg * Math.exp(-2 * k * thickness);
+
+  const a = 1 + k / s;
+  const b = Math.sqrt(a * a - 1);
+  const bSX = b * s * thickness;
+  // b·coth(bSX) tends to 1/(SX) as absorption vanishes
+  const bCoth = bSX < 1e-6 ? 1 / (s * thickness) : b / Math.tanh(bSX);
+  const r = (1 - rg * (a - bCoth)) / (a - rg + bCoth);
+  return Math.max(0, Math.min(1, r));
+}
+
+/**
+ * Mix the absorption and scattering spectra of paint layers.
  * Each paint: { paint: PaintEntry, concentration: 0–1 }
- * Returns a 31-band reflectance spectrum.
+ * Returns { k, s } as 31-band arrays, or null for an empty mix.
  */
-export function mixPaints(layers) {
+export function mixConstants(layers) {
   if (!layers || layers.length === 0) return null;
 
   const totalConc = layers.reduce((s, l) => s + l.concentration, 0);
   if (totalConc === 0) return null;
 
-  // Normalise concentrations
-  const normalised = layers.map(l => ({
-    paint: l.paint,
-    c: l.concentration / totalConc,
-  }));
-
-  // Combine K/S linearly (weighted by concentration) across all 31 bands
-  const mixedKS = new Array(31).fill(0);
-  for (const { paint, c } of normalised) {
+  // K and S combine independently, weighted by normalised concentration
+  const k = new Array(31).fill(0);
+  const s = new Array(31).fill(0);
+  for (const { paint, concentration } of layers) {
+    const c = concentration / totalConc;
     for (let i = 0; i < 31; i++) {
-      mixedKS[i] += c * paint.ks[i];
+      k[i] += c * paint.k[i];
+      s[i] += c * paint.s[i];
     }
   }
+  return { k, s };
+}
+
+/**
+ * Mix paint layers using two-constant KM theory and lay the mix down as a
+ * film over a substrate.
+ * Each paint: { paint: PaintEntry, concentration: 0–1 }
+ * Options: substrate (SUBSTRATES id or 31-band reflectance, default 'white'),
+ * thickness (default DEFAULT_THICKNESS; Infinity for the opaque masstone).
+ * Returns a 31-band reflectance spectrum.
+ */
+export function mixPaints(layers, options = {}) {
+  const { substrate = 'white', thickness = DEFAULT_THICKNESS } = options;
 
-  // Convert mixed K/S back to reflectance
-  return mixedKS.map(ks => ksToReflectance(ks));
+  const mixed = mixConstants(layers);
+  if (!mixed) return null;
+
+  const ground = substrateReflectance(substrate);
+  return mixed.k.map((k, i) => filmReflectance(k, mixed.s[i], thickness, ground[i]));
 }
 
 /**
- * Convert reflectance spectrum (31 bands, 400–700nm) to CIE XYZ under D65.
+ * Lay glazes one over another, first glaze first. Each glaze is a paint or a
+ * mix at a film thickness, and each sits on the stack beneath it as its
+ * substrate, so thin transparent washes let the earlier ones and the paper
+ * show through.
+ * Each glaze: { layers: [{ paint, concentration: 0–1 }], thickness }
+ * Options: substrate (SUBSTRATES id or 31-band reflectance, default 'white').
+ * Returns the 31-band reflectance after each glaze; the last is the finished
+ * stack. Glazes without paint are skipped.
  */
-export function reflectanceToXYZ(reflectance) {
-  let X = 0, Y = 0, Z = 0, N = 0;
-  for (let i = 0; i < 31; i++) {
-    const r = reflectance[i];
-    const d = D65[i];
-    X += r * CIE_X[i] * d;
-    Y += r * CIE_Y[i] * d;
-    Z += r * CIE_Z[i] * d;
-    N += CIE_Y[i] * d;
+export function glazePaints(glazes, options = {}) {
+  const { substrate = 'white' } = options;
+
+  const steps = [];
+  let below = substrateReflectance(substrate);
+  for (const { layers, thickness = DEFAULT_THICKNESS } of glazes) {
+    const reflectance = mixPaints(layers, { substrate: below, thickness });
+    if (!reflectance) continue;
+    steps.push(reflectance);
+    below = reflectance;
   }
-  return { X: X / N, Y: Y / N, Z: Z / N };
+  return steps;
+}
+
+/**
+ * Convert reflectance spectrum (31 bands, 400–700nm) to CIE XYZ under an
+ * illuminant (ILLUMINANTS id, default 'D65'), adapted to the display white.
+ */
+export function reflectanceToXYZ(reflectance, illuminant = 'D65') {
+  const { weights, white } = getIlluminant(illuminant);
+  const [X, Y, Z] = weights.map(row => row.reduce((sum, w, i) => sum + w * reflectance[i], 0));
+  return adaptXYZ({ X, Y, Z }, white, SRGB_WHITE);
+}
+
+/**
+ * Reflectance → display hex under an illuminant.
+ */
+export function reflectanceToHex(reflectance, illuminant = 'D65') {
+  return srgbToHex(xyzToSRGB(reflectanceToXYZ(reflectance, illuminant)));
+}
+
+/**
+ * Illuminant entry by id (D65 for unknown ids).
+ */
+export function getIlluminant(id) {
+  return ILLUMINANTS.find(il => il.id === id) || ILLUMINANTS[0];
+}
+
+/**
+ * Bradford chromatic adaptation of XYZ from one white to another.
+ */
+function adaptXYZ({ X, Y, Z }, fromWhite, toWhite) {
+  const cone = xyz => BRADFORD.map(row => row[0] * xyz.X + row[1] * xyz.Y + row[2] * xyz.Z);
+  const src = cone(fromWhite);
+  const dst = cone(toWhite);
+  const scaled = cone({ X, Y, Z }).map((v, i) => v * dst[i] / src[i]);
+  const [x, y, z] = BRADFORD_INV.map(row => row[0] * scaled[0] + row[1] * scaled[1] + row[2] * scaled[2]);
+  return { X: x, Y: y, Z: z };
 }
 
 /**
@@ -489,33 +658,104 @@ export function srgbToHex({ r, g, b }) {
 }
 
 /**
- * Hex → approximate K/S spectrum via reflectance.
- * Used to find the closest paint(s) to a given hex target.
- * (Approximation — treats hex as sRGB observed reflectance.)
+ * Hex → smooth 31-band reflectance (least-slope spectral upsampling).
+ * Of all reflectances between 0 and 1 whose colour under D65 is exactly the
+ * hex, this is the one with the smallest sum of squared band-to-band
+ * differences: no spikes, and flat for greys. Bands that would leave [0, 1]
+ * are pinned to the bound and the rest re-solved (Burns' ILLSS).
+ */
+export function hexToReflectance(hex) {
+  // Undo reflectanceToXYZ's adaptation, so that #ffffff is a perfect reflector
+  const { weights, white } = getIlluminant('D65');
+  const xyz = adaptXYZ(hexToXYZ(hex), SRGB_WHITE, white);
+  const target = [xyz.X, xyz.Y, xyz.Z];
+
+  const pinned = new Map();
+  let reflectance = null;
+  for (let pass = 0; pass <= 31; pass++) {
+    reflectance = leastSlopeReflectance(weights, target, pinned);
+    let clipped = false;
+    reflectance.forEach((r, i) => {
+      if (pinned.has(i)) return;
+      if (r < 0 || r > 1) {
+        pinned.set(i, r < 0 ? 0 : 1);
+        clipped = true;
+      }
+    });
+    if (!clipped) break;
+  }
+  return reflectance.map(r => Math.max(0, Math.min(1, r)));
+}
+
+/**
+ * Hex → K/S spectrum of its smooth reflectance (see hexToReflectance).
  */
 export function hexToKS(hex) {
-  const r = parseInt(hex.slice(1, 3), 16) / 255;
-  const g = parseInt(hex.slice(3, 5), 16) / 255;
-  const b = parseInt(hex.slice(5, 7), 16) / 255;
+  return hexToReflectance(hex).map(r => reflectanceToKS(r));
+}
 
-  // Reverse gamma
-  const linearize = v => v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
-  const rl = linearize(r), gl = linearize(g), bl = linearize(b);
+/**
+ * Least-slope reflectance whose colour through the weight rows T is `target`
+ * ([X, Y, Z]), with some bands pinned to fixed values: the KKT system of
+ *   min Σ (ρᵢ₊₁ - ρᵢ)²  subject to  Tρ = target,  ρⱼ = pinned(j)
+ */
+function leastSlopeReflectance(weights, target, pinned) {
+  const n = 31;
+  const constraints = [
+    ...weights.map((row, i) => ({ row, value: target[i] })),
+    ...[...pinned].map(([band, value]) => {
+      const row = new Array(n).fill(0);
+      row[band] = 1;
+      return { row, value };
+    }),
+  ];
+  const size = n + constraints.length;
+  const A = Array.from({ length: size }, () => new Array(size).fill(0));
+  const b = new Array(size).fill(0);
 
-  // Approximate a 31-band reflectance by interpolating from RGB channels
-  // (rough, but sufficient for finding nearest paints)
-  const spectrum = [];
-  for (let i = 0; i < 31; i++) {
-    const band = i / 30; // 0=400nm (blue end) → 1=700nm (red end)
-    // Weight toward the dominant channel based on wavelength
-    const bw = Math.max(0, 1 - Math.abs(band - 0.1) * 5);    // ~460nm
-    const gw = Math.max(0, 1 - Math.abs(band - 0.5) * 4);    // ~550nm
-    const rw = Math.max(0, 1 - Math.abs(band - 0.9) * 5);    // ~680nm
-    const total = bw + gw + rw || 1;
-    const ref = (rl * rw + gl * gw + bl * bw) / total;
-    spectrum.push(Math.max(0.01, Math.min(0.99, ref)));
+  // Gradient of the slope term: 2·DᵀD, D the first-difference operator
+  for (let i = 0; i < n - 1; i++) {
+    A[i][i] += 2;
+    A[i + 1][i + 1] += 2;
+    A[i][i + 1] -= 2;
+    A[i + 1][i] -= 2;
+  }
+  constraints.forEach(({ row, value }, k) => {
+    for (let i = 0; i < n; i++) {
+      A[n + k][i] = row[i];
+      A[i][n + k] = row[i];
+    }
+    b[n + k] = value;
+  });
+
+  return solveLinear(A, b).slice(0, n);
+}
+
+/**
+ * Solve Ax = b by Gaussian elimination with partial pivoting.
+ */
+function solveLinear(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      if (f === 0) continue;
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
   }
-  return spectrum.map(ref => reflectanceToKS(ref));
+  return x;
 }
 
 /**
@@ -533,20 +773,364 @@ function spectralDistance(a, b) {
   return d;
 }
 
+/**
+ * Reflectance spectrum of a substrate given as a SUBSTRATES id or an array.
+ */
+function substrateReflectance(substrate) {
+  if (Array.isArray(substrate)) return substrate;
+  return (SUBSTRATES.find(s => s.id === substrate) || SUBSTRATES[0]).reflectance;
+}
+
+/**
+ * Paper reflectance rising smoothly from `blue` at 400nm to `red` from
+ * about 600nm on.
+ */
+function paperSpectrum(blue, red) {
+  return Array.from({ length: 31 }, (_, i) => {
+    const t = Math.min(1, i / 20);
+    return blue + (red - blue) * t * (2 - t);
+  });
+}
+
+/**
+ * Give a database entry K and S spectra unless it already has them.
+ * S is flat and set by opacity; K is fitted band by band to the masstone.
+ */
+function withTwoConstants(paint) {
+  if (paint.k && paint.s) return paint;
+  const scatter = SCATTER_OPAQUE * Math.max(SCATTER_MIN, paint.opacity ** 3);
+  const s = new Array(31).fill(scatter);
+  const ground = substrateReflectance('white');
+  const k = paint.ks.map((ks, i) => fitAbsorption(ksToReflectance(ks), scatter, ground[i]));
+  return { ...paint, k, s };
+}
+
+/**
+ * Absorption that makes a DEFAULT_THICKNESS film with scattering s over a
+ * ground of reflectance rg reflect `target`. Reflectance falls as K rises,
+ * so bracket and bisect.
+ */
+function fitAbsorption(target, s, rg) {
+  const at = k => filmReflectance(k, s, DEFAULT_THICKNESS, rg);
+  if (at(0) <= target) return 0;
+
+  let lo = 0;
+  let hi = 1;
+  while (at(hi) > target && hi < 1e4) hi *= 2;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (at(mid) > target) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Recipe search
+// Concentrations live on the simplex (non-negative, summing to 1). Each
+// candidate combination is optimised by projected gradient descent on
+// matchError: OKLab ΔE² to the target plus a small spectral term, so that of
+// two mixes that look alike the one that also matches spectrally wins.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Weight of the mean squared spectral difference against ΔE²
+const SPECTRAL_WEIGHT = 0.1;
+
+// Candidate pruning: the closest paints on their own, plus what a mix needs
+// to reach the target - a lighter and a darker paint, and the nearest
+// chromatic paints on each side of the target hue
+const CLOSEST_PAINTS = 5;
+const HUE_NEIGHBOURS = 2;
+const MAX_CANDIDATES = 10;
+const MIN_HUE_CHROMA = 0.03;
+
+// Two-stage descent: a short run ranks every combination, a long one refines
+// the best few
+const COARSE_ITERATIONS = 12;
+const FINE_ITERATIONS = 150;
+const REFINED_COMBOS = 12;
+const GRADIENT_STEP = 1e-4;
+
+// XYZ (D65) → LMS and LMS' → OKLab
+const XYZ_TO_LMS = [
+  [0.8189330101, 0.3618667424, -0.1288597137],
+  [0.0329845436, 0.9293118715, 0.0361456387],
+  [0.0482003018, 0.2643662691, 0.6338517070],
+];
+const LMS_TO_OKLAB = [
+  [0.2104542553, 0.7936177850, -0.0040720468],
+  [1.9779984951, -2.4285922050, 0.4505937099],
+  [0.0259040371, 0.7827717662, -0.8086757660],
+];
+
+/**
+ * CIE XYZ (Y = 1 for white) → OKLab as [L, a, b].
+ */
+function xyzToOklab({ X, Y, Z }) {
+  const lms = XYZ_TO_LMS.map(row => Math.cbrt(row[0] * X + row[1] * Y + row[2] * Z));
+  return LMS_TO_OKLAB.map(row => row[0] * lms[0] + row[1] * lms[1] + row[2] * lms[2]);
+}
+
+/**
+ * sRGB hex → CIE XYZ (D65, Y = 1 for white).
+ */
+function hexToXYZ(hex) {
+  const linearize = v => v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  const [r, g, b] = [1, 3, 5].map(i => linearize(parseInt(hex.slice(i, i + 2), 16) / 255));
+  return {
+    X: 0.4124564 * r + 0.3575761 * g + 0.1804375 * b,
+    Y: 0.2126729 * r + 0.7151522 * g + 0.0721750 * b,
+    Z: 0.0193339 * r + 0.1191920 * g + 0.9503041 * b,
+  };
+}
+
+/**
+ * Search target for a hex colour: its OKLab and an estimated reflectance.
+ */
+function matchTarget(hex) {
+  return {
+    lab: xyzToOklab(hexToXYZ(hex)),
+    reflectance: hexToReflectance(hex),
+  };
+}
+
+/**
+ * OKLab ΔE between a reflectance under D65 and a matchTarget.
+ */
+function deltaEOk(target, reflectance) {
+  const lab = xyzToOklab(reflectanceToXYZ(reflectance));
+  return Math.hypot(lab[0] - target.lab[0], lab[1] - target.lab[1], lab[2] - target.lab[2]);
+}
+
+/**
+ * Error of a reflectance against a matchTarget: OKLab ΔE² plus the weighted
+ * mean squared spectral difference.
+ */
+function matchError(target, reflectance) {
+  return deltaEOk(target, reflectance) ** 2
+    + SPECTRAL_WEIGHT * spectralDistance(target.reflectance, reflectance) / 31;
+}
+
+/**
+ * Euclidean projection onto the probability simplex.
+ */
+function projectToSimplex(x) {
+  const sorted = [...x].sort((a, b) => b - a);
+  let sum = 0;
+  let theta = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    sum += sorted[i];
+    const t = (sum - 1) / (i + 1);
+    if (sorted[i] - t > 0) theta = t;
+  }
+  return x.map(v => Math.max(0, v - theta));
+}
+
+/**
+ * Projected gradient descent over concentrations, from an equal split.
+ * The step is taken along the normalised gradient; it grows while moves
+ * improve the error and halves when they do not.
+ * Returns { x, error }.
+ */
+function optimiseConcentrations(f, n, iterations, start = new Array(n).fill(1 / n)) {
+  let x = start;
+  let error = f(x);
+  if (n === 1) return { x, error };
+
+  let step = 0.25;
+  for (let iter = 0; iter < iterations && step > 1e-4; iter++) {
+    const gradient = x.map((_, i) => {
+      const probe = [...x];
+      probe[i] += GRADIENT_STEP;
+      return (f(probe) - error) / GRADIENT_STEP;
+    });
+    const scale = Math.max(...gradient.map(Math.abs));
+    if (scale === 0) break;
+
+    const next = projectToSimplex(x.map((v, i) => v - step * gradient[i] / scale));
+    const nextError = f(next);
+    if (nextError < error) {
+      x = next;
+      error = nextError;
+      step = Math.min(0.5, step * 1.5);
+    } else {
+      step /= 2;
+    }
+  }
+  return { x, error };
+}
+
+/**
+ * Paints worth combining for a target; see CLOSEST_PAINTS.
+ */
+function selectCandidates(pool, target, film) {
+  const scored = pool.map(paint => {
+    const reflectance = mixPaints([{ paint, concentration: 1 }], film);
+    return { paint, lab: xyzToOklab(reflectanceToXYZ(reflectance)), error: matchError(target, reflectance) };
+  }).sort((a, b) => a.error - b.error);
+
+  const picked = new Set(scored.slice(0, CLOSEST_PAINTS).map(s => s.paint));
+
+  // Something lighter and something darker, so lightness can be bracketed
+  const [tl, ta, tb] = target.lab;
+  const lighter = scored.filter(s => s.lab[0] > tl).sort((a, b) => b.lab[0] - a.lab[0])[0];
+  const darker = scored.filter(s => s.lab[0] < tl).sort((a, b) => a.lab[0] - b.lab[0])[0];
+  if (lighter) picked.add(lighter.paint);
+  if (darker) picked.add(darker.paint);
+
+  // The nearest chromatic paints on each side of the target hue
+  if (Math.hypot(ta, tb) >= MIN_HUE_CHROMA) {
+    const targetHue = Math.atan2(tb, ta);
+    const chromatic = scored
+      .filter(s => Math.hypot(s.lab[1], s.lab[2]) >= MIN_HUE_CHROMA)
+      .map(s => {
+        const d = Math.atan2(s.lab[2], s.lab[1]) - targetHue;
+        return { paint: s.paint, offset: Math.atan2(Math.sin(d), Math.cos(d)) };
+      });
+    for (const side of [1, -1]) {
+      chromatic
+        .filter(c => c.offset * side >= 0)
+        .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset))
+        .slice(0, HUE_NEIGHBOURS)
+        .forEach(c => picked.add(c.paint));
+    }
+  }
+
+  // Fill any room left with the next closest
+  for (const s of scored) {
+    if (picked.size >= MAX_CANDIDATES) break;
+    picked.add(s.paint);
+  }
+  return [...picked].slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * All k-element combinations of items, in order.
+ */
+function combinations(items, k) {
+  if (k === 0) return [[]];
+  const out = [];
+  items.forEach((item, i) => {
+    for (const rest of combinations(items.slice(i + 1), k - 1)) out.push([item, ...rest]);
+  });
+  return out;
+}
+
+/**
+ * Concentrations → whole percentages summing to 100 (largest remainder).
+ */
+function toPercentages(x) {
+  const raw = x.map(v => v * 100);
+  const whole = raw.map(Math.floor);
+  const order = raw.map((v, i) => [v - whole[i], i]).sort((a, b) => b[0] - a[0]);
+  for (let r = 100 - whole.reduce((s, v) => s + v, 0), k = 0; r > 0; r--, k++) whole[order[k][1]]++;
+  return whole;
+}
+
+/**
+ * Glaze-stack search behind findMixingRecipe: single glazes at a few film
+ * thicknesses, then ordered stacks of two (and three) of the closest paints.
+ * Order matters, so stacks are not deduplicated across orderings.
+ */
+function findGlazeRecipes(target, pool, { substrate, maxGlazes, topResults }) {
+  const results = [];
+  const tryStack = glazes => {
+    const steps = glazePaints(
+      glazes.map(g => ({ layers: [{ paint: g.paint, concentration: 1 }], thickness: g.thickness })),
+      { substrate }
+    );
+    const ref = steps[steps.length - 1];
+    results.push({
+      glazes,
+      distance: matchError(target, ref),
+      deltaE: deltaEOk(target, ref),
+      hex: srgbToHex(xyzToSRGB(reflectanceToXYZ(ref))),
+      reflectance: ref,
+    });
+  };
+
+  // 1. Single glazes, from a thin wash up to a double layer
+  for (const paint of pool) {
+    for (const thickness of GLAZE_THICKNESSES) tryStack([{ paint, thickness }]);
+  }
+
+  // Prune to the paints whose best single glaze came closest
+  const best = new Map();
+  for (const r of results) {
+    const id = r.glazes[0].paint.id;
+    if (!best.has(id) || r.distance < best.get(id).distance) best.set(id, r);
+  }
+  const candidates = [...best.values()]
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 8)
+    .map(r => r.glazes[0].paint);
+
+  // 2. Two glazes, each order
+  if (maxGlazes >= 2) {
+    for (const a of candidates) {
+      for (const b of candidates) {
+        if (a === b) continue;
+        for (const ta of GLAZE_THICKNESSES) {
+          for (const tb of GLAZE_THICKNESSES) {
+            tryStack([{ paint: a, thickness: ta }, { paint: b, thickness: tb }]);
+          }
+        }
+      }
+    }
+  }
+
+  // 3. Three glazes of medium strength from the closest few
+  if (maxGlazes >= 3) {
+    const top = candidates.slice(0, 5);
+    for (const a of top) {
+      for (const b of top) {
+        for (const c of top) {
+          if (a === b || b === c || a === c) continue;
+          tryStack([a, b, c].map(paint => ({ paint, thickness: 0.5 })));
+        }
+      }
+    }
+  }
+
+  // Final ranking on appearance alone
+  results.sort((a, b) => a.deltaE - b.deltaE);
+
+  const seen = new Set();
+  const unique = [];
+  for (const r of results) {
+    const key = r.glazes.map(g => g.paint.id).join('>');
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(r);
+    }
+    if (unique.length >= topResults) break;
+  }
+  return unique;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Public API
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Given a target hex colour, find the best 2–3 paint combination.
- * Returns an array of possible recipes, ordered by accuracy.
+ * Given a target hex colour, find the paint combinations (1 to maxPaints,
+ * at most 4) that come closest, with concentrations optimised continuously.
+ * Returns an array of possible recipes, ordered by OKLab ΔE to the target:
+ *   { paints: [{ paint, ratio (whole %) }], distance, deltaE, hex, reflectance }
+ * where distance is the search's spectral + OKLab error.
+ * With technique 'glaze' the recipes are stacks of single-paint glazes over
+ * the substrate instead: { glazes: [{ paint, thickness }], distance, deltaE, hex, reflectance }.
  */
 export function findMixingRecipe(targetHex, options = {}) {
   const {
     medium = null,       // filter by medium ('watercolor', 'oil', 'acrylic', 'gouache')
     maxPaints = 3,
     topResults = 3,
+    substrate = 'white',
+    thickness = DEFAULT_THICKNESS,
+    technique = 'mix',   // 'mix' | 'glaze'
   } = options;
+  const film = { substrate, thickness };
 
   const pool = medium
     ? PAINT_DATABASE.filter(p => p.medium === medium)
@@ -554,87 +1138,47 @@ export function findMixingRecipe(targetHex, options = {}) {
 
   if (pool.length === 0) return [];
 
-  const targetKS = hexToKS(targetHex);
-  const targetRef = targetKS.map(ks => ksToReflectance(ks));
+  const target = matchTarget(targetHex);
 
-  const results = [];
-
-  // 1. Try single-paint matches
-  for (const paint of pool) {
-    const paintRef = paint.ks.map(ks => ksToReflectance(ks));
-    const dist = spectralDistance(targetRef, paintRef);
-    results.push({
-      paints: [{ paint, ratio: 100 }],
-      distance: dist,
-      hex: srgbToHex(xyzToSRGB(reflectanceToXYZ(paintRef))),
-    });
+  if (technique === 'glaze') {
+    return findGlazeRecipes(target, pool, { substrate, maxGlazes: maxPaints, topResults });
   }
 
-  // 2. Try 2-paint mixes across candidate pairs
-  // Sort pool by distance to target for pruning
-  const scored = pool.map(p => {
-    const ref = p.ks.map(ks => ksToReflectance(ks));
-    return { paint: p, dist: spectralDistance(targetRef, ref) };
-  }).sort((a, b) => a.dist - b.dist);
-
-  const candidates = scored.slice(0, Math.min(12, scored.length));
-
-  for (let i = 0; i < candidates.length; i++) {
-    for (let j = i + 1; j < candidates.length; j++) {
-      // Try several ratio splits
-      for (const ratio of [0.2, 0.33, 0.5, 0.67, 0.8]) {
-        const layers = [
-          { paint: candidates[i].paint, concentration: ratio },
-          { paint: candidates[j].paint, concentration: 1 - ratio },
-        ];
-        const mixRef = mixPaints(layers);
-        if (!mixRef) continue;
-        const dist = spectralDistance(targetRef, mixRef);
-        const r1 = Math.round(ratio * 100);
-        const r2 = 100 - r1;
-        results.push({
-          paints: [
-            { paint: candidates[i].paint, ratio: r1 },
-            { paint: candidates[j].paint, ratio: r2 },
-          ],
-          distance: dist,
-          hex: srgbToHex(xyzToSRGB(reflectanceToXYZ(mixRef))),
-        });
-      }
-    }
-  }
+  const candidates = selectCandidates(pool, target, film);
+  const errorOf = paints => x =>
+    matchError(target, mixPaints(paints.map((paint, i) => ({ paint, concentration: x[i] })), film));
 
-  // 3. Try 3-paint mixes (top candidates only)
-  if (maxPaints >= 3 && candidates.length >= 3) {
-    for (let i = 0; i < Math.min(6, candidates.length); i++) {
-      for (let j = i + 1; j < Math.min(8, candidates.length); j++) {
-        for (let k = j + 1; k < Math.min(10, candidates.length); k++) {
-          const layers = [
-            { paint: candidates[i].paint, concentration: 0.5 },
-            { paint: candidates[j].paint, concentration: 0.3 },
-            { paint: candidates[k].paint, concentration: 0.2 },
-          ];
-          const mixRef = mixPaints(layers);
-          if (!mixRef) continue;
-          const dist = spectralDistance(targetRef, mixRef);
-          results.push({
-            paints: [
-              { paint: candidates[i].paint, ratio: 50 },
-              { paint: candidates[j].paint, ratio: 30 },
-              { paint: candidates[k].paint, ratio: 20 },
-            ],
-            distance: dist,
-            hex: srgbToHex(xyzToSRGB(reflectanceToXYZ(mixRef))),
-          });
-        }
-      }
+  // 1. Rank every combination with a short descent
+  const combos = [];
+  for (let n = 1; n <= Math.min(4, maxPaints, candidates.length); n++) {
+    for (const paints of combinations(candidates, n)) {
+      combos.push({ paints, ...optimiseConcentrations(errorOf(paints), n, COARSE_ITERATIONS) });
     }
   }
+  combos.sort((a, b) => a.error - b.error);
+
+  // 2. Refine the best, then round to whole percentages and re-score what
+  // will actually be mixed. Paints that round to 0% drop out.
+  const results = combos.slice(0, Math.max(REFINED_COMBOS, topResults)).map(combo => {
+    const { x } = optimiseConcentrations(errorOf(combo.paints), combo.paints.length, FINE_ITERATIONS, combo.x);
+    const paints = toPercentages(x)
+      .map((ratio, i) => ({ paint: combo.paints[i], ratio }))
+      .filter(p => p.ratio > 0)
+      .sort((a, b) => b.ratio - a.ratio);
+    const reflectance = mixPaints(paints.map(p => ({ paint: p.paint, concentration: p.ratio })), film);
+    return {
+      paints,
+      distance: matchError(target, reflectance),
+      deltaE: deltaEOk(target, reflectance),
+      hex: srgbToHex(xyzToSRGB(reflectanceToXYZ(reflectance))),
+      reflectance,
+    };
+  });
 
-  // Sort by distance and return unique by combo
-  results.sort((a, b) => a.distance - b.distance);
+  // The spectral term has done its job in the search; rank on appearance
+  results.sort((a, b) => a.deltaE - b.deltaE);
 
-  // Deduplicate by paint name combo
+  // Deduplicate by paint combo
   const seen = new Set();
   const unique = [];
   for (const r of results) {
@@ -652,9 +1196,10 @@ export function findMixingRecipe(targetHex, options = {}) {
 /**
  * Simulate the result of mixing paints at given concentrations.
  * layers: [{ paintId: string, concentration: number (0-100) }, ...]
+ * options: { substrate, thickness } as for mixPaints
  * Returns { hex, reflectance, xyz }
  */
-export function simulateMix(layers) {
+export function simulateMix(layers, options = {}) {
   const resolved = layers.map(l => ({
     paint: PAINT_DATABASE.find(p => p.id === l.paintId),
     concentration: l.concentration / 100,
@@ -662,7 +1207,7 @@ export function simulateMix(layers) {
 
   if (resolved.length === 0) return null;
 
-  const reflectance = mixPaints(resolved);
+  const reflectance = mixPaints(resolved, options);
   if (!reflectance) return null;
 
   const xyz = reflectanceToXYZ(reflectance);
@@ -672,6 +1217,88 @@ export function simulateMix(layers) {
   return { hex, reflectance, xyz, srgb };
 }
 
+/**
+ * Simulate glazes laid one over another, first glaze first.
+ * glazes: [{ paints: [{ paintId, concentration (0-100) }], thickness }, ...]
+ * options: { substrate } as for glazePaints
+ * Returns { hex, reflectance, xyz, srgb, steps: [{ hex, reflectance }] } with
+ * one step per glaze, the last being the finished stack
+ */
+export function simulateGlaze(glazes, options = {}) {
+  const resolved = glazes.map(g => ({
+    layers: g.paints.map(l => ({
+      paint: PAINT_DATABASE.find(p => p.id === l.paintId),
+      concentration: l.concentration / 100,
+    })).filter(l => l.paint && l.concentration > 0),
+    thickness: g.thickness,
+  })).filter(g => g.layers.length > 0 && g.thickness > 0);
+
+  if (resolved.length === 0) return null;
+
+  const steps = glazePaints(resolved, options).map(reflectance => ({
+    hex: srgbToHex(xyzToSRGB(reflectanceToXYZ(reflectance))),
+    reflectance,
+  }));
+  if (steps.length === 0) return null;
+
+  const { reflectance } = steps[steps.length - 1];
+  const xyz = reflectanceToXYZ(reflectance);
+  const srgb = xyzToSRGB(xyz);
+  const hex = srgbToHex(srgb);
+
+  return { hex, reflectance, xyz, srgb, steps };
+}
+
+// A metamerism index past one just-noticeable OKLab difference is flagged
+export const METAMERISM_NOTICEABLE = 0.02;
+
+/**
+ * Special metamerism index for a change of illuminant (CIE 15): the sample's
+ * XYZ is first scaled to match the reference exactly under the reference
+ * light, then the two are compared under the test light. Measured in OKLab
+ * ΔE; 0 means a match made under the reference light holds.
+ */
+export function metamerismIndex(reference, sample, illuminant, referenceIlluminant = 'D65') {
+  const refAtRef = reflectanceToXYZ(reference, referenceIlluminant);
+  const sampleAtRef = reflectanceToXYZ(sample, referenceIlluminant);
+  const refAtTest = reflectanceToXYZ(reference, illuminant);
+  const sampleAtTest = reflectanceToXYZ(sample, illuminant);
+
+  const correct = key => (sampleAtRef[key] > 1e-6 ? refAtRef[key] / sampleAtRef[key] : 1);
+  const corrected = {
+    X: sampleAtTest.X * correct('X'),
+    Y: sampleAtTest.Y * correct('Y'),
+    Z: sampleAtTest.Z * correct('Z'),
+  };
+  const a = xyzToOklab(refAtTest);
+  const b = xyzToOklab(corrected);
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * How a mix holds up against a target colour under each of ILLUMINANTS. The
+ * target's spectrum is its smooth reconstruction (hexToReflectance).
+ * Returns [{ id, label, description, targetHex, mixHex, deltaE, index }]:
+ * deltaE is the OKLab difference under that light, index the metamerism
+ * index against daylight (D65).
+ */
+export function metamerismReport(targetHex, reflectance) {
+  const target = hexToReflectance(targetHex);
+  return ILLUMINANTS.map(({ id, label, description }) => {
+    const a = xyzToOklab(reflectanceToXYZ(target, id));
+    const b = xyzToOklab(reflectanceToXYZ(reflectance, id));
+    return {
+      id,
+      label,
+      description,
+      targetHex: reflectanceToHex(target, id),
+      mixHex: reflectanceToHex(reflectance, id),
+      deltaE: Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]),
+      index: metamerismIndex(target, reflectance, id),
+    };
+  });
+}
+
 /**
  * Get paints grouped by medium.
  */
@@ -1,19 +1,22 @@
 // paletteAnalyzer.js - Design Intelligence for Color Palettes
 // Analyzes palettes based on design principles, not just color theory math
 
-import { formatHex, wcagContrast, differenceEuclidean } from 'culori';
+import { wcagContrast, differenceEuclidean } from 'culori';
+import { oklchToHex } from './colorUtils';
+import { apcaContrast, APCA_PASS } from './apca';
 
 /**
  * Main analysis function - returns comprehensive palette evaluation
+ * @param {Object} options - { contrastModel: 'wcag' | 'apca' } grades readability
  */
-export function analyzePalette(colors) {
+export function analyzePalette(colors, { contrastModel = 'wcag' } = {}) {
   if (!colors || colors.length === 0) {
     return null;
   }
 
   const visualMetrics = analyzeVisualMetrics(colors);
   const designMetrics = analyzeDesignQuality(colors);
-  const readability = analyzeReadability(colors);
+  const readability = analyzeReadability(colors, contrastModel);
   const issues = identifyIssues(colors, visualMetrics, designMetrics, readability);
   const improvements = suggestImprovements(colors, issues);
   const usageMap = generateUsageMap(colors, visualMetrics);
@@ -83,36 +86,55 @@ function analyzeDesignQuality(colors) {
 }
 
 /**
- * READABILITY ANALYSIS - WCAG compliance and contrast
+ * READABILITY ANALYSIS - WCAG 2 and APCA contrast
+ * Pairs are unordered, so a pair's APCA value is the better of its two
+ * polarities (|Lc|). passingPairs / passingPercentage follow `model`; both
+ * models' figures are always included.
  */
-function analyzeReadability(colors) {
+function analyzeReadability(colors, model = 'wcag') {
   const pairs = [];
-  const hexColors = colors.map(c => formatHex(c));
+  const hexColors = colors.map(c => oklchToHex(c));
   
   for (let i = 0; i < hexColors.length; i++) {
     for (let j = i + 1; j < hexColors.length; j++) {
       const contrast = wcagContrast(hexColors[i], hexColors[j]);
+      const apca = Math.max(
+        Math.abs(apcaContrast(hexColors[i], hexColors[j])),
+        Math.abs(apcaContrast(hexColors[j], hexColors[i]))
+      );
       pairs.push({
         colors: [i, j],
         contrast,
+        apca,
         passesAA: contrast >= 4.5,
         passesAALarge: contrast >= 3,
-        passesAAA: contrast >= 7
+        passesAAA: contrast >= 7,
+        passesApca: apca >= APCA_PASS
       });
     }
   }
 
-  const passingPairs = pairs.filter(p => p.passesAA).length;
   const totalPairs = pairs.length;
+  const percentage = count => (totalPairs > 0 ? (count / totalPairs) * 100 : 0);
+  const wcagPassing = pairs.filter(p => p.passesAA).length;
+  const apcaPassing = pairs.filter(p => p.passesApca).length;
+  const passingPairs = model === 'apca' ? apcaPassing : wcagPassing;
 
   return {
+    model,
     pairs,
     passingPairs,
     totalPairs,
-    passingPercentage: totalPairs > 0 ? (passingPairs / totalPairs) * 100 : 0,
+    passingPercentage: percentage(passingPairs),
+    wcagPassingPercentage: percentage(wcagPassing),
+    apcaPassingPercentage: percentage(apcaPassing),
     bestContrast: Math.max(...pairs.map(p => p.contrast)),
     worstContrast: Math.min(...pairs.map(p => p.contrast)),
-    hasGoodTextOptions: pairs.some(p => p.passesAAA)
+    bestApca: Math.max(...pairs.map(p => p.apca)),
+    worstApca: Math.min(...pairs.map(p => p.apca)),
+    hasGoodTextOptions: model === 'apca'
+      ? pairs.some(p => p.apca >= 90)
+      : pairs.some(p => p.passesAAA)
   };
 }
 
@@ -164,7 +186,9 @@ function identifyIssues(colors, visualMetrics, designMetrics, readability) {
       type: 'readability',
       severity: 'high',
       title: 'Poor text readability',
-      message: `Only ${Math.round(readability.passingPercentage)}% of color pairs meet WCAG AA standards.`,
+      message: readability.model === 'apca'
+        ? `Only ${Math.round(readability.passingPercentage)}% of color pairs reach APCA Lc ${APCA_PASS} for body text.`
+        : `Only ${Math.round(readability.passingPercentage)}% of color pairs meet WCAG AA standards.`,
       recommendation: 'Increase lightness contrast between colors for better text readability.',
       fixable: true
     });
@@ -266,8 +290,9 @@ function suggestImprovements(colors, issues) {
 
 /**
  * USAGE MAP - Suggest which color for which purpose
+ * Returns { role: colorIndex } for primary, accent, neutral, background, text.
  */
-function generateUsageMap(colors, visualMetrics) {
+export function generateUsageMap(colors, visualMetrics) {
   const roles = {};
   
   // Find primary (most saturated + mid lightness)
@@ -0,0 +1,15 @@
+// recipeSearch.worker.js - Paint recipe search off the main thread
+// findMixingRecipe optimises concentrations for every candidate combination,
+// which takes long enough to freeze the Paint tab. Recipes go back with paint
+// ids instead of whole database entries; the page looks them up again.
+
+import { findMixingRecipe } from './paintMixer';
+
+self.onmessage = ({ data: { id, targetHex, options } }) => {
+  const recipes = findMixingRecipe(targetHex, options).map(({ paints, glazes, ...rest }) => ({
+    ...rest,
+    ...(paints && { paints: paints.map(({ paint, ratio }) => ({ paintId: paint.id, ratio })) }),
+    ...(glazes && { glazes: glazes.map(({ paint, thickness }) => ({ paintId: paint.id, thickness })) }),
+  }));
+  self.postMessage({ id, recipes });
+};
@@ -2,22 +2,44 @@
 // Generates palettes based on design context, not just geometric color theory
 
 import { toOklch, oklchToHex } from './colorUtils';
+import { generateMaterialScheme } from './materialScheme';
 
 /**
- * Main smart harmony generator - routes to context-specific functions
+ * Context-aware theme - routes to context-specific functions. Colours are
+ * keyed by the role they were generated for (primary, accent, neutralLight,
+ * success…), in display order.
+ *
+ * @returns {{ context: string, roles: Object<string, Object> }}
  */
-export function generateSmartHarmony(baseColor, context = 'ui', options = {}) {
+export function generateSmartTheme(baseColor, context = 'ui', options = {}) {
   const strategies = {
     ui: generateUIHarmony,
     brand: generateBrandHarmony,
     editorial: generateEditorialHarmony,
     minimalist: generateMinimalistHarmony,
     vibrant: generateVibrantHarmony,
-    professional: generateProfessionalHarmony
+    professional: generateProfessionalHarmony,
+    material: generateMaterialHarmony
   };
 
-  const generator = strategies[context] || strategies.ui;
-  return generator(baseColor, options);
+  const id = strategies[context] ? context : 'ui';
+  return { context: id, roles: strategies[id](baseColor, options) };
+}
+
+/**
+ * Main smart harmony generator. Returns the theme as a palette array; each
+ * colour keeps its role in a `role` field.
+ */
+export function generateSmartHarmony(baseColor, context = 'ui', options = {}) {
+  return themeToPalette(generateSmartTheme(baseColor, context, options));
+}
+
+/**
+ * Flatten a theme to a palette array, tagging each colour with its role so
+ * the role travels with the colour through palette state, fixes and exports.
+ */
+export function themeToPalette(theme) {
+  return Object.entries(theme.roles).map(([role, color]) => ({ ...color, role }));
 }
 
 /**
@@ -83,7 +105,7 @@ function generateUIHarmony(base, options = {}) {
     palette.info = generateSemanticBlue(base);
   }
 
-  return Object.values(palette);
+  return palette;
 }
 
 /**
@@ -109,12 +131,12 @@ function generateBrandHarmony(base, options = {}) {
     l: clamp(primary.l > 0.5 ? primary.l - 0.25 : primary.l + 0.25, 0.05, 0.95)
   };
 
-  const palette = [
+  const palette = {
     primary,
     secondary,
     
     // Supporting color - analogous to primary
-    {
+    supporting: {
       mode: 'oklch',
       h: normalizeHue((primary.h || 0) + 40),
       c: (primary.c || 0) * 0.6,
@@ -122,7 +144,7 @@ function generateBrandHarmony(base, options = {}) {
     },
     
     // Warm neutral
-    {
+    neutralLight: {
       mode: 'oklch',
       h: primary.h || 0,
       c: 0.03,
@@ -130,15 +152,15 @@ function generateBrandHarmony(base, options = {}) {
     },
     
     // Cool neutral (dark)
-    {
+    neutralDark: {
       mode: 'oklch',
       h: (primary.h || 0) + 180,
       c: 0.02,
       l: 0.12
     }
-  ];
+  };
 
-  return palette.slice(0, colorCount);
+  return Object.fromEntries(Object.entries(palette).slice(0, colorCount));
 }
 
 /**
@@ -151,22 +173,22 @@ function generateEditorialHarmony(base, options = {}) {
   // Editorial colors are often desaturated for sophistication
   const desaturationFactor = style === 'bold' ? 0.8 : 0.6;
   
-  const palette = [
+  const palette = {
     // Primary - refined version of base
-    {
+    primary: {
       ...base,
       c: (base.c || 0) * desaturationFactor,
       l: clamp(base.l, 0.3, 0.6)
     },
     
     // Split complement - but subtle
-    {
+    secondary: {
       mode: 'oklch',
       h: normalizeHue((base.h || 0) + 150),
       c: (base.c || 0) * 0.5,
       l: clamp(base.l * 1.2, 0.05, 0.95)
     },
-    {
+    tertiary: {
       mode: 'oklch',
       h: normalizeHue((base.h || 0) + 210),
       c: (base.c || 0) * 0.5,
@@ -174,7 +196,7 @@ function generateEditorialHarmony(base, options = {}) {
     },
     
     // Rich warm neutral
-    {
+    neutralLight: {
       mode: 'oklch',
       h: 40, // Warm hue
       c: 0.015,
@@ -182,7 +204,7 @@ function generateEditorialHarmony(base, options = {}) {
     },
     
     // Deep rich black
-    {
+    neutralDark: {
       mode: 'oklch',
       h: base.h || 0,
       c: 0.01,
@@ -190,13 +212,13 @@ function generateEditorialHarmony(base, options = {}) {
     },
     
     // Accent for pull quotes
-    {
+    accent: {
       mode: 'oklch',
       h: normalizeHue((base.h || 0) + 90),
       c: Math.min((base.c || 0) * 1.5, 0.18),
       l: 0.5
     }
-  ];
+  };
 
   return palette;
 }
@@ -210,24 +232,24 @@ function generateMinimalistHarmony(base, options = {}) {
   
   if (!allowColor) {
     // Pure monochrome
-    return [
-      { mode: 'oklch', l: 0.98, c: 0, h: 0 },
-      { mode: 'oklch', l: 0.15, c: 0, h: 0 },
-      { mode: 'oklch', l: 0.50, c: 0, h: 0 }
-    ];
+    return {
+      neutralLight: { mode: 'oklch', l: 0.98, c: 0, h: 0 },
+      neutralDark: { mode: 'oklch', l: 0.15, c: 0, h: 0 },
+      neutral: { mode: 'oklch', l: 0.50, c: 0, h: 0 }
+    };
   }
 
   // Minimal color - one accent, rest neutral
-  return [
+  return {
     // Main accent - punchy
-    {
+    primary: {
       ...base,
       c: Math.max(base.c || 0, 0.16),
       l: 0.55
     },
     
     // Near white
-    {
+    neutralLight: {
       mode: 'oklch',
       h: base.h || 0,
       c: 0.005,
@@ -235,7 +257,7 @@ function generateMinimalistHarmony(base, options = {}) {
     },
     
     // Near black
-    {
+    neutralDark: {
       mode: 'oklch',
       h: base.h || 0,
       c: 0.01,
@@ -243,13 +265,13 @@ function generateMinimalistHarmony(base, options = {}) {
     },
     
     // Optional subtle tint
-    {
+    tint: {
       mode: 'oklch',
       h: base.h || 0,
       c: 0.03,
       l: 0.93
     }
-  ];
+  };
 }
 
 /**
@@ -269,30 +291,34 @@ function generateVibrantHarmony(base, options = {}) {
   const baseHue = base.h || 0;
   const hueOffsets = [0, 115, 235]; // Not exactly 120° apart
   
-  const palette = hueOffsets.map((offset, i) => ({
+  const [primary, secondary, tertiary] = hueOffsets.map(offset => ({
     mode: 'oklch',
     h: normalizeHue(baseHue + offset + (Math.random() - 0.5) * 20),
     c: Math.min(0.28, (base.c || 0.15) * chromaMultiplier),
     l: 0.5 + (Math.random() - 0.5) * 0.3 // Vary lightness for interest
   }));
 
-  // Add complementary accent
-  palette.push({
-    mode: 'oklch',
-    h: normalizeHue(baseHue + 180 + (Math.random() - 0.5) * 30),
-    c: Math.min(0.25, (base.c || 0.15) * chromaMultiplier),
-    l: 0.6
-  });
+  return {
+    primary,
+    secondary,
+    tertiary,
 
-  // Add one neutral for balance
-  palette.push({
-    mode: 'oklch',
-    h: baseHue,
-    c: 0.02,
-    l: 0.95
-  });
+    // Complementary accent
+    accent: {
+      mode: 'oklch',
+      h: normalizeHue(baseHue + 180 + (Math.random() - 0.5) * 30),
+      c: Math.min(0.25, (base.c || 0.15) * chromaMultiplier),
+      l: 0.6
+    },
 
-  return palette;
+    // One neutral for balance
+    neutralLight: {
+      mode: 'oklch',
+      h: baseHue,
+      c: 0.02,
+      l: 0.95
+    }
+  };
 }
 
 /**
@@ -312,9 +338,9 @@ function generateProfessionalHarmony(base, options = {}) {
 
   const preferredHues = sectorHues[sector] || sectorHues.tech;
   
-  const palette = [
+  const palette = {
     // Primary - shift toward professional hues
-    {
+    primary: {
       mode: 'oklch',
       h: preferredHues[0],
       c: 0.12, // Conservative saturation
@@ -322,7 +348,7 @@ function generateProfessionalHarmony(base, options = {}) {
     },
     
     // Secondary
-    {
+    secondary: {
       mode: 'oklch',
       h: preferredHues[1],
       c: 0.10,
@@ -330,7 +356,7 @@ function generateProfessionalHarmony(base, options = {}) {
     },
     
     // Accent - slightly more saturated
-    {
+    accent: {
       mode: 'oklch',
       h: preferredHues[0] + 180,
       c: 0.15,
@@ -338,7 +364,7 @@ function generateProfessionalHarmony(base, options = {}) {
     },
     
     // Light neutral
-    {
+    neutralLight: {
       mode: 'oklch',
       h: preferredHues[0],
       c: 0.01,
@@ -346,7 +372,7 @@ function generateProfessionalHarmony(base, options = {}) {
     },
     
     // Medium gray
-    {
+    neutral: {
       mode: 'oklch',
       h: preferredHues[0],
       c: 0.01,
@@ -354,17 +380,30 @@ function generateProfessionalHarmony(base, options = {}) {
     },
     
     // Dark neutral
-    {
+    neutralDark: {
       mode: 'oklch',
       h: preferredHues[0],
       c: 0.015,
       l: 0.18
     }
-  ];
+  };
 
   return palette;
 }
 
+/**
+ * MATERIAL 3 HARMONY - Google's dynamic colour, seeded from the base
+ * Needs: HCT tonal palettes; returns the key light-scheme roles
+ * (full scheme and exports live in materialScheme.js)
+ */
+function generateMaterialHarmony(base, options = {}) {
+  const { variant = 'tonalSpot' } = options;
+  const { light } = generateMaterialScheme(oklchToHex(base), variant);
+  const roles = ['primary', 'primaryContainer', 'secondary', 'tertiary', 'surfaceContainer', 'onSurface'];
+
+  return Object.fromEntries(roles.map(role => [role, toOklch(light[role])]));
+}
+
 // ============================================================================
 // "NEAR HARMONY" GENERATORS - Imperfect but interesting
 // ============================================================================
@@ -432,7 +471,7 @@ export function generateGoldenHarmony(base, options = {}) {
 // SEMANTIC COLOR GENERATORS - Success, Error, Warning, Info
 // ============================================================================
 
-function generateSemanticGreen(baseColor) {
+export function generateSemanticGreen(baseColor) {
   // Success - green but harmonized with base
   const baseHue = baseColor.h || 0;
   
@@ -447,7 +486,7 @@ function generateSemanticGreen(baseColor) {
   };
 }
 
-function generateSemanticRed(baseColor) {
+export function generateSemanticRed(baseColor) {
   // Error - red but harmonized
   const baseHue = baseColor.h || 0;
   const targetHue = (baseHue >= 0 && baseHue <= 30) || baseHue >= 330 ? baseHue : 10;
@@ -460,7 +499,7 @@ function generateSemanticRed(baseColor) {
   };
 }
 
-function generateSemanticYellow(baseColor) {
+export function generateSemanticYellow(baseColor) {
   // Warning - orange/yellow
   return {
     mode: 'oklch',
@@ -470,7 +509,7 @@ function generateSemanticYellow(baseColor) {
   };
 }
 
-function generateSemanticBlue(baseColor) {
+export function generateSemanticBlue(baseColor) {
   // Info - blue
   const baseHue = baseColor.h || 0;
   const targetHue = (baseHue >= 200 && baseHue <= 260) ? baseHue : 230;
@@ -644,6 +683,12 @@ export function getContextMetadata() {
       description: 'Corporate palettes conveying trust and stability',
       colorCount: 6,
       characteristics: ['Conservative', 'Trustworthy', 'Balanced']
+    },
+    material: {
+      name: 'Material 3',
+      description: 'Dynamic colour scheme with light and dark roles',
+      colorCount: 6,
+      characteristics: ['HCT tonal palettes', 'Android / Compose ready', 'Scheme variants']
     }
   };
 }
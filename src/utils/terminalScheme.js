@@ -0,0 +1,353 @@
+// terminalScheme.js - Terminal colour schemes from a palette
+// Builds a 16-colour ANSI scheme (plus background, foreground, cursor and
+// selection) and serialises it for iTerm2, Windows Terminal, Alacritty,
+// Kitty and base16.
+
+import { toOklch, oklchToHex, wcagContrast } from './colorUtils';
+import { generateUsageMap } from './paletteAnalyzer';
+import {
+  generateSemanticRed,
+  generateSemanticGreen,
+  generateSemanticYellow,
+  generateSemanticBlue,
+} from './smartHarmony';
+
+export const ANSI_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// OKLCH hue each chromatic ANSI slot is matched against
+const SLOT_HUES = { red: 25, yellow: 95, green: 145, cyan: 200, blue: 260, magenta: 330 };
+
+// A palette colour fills a slot when its hue is this close and it isn't grey
+const HUE_TOLERANCE = 30;
+const MIN_CHROMA = 0.06;
+
+// Lightness band for normal ANSI colours on a dark background
+const NORMAL_L = [0.62, 0.76];
+const BRIGHT_LIFT = 0.08;
+
+// Below this chroma a colour's hue is noise: its neutrals stay grey
+const ACHROMATIC_CHROMA = 0.01;
+
+// ============================================================================
+// SCHEME GENERATION
+// ============================================================================
+
+/**
+ * Generate a dark terminal scheme from a palette.
+ *
+ * Chromatic slots take the closest palette colour by hue; slots with no match
+ * are filled from smartHarmony's semantic generators. Brights are the normal
+ * colours lifted in OKLCH lightness and chroma.
+ *
+ * @param {Array} colors - OKLCH colours
+ * @returns {{ background, foreground, cursor, cursorText, selection, ansi: Array, sources: Array }}
+ *   ansi holds 16 OKLCH colours; sources[i] is 'palette' or 'generated' for 1–6
+ */
+export function generateTerminalScheme(colors) {
+  const palette = (colors || []).map(toOklch);
+  const usage = palette.length ? generateUsageMap(palette) : {};
+  const base = palette[usage.primary ?? 0] || { mode: 'oklch', l: 0.6, c: 0.12, h: 250 };
+
+  const matches = matchSlots(palette);
+  const normals = {};
+  const sources = {};
+  Object.keys(SLOT_HUES).forEach(slot => {
+    const match = matches[slot];
+    normals[slot] = normalizeLightness(match || fillSlot(slot, base));
+    sources[slot] = match ? 'palette' : 'generated';
+  });
+
+  const background = pickBackground(palette, base);
+  const hue = background.h;
+  const tint = background.c > 0 ? 1 : 0;
+  const neutral = (l, c = 0.015) => ({ mode: 'oklch', l, c: c * tint, h: hue });
+
+  const ansi = [
+    neutral(Math.min(background.l + 0.1, 0.35), 0.02),
+    normals.red, normals.green, normals.yellow,
+    normals.blue, normals.magenta, normals.cyan,
+    neutral(0.82),
+  ];
+  const brights = [
+    neutral(0.5, 0.02),
+    ...ansi.slice(1, 7).map(brighten),
+    neutral(0.96, 0.008),
+  ];
+
+  const accent = isAchromatic(base) ? 0 : 1;
+  const cursor = { ...base, l: 0.75, c: Math.max(base.c, 0.1) * accent };
+
+  return {
+    background,
+    foreground: neutral(0.9),
+    cursor,
+    cursorText: background,
+    selection: { mode: 'oklch', l: background.l + 0.12, c: 0.05 * accent, h: base.h || 0 },
+    ansi: [...ansi, ...brights],
+    sources: ANSI_NAMES.map(name => sources[name] || null),
+  };
+}
+
+/**
+ * WCAG contrast of every ANSI colour against the scheme background.
+ * @returns {Array<{ index, name, hex, ratio, level }>} level is 'AA', 'AA Large' or 'Fail'
+ */
+export function checkSchemeContrast(scheme) {
+  const bg = oklchToHex(scheme.background);
+  return scheme.ansi.map((color, index) => {
+    const hex = oklchToHex(color);
+    const ratio = wcagContrast(hex, bg);
+    return {
+      index,
+      name: ansiName(index),
+      hex,
+      ratio,
+      level: ratio >= 4.5 ? 'AA' : ratio >= 3 ? 'AA Large' : 'Fail',
+    };
+  });
+}
+
+/**
+ * 'red', 'bright red', …
+ */
+export function ansiName(index) {
+  return index < 8 ? ANSI_NAMES[index] : `bright ${ANSI_NAMES[index - 8]}`;
+}
+
+// ============================================================================
+// EXPORT FORMATS
+// ============================================================================
+
+/**
+ * iTerm2 .itermcolors (XML property list)
+ */
+export function toITermColors(scheme) {
+  const entries = [
+    ...scheme.ansi.map((c, i) => [`Ansi ${i} Color`, c]),
+    ['Background Color', scheme.background],
+    ['Foreground Color', scheme.foreground],
+    ['Bold Color', scheme.foreground],
+    ['Cursor Color', scheme.cursor],
+    ['Cursor Text Color', scheme.cursorText],
+    ['Selection Color', scheme.selection],
+    ['Selected Text Color', scheme.foreground],
+  ];
+
+  const dicts = entries.map(([key, color]) => {
+    const [r, g, b] = hexChannels(oklchToHex(color)).map(v => (v / 255).toFixed(6));
+    return [
+      `\t<key>${key}</key>`,
+      '\t<dict>',
+      '\t\t<key>Alpha Component</key>', '\t\t<real>1</real>',
+      '\t\t<key>Blue Component</key>', `\t\t<real>${b}</real>`,
+      '\t\t<key>Color Space</key>', '\t\t<string>sRGB</string>',
+      '\t\t<key>Green Component</key>', `\t\t<real>${g}</real>`,
+      '\t\t<key>Red Component</key>', `\t\t<real>${r}</real>`,
+      '\t</dict>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<dict>',
+    ...dicts,
+    '</dict>',
+    '</plist>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Windows Terminal scheme object (paste into settings.json "schemes")
+ */
+export function toWindowsTerminal(scheme, name = 'hex&hue') {
+  // Windows Terminal calls magenta "purple"
+  const keys = ANSI_NAMES.map(n => (n === 'magenta' ? 'purple' : n));
+  const colors = {};
+  keys.forEach((key, i) => {
+    colors[key] = hexUpper(scheme.ansi[i]);
+    colors[`bright${key[0].toUpperCase()}${key.slice(1)}`] = hexUpper(scheme.ansi[i + 8]);
+  });
+
+  return JSON.stringify({
+    name,
+    background: hexUpper(scheme.background),
+    foreground: hexUpper(scheme.foreground),
+    cursorColor: hexUpper(scheme.cursor),
+    selectionBackground: hexUpper(scheme.selection),
+    ...colors,
+  }, null, 2);
+}
+
+/**
+ * Alacritty TOML (alacritty.toml, 0.13+)
+ */
+export function toAlacritty(scheme) {
+  const table = (title, offset) => [
+    `[colors.${title}]`,
+    ...ANSI_NAMES.map((n, i) => `${n} = "${oklchToHex(scheme.ansi[i + offset])}"`),
+  ];
+
+  return [
+    '[colors.primary]',
+    `background = "${oklchToHex(scheme.background)}"`,
+    `foreground = "${oklchToHex(scheme.foreground)}"`,
+    '',
+    '[colors.cursor]',
+    `cursor = "${oklchToHex(scheme.cursor)}"`,
+    `text = "${oklchToHex(scheme.cursorText)}"`,
+    '',
+    '[colors.selection]',
+    `background = "${oklchToHex(scheme.selection)}"`,
+    `text = "${oklchToHex(scheme.foreground)}"`,
+    '',
+    ...table('normal', 0),
+    '',
+    ...table('bright', 8),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Kitty colour config (include from kitty.conf)
+ */
+export function toKitty(scheme) {
+  return [
+    `background ${oklchToHex(scheme.background)}`,
+    `foreground ${oklchToHex(scheme.foreground)}`,
+    `cursor ${oklchToHex(scheme.cursor)}`,
+    `cursor_text_color ${oklchToHex(scheme.cursorText)}`,
+    `selection_background ${oklchToHex(scheme.selection)}`,
+    `selection_foreground ${oklchToHex(scheme.foreground)}`,
+    '',
+    ...scheme.ansi.map((c, i) => `color${i} ${oklchToHex(c)}`),
+    '',
+  ].join('\n');
+}
+
+/**
+ * base16 scheme YAML (tinted-theming spec 0.11)
+ */
+export function toBase16(scheme, name = 'hex&hue') {
+  const [, red, green, yellow, blue, magenta, cyan] = scheme.ansi;
+  const bg = scheme.background;
+  const shade = (l, c = 0.015) => ({ mode: 'oklch', l, c: bg.c > 0 ? c : 0, h: bg.h });
+
+  // base16 has two slots ANSI doesn't: orange and brown
+  const orange = {
+    mode: 'oklch',
+    l: (red.l + yellow.l) / 2,
+    c: (red.c + yellow.c) / 2,
+    h: midHue(red.h, yellow.h),
+  };
+  const brown = { ...orange, l: orange.l * 0.7, c: orange.c * 0.6 };
+
+  const slots = [
+    bg, shade(bg.l + 0.05), scheme.selection, scheme.ansi[8],
+    shade(0.75), scheme.foreground, shade(0.95), shade(0.98, 0.005),
+    red, orange, yellow, green, cyan, blue, magenta, brown,
+  ];
+
+  return [
+    'system: "base16"',
+    `name: "${name.replace(/"/g, '\\"')}"`,
+    'author: "hex&hue"',
+    'variant: "dark"',
+    'palette:',
+    ...slots.map((c, i) => `  base0${i.toString(16).toUpperCase()}: "${oklchToHex(c)}"`),
+    '',
+  ].join('\n');
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function matchSlots(palette) {
+  // Every (slot, colour) pair within tolerance, closest first
+  const candidates = [];
+  Object.entries(SLOT_HUES).forEach(([slot, hue]) => {
+    palette.forEach((color, index) => {
+      if (color.c < MIN_CHROMA) return;
+      const distance = hueDistance(color.h, hue);
+      if (distance <= HUE_TOLERANCE) candidates.push({ slot, index, distance });
+    });
+  });
+  candidates.sort((a, b) => a.distance - b.distance);
+
+  const matches = {};
+  const used = new Set();
+  candidates.forEach(({ slot, index }) => {
+    if (matches[slot] || used.has(index)) return;
+    matches[slot] = palette[index];
+    used.add(index);
+  });
+  return matches;
+}
+
+function fillSlot(slot, base) {
+  switch (slot) {
+    case 'red': return generateSemanticRed(base);
+    case 'green': return generateSemanticGreen(base);
+    case 'yellow': return generateSemanticYellow(base);
+    case 'blue': return generateSemanticBlue(base);
+    // No semantic cyan / magenta: rotate the info blue and error red
+    case 'cyan': return { ...generateSemanticBlue(base), h: SLOT_HUES.cyan };
+    case 'magenta': return { ...generateSemanticRed(base), h: SLOT_HUES.magenta };
+    default: return base;
+  }
+}
+
+function normalizeLightness(color) {
+  return {
+    mode: 'oklch',
+    l: Math.min(NORMAL_L[1], Math.max(NORMAL_L[0], color.l)),
+    c: Math.min(color.c, 0.2),
+    h: color.h || 0,
+  };
+}
+
+function brighten(color) {
+  return {
+    mode: 'oklch',
+    l: Math.min(color.l + BRIGHT_LIFT, 0.9),
+    c: Math.min(color.c * 1.1, 0.22),
+    h: color.h,
+  };
+}
+
+function pickBackground(palette, base) {
+  // Prefer a dark palette colour, kept near-neutral so text stays readable
+  // A grey source gives a grey background, whatever hue it happens to report
+  const darkest = [...palette].sort((a, b) => a.l - b.l)[0];
+  if (darkest && darkest.l < 0.3) {
+    const c = isAchromatic(darkest) ? 0 : Math.min(darkest.c, 0.04);
+    return { mode: 'oklch', l: Math.max(darkest.l, 0.12), c, h: darkest.h || 0 };
+  }
+  const c = isAchromatic(base) ? 0 : Math.min(base.c * 0.2, 0.03);
+  return { mode: 'oklch', l: 0.18, c, h: base.h || 0 };
+}
+
+function isAchromatic(color) {
+  return (color.c || 0) < ACHROMATIC_CHROMA;
+}
+
+function hueDistance(a, b) {
+  const d = Math.abs((a || 0) - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+function midHue(a, b) {
+  const diff = ((b - a + 540) % 360) - 180;
+  return (a + diff / 2 + 360) % 360;
+}
+
+function hexChannels(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function hexUpper(color) {
+  return oklchToHex(color).toUpperCase();
+}
@@ -0,0 +1,100 @@
+// tokenNames.js - Variable / token naming for exports
+// Turns a palette into unique, role-aware slugs (primary, accent, background…)
+// that stay identical across re-exports of the same palette. Colours that
+// carry a `role` (smart harmony themes) keep it; the rest are guessed.
+
+import { oklchToHex } from './colorUtils';
+import { generateColorName } from './colorNames';
+import { generateUsageMap } from './paletteAnalyzer';
+
+// When one colour qualifies for several roles, the earlier role wins
+const ROLE_PRIORITY = ['primary', 'accent', 'background', 'text', 'neutral'];
+
+/**
+ * Lowercase, hyphen-separated identifier safe for CSS / SCSS / JS keys.
+ */
+export function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+/**
+ * Kebab-case slug for a camelCase role (neutralLight → neutral-light).
+ */
+export function roleSlug(role) {
+  return slugify(String(role || '').replace(/([a-z0-9])([A-Z])/g, '$1-$2'));
+}
+
+/**
+ * Human-readable role (surfaceContainer → Surface container).
+ */
+export function roleLabel(role) {
+  const words = roleSlug(role).replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Map colour index → role slug, one role per colour and one colour per role.
+ * Explicit roles win; guessed roles only fill colours without one.
+ */
+export function assignRoles(colors) {
+  if (!colors || colors.length === 0) return {};
+
+  const roles = {};
+  const taken = new Set();
+  colors.forEach((color, i) => {
+    const role = roleSlug(color.role);
+    if (role && !taken.has(role)) {
+      roles[i] = role;
+      taken.add(role);
+    }
+  });
+
+  const usageMap = generateUsageMap(colors);
+  ROLE_PRIORITY.forEach(role => {
+    const index = usageMap[role];
+    if (index !== undefined && index !== -1 && roles[index] === undefined && !taken.has(role)) {
+      roles[index] = role;
+      taken.add(role);
+    }
+  });
+  return roles;
+}
+
+/**
+ * Generate export tokens for a palette.
+ *
+ * Base name precedence: user override (keyed by hex) → explicit role →
+ * guessed role → colour name.
+ * Collisions are resolved in palette order by appending -2, -3, …
+ *
+ * @param {Array} colors - OKLCH colours
+ * @param {Object} overrides - { [hex]: customName }
+ * @returns {Array<{ slug, name, role, hex, custom }>}
+ */
+export function generateTokenNames(colors, overrides = {}) {
+  const roles = assignRoles(colors);
+  const used = new Set();
+
+  return colors.map((color, i) => {
+    const hex = oklchToHex(color);
+    const name = generateColorName(color);
+    const custom = slugify(overrides[hex]);
+    const base = custom || roles[i] || slugify(name) || `color-${i + 1}`;
+
+    let slug = base;
+    let n = 2;
+    while (used.has(slug)) slug = `${base}-${n++}`;
+    used.add(slug);
+
+    return {
+      slug,
+      name,
+      role: roles[i] || null,
+      hex,
+      custom: Boolean(custom),
+    };
+  });
+}
@@ -0,0 +1,65 @@
+// tonalScale.js - Tailwind-style 50…950 tonal scales
+// Every colour gets the same OKLCH lightness targets, so step N carries the
+// same perceived weight whatever the hue (blue-500 ≈ red-500). Chroma follows
+// the base colour, tapers towards the ends and is clamped into the target
+// gamut (sRGB unless asked otherwise) per step.
+
+import { clampChroma } from 'culori';
+import { toOklch, oklchToHex, GAMUTS } from './colorUtils';
+
+// Step → OKLCH lightness. Even 0.08 spacing through the middle, tighter at
+// the light end where small lightness changes are more visible.
+export const SCALE_STEPS = [
+  [50, 0.97],
+  [100, 0.93],
+  [200, 0.87],
+  [300, 0.80],
+  [400, 0.72],
+  [500, 0.64],
+  [600, 0.56],
+  [700, 0.48],
+  [800, 0.40],
+  [900, 0.32],
+  [950, 0.25],
+];
+
+// Lightness where the base chroma is kept in full
+const CHROMA_PEAK_L = 0.6;
+// How much chroma is lost at the far ends of the scale (0–1)
+const CHROMA_TAPER = 0.6;
+
+/**
+ * Generate the tonal scale for one colour.
+ *
+ * @param {Object} color - Any culori colour
+ * @param {string} gamut - 'srgb' | 'p3' | 'rec2020'; chroma is clamped into it
+ * @returns {Array<{ step: number, color: Object, hex: string }>} hex is always sRGB
+ */
+export function generateTonalScale(color, gamut = 'srgb') {
+  const base = toOklch(color);
+  const rgbGamut = (GAMUTS[gamut] || GAMUTS.srgb).mode;
+
+  return SCALE_STEPS.map(([step, l]) => {
+    const distance = Math.min(1, Math.abs(l - CHROMA_PEAK_L) / 0.4);
+    const target = {
+      mode: 'oklch',
+      l,
+      c: base.c * (1 - distance * distance * CHROMA_TAPER),
+      h: base.h,
+    };
+    const inGamut = toOklch(clampChroma(target, 'oklch', rgbGamut));
+    // clampChroma may drop the hue of near-greys; keep the base hue
+    const scaleColor = { ...inGamut, l, h: base.h };
+    return { step, color: scaleColor, hex: oklchToHex(scaleColor) };
+  });
+}
+
+/**
+ * The scale step whose lightness target is closest to the colour's own.
+ */
+export function nearestScaleStep(color) {
+  const { l } = toOklch(color);
+  return SCALE_STEPS.reduce((best, entry) =>
+    Math.abs(entry[1] - l) < Math.abs(best[1] - l) ? entry : best
+  )[0];
+}